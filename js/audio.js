@@ -0,0 +1,337 @@
+/**
+ * Default sound settings
+ */
+const DEFAULT_AUDIO_SETTINGS = {
+    muted: false,
+    volume: 0.8,    // Master volume (0-1)
+    effects: 1,     // Sound effect volume (0-1), on top of the master volume
+    music: 0.6      // Music volume (0-1), on top of the master volume
+};
+
+/**
+ * Sound effects, synthesized when played so the game needs no sound files
+ *
+ * Each effect is a list of tones played one after another. A tone has a wave
+ * ('square', 'triangle', 'sawtooth', 'sine' or 'noise' for a burst of white noise),
+ * a frequency in Hz that slides to `to` if given, a length in seconds and a volume (0-1).
+ * Square waves and short beeps are what the phone's buzzer could play.
+ */
+const SOUND_EFFECTS = {
+    bounce: [
+        { wave: 'square', frequency: 200, to: 90, length: 0.06, volume: 0.35 }
+    ],
+    jump: [
+        { wave: 'square', frequency: 280, to: 700, length: 0.12, volume: 0.3 }
+    ],
+    hoop: [
+        { wave: 'square', frequency: 988, length: 0.06, volume: 0.3 },
+        { wave: 'square', frequency: 1319, length: 0.12, volume: 0.3 }
+    ],
+    checkpoint: [
+        { wave: 'square', frequency: 523, length: 0.07, volume: 0.3 },
+        { wave: 'square', frequency: 659, length: 0.07, volume: 0.3 },
+        { wave: 'square', frequency: 784, length: 0.14, volume: 0.3 }
+    ],
+    powerUp: [
+        { wave: 'triangle', frequency: 392, length: 0.05, volume: 0.5 },
+        { wave: 'triangle', frequency: 523, length: 0.05, volume: 0.5 },
+        { wave: 'triangle', frequency: 659, length: 0.05, volume: 0.5 },
+        { wave: 'triangle', frequency: 784, length: 0.05, volume: 0.5 },
+        { wave: 'square', frequency: 1047, length: 0.15, volume: 0.3 }
+    ],
+    lifeLost: [
+        { wave: 'noise', length: 0.08, volume: 0.4 },
+        { wave: 'square', frequency: 440, to: 110, length: 0.45, volume: 0.35 }
+    ],
+    levelComplete: [
+        { wave: 'square', frequency: 523, length: 0.1, volume: 0.3 },
+        { wave: 'square', frequency: 659, length: 0.1, volume: 0.3 },
+        { wave: 'square', frequency: 784, length: 0.1, volume: 0.3 },
+        { wave: 'square', frequency: 1047, length: 0.1, volume: 0.3 },
+        { wave: 'square', frequency: 784, length: 0.1, volume: 0.3 },
+        { wave: 'square', frequency: 1047, length: 0.3, volume: 0.3 }
+    ]
+};
+
+/**
+ * Sound effects the music is turned down for, so they stand out
+ */
+const MUSIC_DUCKING_EFFECTS = ['hoop', 'checkpoint', 'powerUp', 'lifeLost', 'levelComplete'];
+
+/**
+ * Share of its volume the music keeps while turned down for a sound effect
+ */
+const MUSIC_DUCK_LEVEL = 0.3;
+
+/**
+ * Sound through the Web Audio API: synthesizes the sound effects, carries the music
+ * (see MusicPlayer) and keeps the volume settings
+ *
+ * Browsers only allow sound after the player has clicked, tapped or pressed a key,
+ * so the audio context is created on the first of those. The context is suspended
+ * while the page is hidden or the game is paused, and resumed once nothing holds it.
+ * The music is turned down while the important sound effects play.
+ */
+class AudioEngine {
+    /**
+     * @param {SaveSystem} saveSystem - Save the sound settings are kept in
+     */
+    constructor(saveSystem) {
+        this.saveSystem = saveSystem;
+        this.settings = this.loadSettings();
+        
+        // Web Audio nodes, created by unlock: effects -> master -> speakers,
+        // music -> duck (turned down under sound effects) -> music volume -> master
+        this.context = null;
+        this.masterGain = null;
+        this.effectsGain = null;
+        this.musicGain = null;
+        this.duckGain = null;
+        this.noiseBuffer = null;
+        
+        // Reasons the context is suspended, e.g. 'hidden' or 'paused'
+        this.suspendReasons = new Set();
+        
+        // While silent (e.g. fast-forwarding a replay) effects aren't played
+        this.silent = false;
+        
+        // Settings screen controls, kept in step when the mute key is used
+        this.muteSelect = null;
+        
+        this.unlock = this.unlock.bind(this);
+        this.onVisibilityChange = () => this.setSuspended('hidden', document.hidden);
+    }
+    
+    /**
+     * Wait for the first user gesture to start the sound, and follow the page visibility
+     */
+    init() {
+        ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+            window.addEventListener(type, this.unlock);
+        });
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+    }
+    
+    /**
+     * Check if the browser has the Web Audio API
+     * @returns {boolean} - True if sound can be played
+     */
+    isSupported() {
+        return typeof window.AudioContext === 'function' || typeof window.webkitAudioContext === 'function';
+    }
+    
+    /**
+     * Create the audio context, on a user gesture
+     */
+    unlock() {
+        if (this.context || !this.isSupported()) return;
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        try {
+            this.context = new AudioContextClass();
+        } catch (error) {
+            console.warn('Could not start sound:', error);
+            return;
+        }
+        
+        this.masterGain = this.context.createGain();
+        this.masterGain.connect(this.context.destination);
+        this.effectsGain = this.context.createGain();
+        this.effectsGain.connect(this.masterGain);
+        this.musicGain = this.context.createGain();
+        this.musicGain.connect(this.masterGain);
+        this.duckGain = this.context.createGain();
+        this.duckGain.connect(this.musicGain);
+        this.applyVolume();
+        
+        // One second of white noise, played from a random point for each noise tone
+        const length = this.context.sampleRate;
+        this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const samples = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            samples[i] = Math.random() * 2 - 1;
+        }
+        
+        ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+            window.removeEventListener(type, this.unlock);
+        });
+        this.updateSuspension();
+    }
+    
+    /**
+     * Hold the sound off for a reason, or let go of it
+     * @param {string} reason - Why, e.g. 'hidden' or 'paused'
+     * @param {boolean} suspended - True to hold the sound off, false to let go
+     */
+    setSuspended(reason, suspended) {
+        if (suspended) {
+            this.suspendReasons.add(reason);
+        } else {
+            this.suspendReasons.delete(reason);
+        }
+        this.updateSuspension();
+    }
+    
+    /**
+     * Suspend or resume the audio context to match the reasons held
+     */
+    updateSuspension() {
+        if (!this.context) return;
+        
+        const change = this.suspendReasons.size > 0 ? this.context.suspend() : this.context.resume();
+        change.catch(error => console.warn('Could not change the sound state:', error));
+    }
+    
+    /**
+     * Play a sound effect
+     * @param {string} name - One of the SOUND_EFFECTS
+     * @param {number} volume - Volume of this play (0-1), e.g. softer for a small bounce
+     */
+    play(name, volume = 1) {
+        if (!this.context || this.silent || this.settings.muted || this.context.state !== 'running') return;
+        
+        const start = this.context.currentTime;
+        let time = start;
+        SOUND_EFFECTS[name].forEach(tone => {
+            this.playTone(tone, time, volume);
+            time += tone.length;
+        });
+        
+        if (MUSIC_DUCKING_EFFECTS.includes(name)) {
+            this.duckMusic(start, time);
+        }
+    }
+    
+    /**
+     * Turn the music down for a while
+     * @param {number} start - Audio context time to turn it down at
+     * @param {number} end - Audio context time to bring it back from
+     */
+    duckMusic(start, end) {
+        const gain = this.duckGain.gain;
+        gain.cancelScheduledValues(start);
+        gain.setValueAtTime(gain.value, start);
+        gain.linearRampToValueAtTime(MUSIC_DUCK_LEVEL, start + 0.03);
+        gain.setValueAtTime(MUSIC_DUCK_LEVEL, end);
+        gain.linearRampToValueAtTime(1, end + 0.3);
+    }
+    
+    /**
+     * Schedule one tone of a sound effect or the music
+     * @param {Object} tone - {wave, frequency, to, length, volume} as in SOUND_EFFECTS; noise tones
+     *     may have a rate to play the noise slower (deeper) or faster
+     * @param {number} start - Audio context time to start at
+     * @param {number} volume - Volume of the whole effect (0-1)
+     * @param {AudioNode} output - Node to play into, the sound effects' by default
+     * @returns {AudioScheduledSourceNode} - The tone's source, e.g. to stop it early
+     */
+    playTone(tone, start, volume, output = this.effectsGain) {
+        const end = start + tone.length;
+        
+        // A quick fade in and out, so tones don't click
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.linearRampToValueAtTime(tone.volume * volume, start + 0.005);
+        gain.gain.setValueAtTime(tone.volume * volume, Math.max(end - 0.02, start + 0.005));
+        gain.gain.exponentialRampToValueAtTime(0.0001, end);
+        gain.connect(output);
+        
+        let source;
+        if (tone.wave === 'noise') {
+            source = this.context.createBufferSource();
+            source.buffer = this.noiseBuffer;
+            source.playbackRate.value = tone.rate || 1;
+            source.connect(gain);
+            source.start(start, Math.random() * (this.noiseBuffer.duration - tone.length));
+        } else {
+            source = this.context.createOscillator();
+            source.type = tone.wave;
+            source.frequency.setValueAtTime(tone.frequency, start);
+            if (tone.to) {
+                source.frequency.exponentialRampToValueAtTime(tone.to, end);
+            }
+            source.connect(gain);
+            source.start(start);
+        }
+        source.stop(end);
+        
+        // Let go of the nodes once the tone is over
+        source.onended = () => gain.disconnect();
+        return source;
+    }
+    
+    /**
+     * Set the gains from the volume settings
+     */
+    applyVolume() {
+        if (!this.context) return;
+        
+        const now = this.context.currentTime;
+        this.masterGain.gain.setValueAtTime(this.settings.muted ? 0 : this.settings.volume, now);
+        this.effectsGain.gain.setValueAtTime(this.settings.effects, now);
+        this.musicGain.gain.setValueAtTime(this.settings.music, now);
+    }
+    
+    /**
+     * Turn all sound off or back on
+     * @returns {boolean} - True if the sound is now muted
+     */
+    toggleMute() {
+        this.setSetting('muted', !this.settings.muted);
+        if (this.muteSelect) {
+            this.muteSelect.value = this.settings.muted ? 'off' : 'on';
+        }
+        return this.settings.muted;
+    }
+    
+    /**
+     * Load the saved sound settings, falling back to the defaults for anything missing
+     * @returns {Object} - Sound settings
+     */
+    loadSettings() {
+        const settings = Object.assign({}, DEFAULT_AUDIO_SETTINGS);
+        
+        const saved = this.saveSystem.getSetting('audio');
+        if (saved && typeof saved === 'object') {
+            if (typeof saved.muted === 'boolean') settings.muted = saved.muted;
+            if (typeof saved.volume === 'number') settings.volume = Math.max(0, Math.min(saved.volume, 1));
+            if (typeof saved.effects === 'number') settings.effects = Math.max(0, Math.min(saved.effects, 1));
+            if (typeof saved.music === 'number') settings.music = Math.max(0, Math.min(saved.music, 1));
+        }
+        
+        return settings;
+    }
+    
+    /**
+     * Change a sound setting, save it and apply it
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     */
+    setSetting(key, value) {
+        this.settings[key] = value;
+        this.saveSystem.setSetting('audio', this.settings);
+        this.applyVolume();
+    }
+    
+    /**
+     * Add the sound options to the settings screen
+     * @param {SettingsScreen} settingsScreen - Settings screen to add a section to
+     */
+    addSettings(settingsScreen) {
+        const section = settingsScreen.addSection('Sound');
+        
+        this.muteSelect = settingsScreen.addSelect(section, 'Sound', [
+            { value: 'on', label: 'On' },
+            { value: 'off', label: 'Off' }
+        ], this.settings.muted ? 'off' : 'on', value => this.setSetting('muted', value === 'off'));
+        
+        settingsScreen.addSlider(section, 'Volume', 0, 1, 0.05, this.settings.volume,
+            value => this.setSetting('volume', value));
+        
+        settingsScreen.addSlider(section, 'Effects', 0, 1, 0.05, this.settings.effects,
+            value => this.setSetting('effects', value));
+        
+        settingsScreen.addSlider(section, 'Music', 0, 1, 0.05, this.settings.music,
+            value => this.setSetting('music', value));
+    }
+}
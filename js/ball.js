@@ -2,9 +2,10 @@
  * Class representing the bouncing ball character
  */
 class Ball {
-    constructor(scene, physicsWorld) {
+    constructor(scene, physicsWorld, gameClock) {
         this.scene = scene;
         this.physicsWorld = physicsWorld;
+        this.gameClock = gameClock; // Game-time timers, so effects stop while paused
         
         // Ball properties
         this.radius = 0.5;
@@ -14,14 +15,24 @@ class Ball {
         this.jumpForce = 10;
         this.moveForce = 15; // Increased for better responsiveness
         this.maxSpeed = 15; // Maximum horizontal speed
+        this.moveSpeed = 8; // Horizontal speed when moving at full input
         this.isEnlarged = false;
         this.isAntiGravity = false;
         
+        // Buoyancy relative to gravity: the normal ball sinks slowly, the enlarged ball floats
+        this.normalBuoyancy = 0.85;
+        this.enlargedBuoyancy = 1.6;
+        this.waterSubmersion = 0; // Submerged fraction (0-1), set by the game each frame
+        
         // Ball state
         this.isOnGround = false;
-        this.movingLeft = false;
-        this.movingRight = false;
+        this.groundBody = null; // Body the ball stands on, or null in the air
+        this.groundNormal = new CANNON.Vec3(0, 1, 0); // Normal of the surface under the ball
+        this.maxGroundSlope = 60; // Steepest surface in degrees that still counts as ground
+        this.carriedVelocity = new CANNON.Vec3(); // Velocity of the moving platform carrying the ball
         this.jumpCooldown = 0; // Cooldown timer for jumps
+        this.onBounce = null; // Called with the impact speed when the ball bounces off a landing
+        this.onSpeedChange = null; // Called with true when the speed power-up starts and false when it ends
         
         // Mesh and physics body
         this.mesh = null;
@@ -31,11 +42,9 @@ class Ball {
         this.checkpoint = { x: 0, y: 2, z: 0 };
         this.initialPosition = { x: 0, y: 2, z: 0 };
         
-        // Power-up timers
-        this.powerUpTimers = {
-            speed: null,
-            antiGravity: null
-        };
+        // Power-up durations run on the game clock, with timers named after the power-up type
+        this.powerUpDuration = 5; // Seconds the speed and anti-gravity power-ups last
+        this.antiGravityStrength = 0.9; // Share of gravity cancelled while anti-gravity is on
         
         // Trail effect
         this.trail = null;
@@ -47,10 +56,13 @@ class Ball {
         // Enable continuous, small bouncing like the original Nokia game
         this.autoBounce = true;
         this.idleBounceCooldown = 0;
-        this.lastBounceTime = 0;
+        this.lastBounceTime = 0; // Game time of the last idle bounce in seconds
         
-        // Visual stabilizer to prevent flashing
-        this.lastMeshPosition = new THREE.Vector3();
+        // Seed for the idle bounce wobble, so the same inputs always give the same run
+        this.randomSeed = 1;
+        
+        // Where the ball was before the last physics step, for swept collision checks
+        this.previousPosition = new CANNON.Vec3();
     }
     
     /**
@@ -96,6 +108,17 @@ class Ball {
             this.body.angularDamping = 0.4;
             this.body.fixedRotation = false;
             
+            this.storePreviousPosition();
+            
+            // Anti-gravity pushes back against most of the world's gravity before every physics step
+            // (done here rather than per body, since enlarging and shrinking replace the body)
+            this.physicsWorld.world.addEventListener('preStep', () => {
+                if (this.isAntiGravity) {
+                    const gravity = this.physicsWorld.world.gravity.y;
+                    this.body.force.y -= gravity * this.body.mass * this.antiGravityStrength;
+                }
+            });
+            
             // Initialize trail effect
             this.initTrail();
             
@@ -190,11 +213,11 @@ class Ball {
     }
     
     /**
-     * Update the ball
-     * @param {number} deltaTime - Time since last update
+     * Update the ball, once per fixed game tick
+     * @param {number} deltaTime - Length of the tick in seconds
      */
     update(deltaTime) {
-        const time = performance.now() / 1000; // Current time in seconds
+        const time = this.gameClock.time; // Game time in seconds
         
         // Update position vector for easy access
         this.position = this.body.position;
@@ -205,11 +228,16 @@ class Ball {
         // Always make sure physics is being properly applied
         this.ensurePhysicsIntegrity();
         
-        // Apply strict velocity caps to prevent unwanted movement
-        this.capVerticalVelocity();
-        
-        // Always apply authentic Nokia-style continuous bouncing
-        this.applyContinuousBounce();
+        if (this.waterSubmersion > 0) {
+            // Buoyancy and drag take care of vertical movement in water, just keep the hard limits
+            this.body.velocity.y = Math.min(Math.max(this.body.velocity.y, -12), 5);
+        } else {
+            // Apply strict velocity caps to prevent unwanted movement
+            this.capVerticalVelocity();
+            
+            // Always apply authentic Nokia-style continuous bouncing
+            this.applyContinuousBounce();
+        }
         
         // Update the trail effect
         this.updateTrail(time);
@@ -218,23 +246,26 @@ class Ball {
         if (this.jumpCooldown > 0) {
             this.jumpCooldown -= deltaTime;
         }
-        
-        // Add a slight rotation based on movement for visual effect
-        if (this.body.velocity.x !== 0) {
-            this.mesh.rotation.z -= this.body.velocity.x * 0.01;
-        }
-        
-        // Anti-flashing stabilization - only allow smooth position changes
-        if (this.lastMeshPosition.distanceTo(this.mesh.position) > 1.0) {
-            // If there's a large jump, it's likely a teleport/respawn - allow it
-            this.lastMeshPosition.copy(this.mesh.position);
-        } else if (this.lastMeshPosition.distanceTo(this.mesh.position) < 0.01) {
-            // For tiny jitters, use the previous position to prevent flashing
-            this.mesh.position.copy(this.lastMeshPosition);
-        } else {
-            // For normal movement, store the position
-            this.lastMeshPosition.copy(this.mesh.position);
-        }
+    }
+    
+    /**
+     * Get a repeatable pseudo-random number (same seed, same sequence)
+     * @returns {number} - Number from 0 (inclusive) to 1 (exclusive)
+     */
+    random() {
+        // mulberry32
+        this.randomSeed = (this.randomSeed + 0x6D2B79F5) | 0;
+        let t = this.randomSeed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    /**
+     * Remember the current position as the start of this frame's movement
+     */
+    storePreviousPosition() {
+        this.previousPosition.copy(this.body.position);
     }
     
     /**
@@ -266,6 +297,7 @@ class Ball {
     
     /**
      * Update the trail effect
+     * @param {number} time - Game time in seconds
      */
     updateTrail(time) {
         // Only update at certain intervals for performance
@@ -276,9 +308,9 @@ class Ball {
         
         // Add current position to trail
         this.trailPoints.unshift({
-            x: this.mesh.position.x,
-            y: this.mesh.position.y,
-            z: this.mesh.position.z
+            x: this.body.position.x,
+            y: this.body.position.y,
+            z: this.body.position.z
         });
         
         // Limit the number of trail points
@@ -327,16 +359,16 @@ class Ball {
         // Only apply idle bounce if we're truly idle to prevent interfering with natural bounce
         if (isIdle) {
             // Calculate time since last bounce
-            const currentTime = performance.now();
+            const currentTime = this.gameClock.time;
             const timeSinceLastBounce = currentTime - this.lastBounceTime;
             
             // Apply Nokia-style continuous small bounce (occurs about once per second)
-            if (timeSinceLastBounce > 800) { // 800ms timing matches original Nokia bounce rhythm
+            if (timeSinceLastBounce > 0.8) { // 800ms timing matches original Nokia bounce rhythm
                 // Apply just enough force for a tiny continuous bounce
                 this.body.velocity.y = 1.5;
                 
                 // Add a tiny random horizontal variance like in the original
-                const randomXVariance = (Math.random() - 0.5) * 0.2;
+                const randomXVariance = (this.random() - 0.5) * 0.2;
                 this.body.velocity.x += randomXVariance;
                 
                 // Apply subtle visual effect
@@ -349,43 +381,51 @@ class Ball {
     }
     
     /**
-     * Use raycasting to reliably detect ground contact
+     * Use raycasting to reliably detect ground contact, on flat ground and on slopes
+     *
+     * A ray straight down finds the surface under the ball. On a slope that surface is
+     * closer along its normal than straight down, and under a curve the normal changes on
+     * the way, so a second ray towards the surface along its normal measures the distance.
      */
     checkGroundContact() {
         // Previous ground state for detecting landing moments
         const wasOnGround = this.isOnGround;
+        const radius = this.getRadius();
+        const minNormalY = Math.cos(this.maxGroundSlope * Math.PI / 180);
         
-        // Create a raycast from slightly above the ball's center downward
-        const start = new CANNON.Vec3(
-            this.body.position.x,
-            this.body.position.y,
-            this.body.position.z
-        );
-        
-        const end = new CANNON.Vec3(
-            this.body.position.x,
-            this.body.position.y - this.radius - 0.05, // Shorter raycast for more conservative detection
-            this.body.position.z
-        );
-        
-        // Perform the raycast
-        const result = new CANNON.RaycastResult();
-        this.physicsWorld.world.raycastClosest(start, end, {}, result);
+        // Straight down, long enough to reach the steepest surface the ball can stand on
+        let hit = this.castGroundRay(new CANNON.Vec3(0, -1, 0), radius / minNormalY + 0.05);
+        if (hit && hit.normal.y >= minNormalY) {
+            hit = this.castGroundRay(hit.normal.negate(), radius + 0.05);
+        }
         
-        // If hit something, we're on the ground
-        if (result.hasHit) {
+        // Only surfaces flat enough to stand on, touching the ball along their normal, are ground
+        if (hit && hit.normal.y >= minNormalY && hit.distance <= radius + 0.05) {
             this.isOnGround = true;
+            this.groundBody = hit.body;
+            this.groundNormal.copy(hit.normal);
+            
+            // In water buoyancy and drag decide the vertical movement, don't bounce or settle
+            if (this.waterSubmersion > 0) {
+                return;
+            }
             
             // If we just landed and have significant downward velocity, bounce!
             if (!wasOnGround && this.body.velocity.y < -2) {
                 this.bounce();
             }
             
-            // Zero out very small vertical velocity to prevent micro-bounces
-            if (Math.abs(this.body.velocity.y) < 0.5) {
-                this.body.velocity.y = 0;
+            // Zero out very small velocity into or away from the surface to prevent micro-bounces,
+            // leaving the velocity along a slope alone so the ball can roll down it
+            const velocity = this.body.velocity;
+            const normalSpeed = velocity.dot(this.groundNormal);
+            if (Math.abs(normalSpeed) < 0.5) {
+                velocity.vsub(this.groundNormal.scale(normalSpeed), velocity);
             }
         } else {
+            this.groundBody = null;
+            this.groundNormal.set(0, 1, 0);
+            
             // Only consider not on ground if we've actually moved away from it
             if (this.body.velocity.y < -0.5) {
                 this.isOnGround = false;
@@ -393,6 +433,37 @@ class Ball {
         }
     }
     
+    /**
+     * Cast a ray from the ball's center, past the ball itself
+     * @param {CANNON.Vec3} direction - Unit direction of the ray
+     * @param {number} length - Length of the ray
+     * @returns {Object|null} - Closest hit {body, distance, normal}, or null if the ray hits nothing
+     */
+    castGroundRay(direction, length) {
+        const start = this.body.position;
+        const end = start.vadd(direction.scale(length));
+        
+        // The ray starts inside the ball, so skip its own body
+        let hit = null;
+        this.physicsWorld.world.raycastAll(start, end, {}, result => {
+            if (result.body === this.body || (hit && hit.distance <= result.distance)) return;
+            hit = {
+                body: result.body,
+                distance: result.distance,
+                normal: result.hitNormalWorld.clone()
+            };
+        });
+        return hit;
+    }
+    
+    /**
+     * Check if the ball stands on a slope (a ramp, a curve or a tilted platform)
+     * @returns {boolean} - True if the ground under the ball isn't level
+     */
+    isOnSlope() {
+        return this.isOnGround && this.groundNormal.y < 0.999;
+    }
+    
     /**
      * Handle bounce physics and effects
      */
@@ -419,46 +490,76 @@ class Ball {
             // Scale visual effect based on impact (squash and stretch)
             const bounceScale = Math.min(1 + (impactVelocity / 30), 1.25);
             this.applyBounceVisualEffect(bounceScale);
+            
+            if (this.onBounce) {
+                this.onBounce(impactVelocity);
+            }
         }
     }
     
     /**
      * Apply a visual squash and stretch effect on bounce
+     * @param {number} scale - How strongly to squash the ball
      */
     applyBounceVisualEffect(scale) {
-        // Store original scale to restore later
-        const originalScale = this.mesh.scale.clone();
+        // Scale relative to the ball's resting size, so overlapping bounces can't leave it deformed
+        const restingScale = () => this.getRadius() / this.normalRadius;
+        const baseScale = restingScale();
         
         // Apply squash effect (flatten vertically, expand horizontally)
         this.mesh.scale.set(
-            originalScale.x * scale,
-            originalScale.y * (0.8 / scale),
-            originalScale.z * scale
+            baseScale * scale,
+            baseScale * (0.8 / scale),
+            baseScale * scale
         );
         
-        // Restore to normal over time
-        setTimeout(() => {
+        // Restore to normal over time (a new bounce replaces the running effect)
+        this.gameClock.after(0.1, () => {
             // Create a subtle bounce-back effect
+            const bounceBackScale = restingScale();
             this.mesh.scale.set(
-                originalScale.x * 0.95,
-                originalScale.y * 1.05,
-                originalScale.z * 0.95
+                bounceBackScale * 0.95,
+                bounceBackScale * 1.05,
+                bounceBackScale * 0.95
             );
             
             // Then restore original scale
-            setTimeout(() => {
-                this.mesh.scale.copy(originalScale);
-            }, 100);
-        }, 100);
+            this.gameClock.after(0.1, () => {
+                this.mesh.scale.setScalar(restingScale());
+            }, 'bounceEffect');
+        }, 'bounceEffect');
+    }
+    
+    /**
+     * Get the current radius of the ball
+     * @returns {number} - Radius in world units
+     */
+    getRadius() {
+        return this.isEnlarged ? this.largeRadius : this.normalRadius;
+    }
+    
+    /**
+     * Get how strongly water pushes the ball up
+     * @returns {number} - Buoyancy relative to gravity
+     */
+    getBuoyancy() {
+        return this.isEnlarged ? this.enlargedBuoyancy : this.normalBuoyancy;
     }
     
     /**
      * Make the ball jump
+     * @returns {boolean} - True if it jumped, false if it couldn't (in the air or cooling down)
      */
     jump() {
-        if ((this.isOnGround || this.isAntiGravity) && this.jumpCooldown <= 0) {
-            // Apply upward impulse
-            const jumpStrength = this.isEnlarged ? this.jumpForce * 0.8 : this.jumpForce;
+        // The ball can push off in water, like swimming
+        const isSwimming = this.waterSubmersion > 0.3;
+        
+        if ((this.isOnGround || this.isAntiGravity || isSwimming) && this.jumpCooldown <= 0) {
+            // Apply upward impulse, weaker when not standing on something
+            let jumpStrength = this.isEnlarged ? this.jumpForce * 0.8 : this.jumpForce;
+            if (isSwimming && !this.isOnGround) {
+                jumpStrength *= 0.6;
+            }
             this.body.applyImpulse(new CANNON.Vec3(0, jumpStrength, 0), this.body.position);
             this.isOnGround = false;
             
@@ -467,59 +568,9 @@ class Ball {
             
             // Reset any extreme rotation
             this.body.angularVelocity.set(0, 0, 0);
+            return true;
         }
-    }
-    
-    /**
-     * Begin moving left
-     * @param {boolean} active - Whether to activate or deactivate movement
-     */
-    moveLeft(active) {
-        this.movingLeft = active;
-        if (active) {
-            this.movingRight = false;
-            console.log('Moving left activated');
-        } else {
-            console.log('Moving left deactivated');
-        }
-        
-        // Apply immediate velocity change for more responsive control
-        if (this.body) {
-            const currentVel = this.body.velocity;
-            if (active) {
-                // Set a strong leftward velocity immediately
-                this.body.velocity.set(-8, currentVel.y, currentVel.z);
-            } else if (!this.movingRight) {
-                // Stop horizontal movement if not moving right
-                this.body.velocity.set(0, currentVel.y, currentVel.z);
-            }
-        }
-    }
-    
-    /**
-     * Begin moving right
-     * @param {boolean} active - Whether to activate or deactivate movement
-     */
-    moveRight(active) {
-        this.movingRight = active;
-        if (active) {
-            this.movingLeft = false;
-            console.log('Moving right activated');
-        } else {
-            console.log('Moving right deactivated');
-        }
-        
-        // Apply immediate velocity change for more responsive control
-        if (this.body) {
-            const currentVel = this.body.velocity;
-            if (active) {
-                // Set a strong rightward velocity immediately
-                this.body.velocity.set(8, currentVel.y, currentVel.z);
-            } else if (!this.movingLeft) {
-                // Stop horizontal movement if not moving left
-                this.body.velocity.set(0, currentVel.y, currentVel.z);
-            }
-        }
+        return false;
     }
     
     /**
@@ -648,58 +699,73 @@ class Ball {
      * Increase the ball's speed temporarily
      */
     increaseSpeed() {
-        const originalMoveForce = this.moveForce;
-        const originalMaxSpeed = this.maxSpeed;
-        
-        // Increase speed parameters
-        this.moveForce *= 2;
-        this.maxSpeed *= 1.5;
+        // Only boost once, collecting another speed box while boosted just restarts the countdown
+        if (!this.gameClock.isActive('speed')) {
+            this.moveForce *= 2;
+            this.maxSpeed *= 1.5;
+            this.moveSpeed *= 1.5;
+            
+            if (this.onSpeedChange) {
+                this.onSpeedChange(true);
+            }
+        }
         
         // Visual feedback
         this.mesh.material.emissive.set(0x003300);
         this.trail.material.color.set(0xFF3333);
         
-        // Clear existing timer if there is one
-        if (this.powerUpTimers.speed) {
-            clearTimeout(this.powerUpTimers.speed);
-        }
+        // Reset after 5 seconds of game time
+        this.gameClock.after(this.powerUpDuration, () => this.endSpeedBoost(), 'speed');
+    }
+    
+    /**
+     * End the speed power-up and go back to normal speed
+     */
+    endSpeedBoost() {
+        this.gameClock.cancel('speed');
+        this.moveForce = 15; // Reset to default
+        this.maxSpeed = 15;
+        this.moveSpeed = 8;
+        this.mesh.material.emissive.set(0x330000);
+        this.trail.material.color.set(0xFF6666);
         
-        // Reset after 5 seconds
-        this.powerUpTimers.speed = setTimeout(() => {
-            this.moveForce = originalMoveForce;
-            this.maxSpeed = originalMaxSpeed;
-            this.mesh.material.emissive.set(0x330000);
-            this.trail.material.color.set(0xFF6666);
-            this.powerUpTimers.speed = null;
-        }, 5000);
+        if (this.onSpeedChange) {
+            this.onSpeedChange(false);
+        }
     }
     
     /**
      * Enable anti-gravity mode temporarily
      */
     enableAntiGravity() {
+        // Reduce gravity effect (applied before every physics step, see init)
         this.isAntiGravity = true;
         
-        // Reduce gravity effect
-        this.body.gravity.set(0, -1, 0);
-        
         // Visual feedback
         this.mesh.material.emissive.set(0x220033);
         this.trail.material.color.set(0xAA66FF);
         
-        // Clear existing timer if there is one
-        if (this.powerUpTimers.antiGravity) {
-            clearTimeout(this.powerUpTimers.antiGravity);
-        }
-        
-        // Reset after 5 seconds
-        this.powerUpTimers.antiGravity = setTimeout(() => {
-            this.isAntiGravity = false;
-            this.body.gravity.set(0, -9.82, 0);
-            this.mesh.material.emissive.set(0x330000);
-            this.trail.material.color.set(0xFF6666);
-            this.powerUpTimers.antiGravity = null;
-        }, 5000);
+        // Reset after 5 seconds of game time
+        this.gameClock.after(this.powerUpDuration, () => this.disableAntiGravity(), 'antigravity');
+    }
+    
+    /**
+     * End anti-gravity mode and restore normal gravity
+     */
+    disableAntiGravity() {
+        this.gameClock.cancel('antigravity');
+        this.isAntiGravity = false;
+        this.mesh.material.emissive.set(0x330000);
+        this.trail.material.color.set(0xFF6666);
+    }
+    
+    /**
+     * Get the game time left on a timed power-up
+     * @param {string} type - Power-up type ('speed' or 'antigravity')
+     * @returns {number} - Seconds left, 0 if the power-up isn't active
+     */
+    getPowerUpTimeLeft(type) {
+        return this.gameClock.remaining(type);
     }
     
     /**
@@ -720,6 +786,13 @@ class Ball {
         // Reset velocity
         this.body.velocity.set(0, 0, 0);
         this.body.angularVelocity.set(0, 0, 0);
+        this.carriedVelocity.set(0, 0, 0);
+        this.groundBody = null;
+        this.groundNormal.set(0, 1, 0);
+        
+        // Teleporting isn't movement, don't sweep collisions or draw the ball across it
+        this.storePreviousPosition();
+        this.physicsWorld.snapBody(this.body);
         
         // Reset trail
         this.trailPoints = [];
@@ -731,36 +804,51 @@ class Ball {
         }
         
         if (this.isAntiGravity) {
-            this.isAntiGravity = false;
-            this.body.gravity.set(0, -9.82, 0);
-            
-            if (this.powerUpTimers.antiGravity) {
-                clearTimeout(this.powerUpTimers.antiGravity);
-                this.powerUpTimers.antiGravity = null;
-            }
+            this.disableAntiGravity();
         }
         
-        if (this.powerUpTimers.speed) {
-            clearTimeout(this.powerUpTimers.speed);
-            this.moveForce = 15; // Reset to default
-            this.maxSpeed = 15;
-            this.powerUpTimers.speed = null;
+        if (this.gameClock.isActive('speed')) {
+            this.endSpeedBoost();
         }
         
+        // Stop any squash effect halfway through
+        this.gameClock.cancel('bounceEffect');
+        this.mesh.scale.setScalar(this.getRadius() / this.normalRadius);
+        
         // Reset visual appearance
         this.mesh.material.emissive.set(0x330000);
         this.trail.material.color.set(0xFF6666);
     }
     
     /**
-     * Reset the ball to initial position
+     * Reset the ball to initial position, leaving nothing behind from an earlier run
+     * @param {number} seed - Seed for the ball's random wobble, the same seed gives the same run
      */
-    reset() {
+    reset(seed = 1) {
         // Reset checkpoint
         this.checkpoint = { ...this.initialPosition };
         
+        // The game clock starts again from zero, and so does everything timed by it
+        this.lastBounceTime = 0;
+        this.lastTrailUpdateTime = 0;
+        this.randomSeed = seed;
+        this.jumpCooldown = 0;
+        this.isOnGround = false;
+        this.waterSubmersion = 0;
+        
         // Call respawn to reset position and states
         this.respawn();
+        this.endSpeedBoost();
+        this.body.quaternion.set(0, 0, 0, 1);
+        this.body.force.set(0, 0, 0);
+        this.body.torque.set(0, 0, 0);
+        this.body.wakeUp();
+        
+        // Put the body last in the physics world, after the level's bodies, so contacts are
+        // solved in the same order on every run whatever happened to the ball before
+        this.physicsWorld.world.removeBody(this.body);
+        this.physicsWorld.world.addBody(this.body);
+        this.physicsWorld.snapBody(this.body);
     }
     
     /**
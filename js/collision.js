@@ -0,0 +1,158 @@
+/**
+ * Geometry tests used for gameplay collisions (hazards, hoops and pickups)
+ *
+ * All vectors are plain {x, y, z} objects, so CANNON.Vec3 and THREE.Vector3
+ * can be passed in directly. Boxes are axis-aligned and given by their center
+ * and full size, the same way Level stores them.
+ */
+class Collision {
+    /**
+     * Check if a sphere overlaps a box
+     * @param {Object} center - Sphere center {x, y, z}
+     * @param {number} radius - Sphere radius
+     * @param {Object} boxCenter - Box center {x, y, z}
+     * @param {Object} boxSize - Box size {x, y, z}
+     * @returns {boolean} - True if they overlap
+     */
+    static sphereIntersectsBox(center, radius, boxCenter, boxSize) {
+        // Distance from the sphere center to the closest point of the box on each axis
+        const dx = Math.max(Math.abs(center.x - boxCenter.x) - boxSize.x / 2, 0);
+        const dy = Math.max(Math.abs(center.y - boxCenter.y) - boxSize.y / 2, 0);
+        const dz = Math.max(Math.abs(center.z - boxCenter.z) - boxSize.z / 2, 0);
+        
+        return dx * dx + dy * dy + dz * dz <= radius * radius;
+    }
+    
+    /**
+     * Check if a line segment passes through a box (slab test)
+     * @param {Object} start - Segment start {x, y, z}
+     * @param {Object} end - Segment end {x, y, z}
+     * @param {Object} boxCenter - Box center {x, y, z}
+     * @param {Object} halfSize - Half the box size {x, y, z}
+     * @returns {boolean} - True if the segment touches the box
+     */
+    static segmentIntersectsBox(start, end, boxCenter, halfSize) {
+        let tMin = 0;
+        let tMax = 1;
+        
+        for (const axis of ['x', 'y', 'z']) {
+            const origin = start[axis] - boxCenter[axis];
+            const direction = end[axis] - start[axis];
+            
+            if (Math.abs(direction) < 1e-9) {
+                // Parallel to this slab, so it has to start inside it
+                if (Math.abs(origin) > halfSize[axis]) {
+                    return false;
+                }
+                continue;
+            }
+            
+            let t1 = (-halfSize[axis] - origin) / direction;
+            let t2 = (halfSize[axis] - origin) / direction;
+            if (t1 > t2) {
+                [t1, t2] = [t2, t1];
+            }
+            
+            tMin = Math.max(tMin, t1);
+            tMax = Math.min(tMax, t2);
+            if (tMin > tMax) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Check if a sphere moving from start to end touches a box at any point on the way
+     * This catches fast balls that would skip over thin hazards between two frames.
+     * @param {Object} start - Sphere center at the start of the move {x, y, z}
+     * @param {Object} end - Sphere center at the end of the move {x, y, z}
+     * @param {number} radius - Sphere radius
+     * @param {Object} boxCenter - Box center {x, y, z}
+     * @param {Object} boxSize - Box size {x, y, z}
+     * @returns {boolean} - True if the sphere touches the box
+     */
+    static sweptSphereIntersectsBox(start, end, radius, boxCenter, boxSize) {
+        if (Collision.sphereIntersectsBox(end, radius, boxCenter, boxSize)) {
+            return true;
+        }
+        
+        // Sweep the center against the box grown by the radius (slightly generous at the corners)
+        const expanded = {
+            x: boxSize.x / 2 + radius,
+            y: boxSize.y / 2 + radius,
+            z: boxSize.z / 2 + radius
+        };
+        
+        return Collision.segmentIntersectsBox(start, end, boxCenter, expanded);
+    }
+    
+    /**
+     * Get the shortest distance from a point to a line segment
+     * @param {Object} start - Segment start {x, y, z}
+     * @param {Object} end - Segment end {x, y, z}
+     * @param {Object} point - Point {x, y, z}
+     * @returns {number} - Distance
+     */
+    static segmentDistanceToPoint(start, end, point) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const dz = end.z - start.z;
+        const lengthSquared = dx * dx + dy * dy + dz * dz;
+        
+        // Project the point onto the segment
+        let t = 0;
+        if (lengthSquared > 0) {
+            t = ((point.x - start.x) * dx + (point.y - start.y) * dy + (point.z - start.z) * dz) / lengthSquared;
+            t = Math.min(Math.max(t, 0), 1);
+        }
+        
+        const cx = start.x + dx * t - point.x;
+        const cy = start.y + dy * t - point.y;
+        const cz = start.z + dz * t - point.z;
+        
+        return Math.sqrt(cx * cx + cy * cy + cz * cz);
+    }
+    
+    /**
+     * Check if a sphere moving from start to end touches another sphere
+     * @param {Object} start - Sphere center at the start of the move {x, y, z}
+     * @param {Object} end - Sphere center at the end of the move {x, y, z}
+     * @param {number} radius - Moving sphere radius
+     * @param {Object} center - Other sphere center {x, y, z}
+     * @param {number} otherRadius - Other sphere radius
+     * @returns {boolean} - True if the spheres touch
+     */
+    static sweptSphereIntersectsSphere(start, end, radius, center, otherRadius) {
+        return Collision.segmentDistanceToPoint(start, end, center) <= radius + otherRadius;
+    }
+    
+    /**
+     * Check if a point moving from start to end passes through the opening of a ring
+     * @param {Object} start - Position at the start of the move {x, y, z}
+     * @param {Object} end - Position at the end of the move {x, y, z}
+     * @param {Object} center - Ring center {x, y, z}
+     * @param {Object} normal - Unit vector perpendicular to the ring {x, y, z}
+     * @param {number} openingRadius - Radius of the hole in the ring
+     * @returns {boolean} - True if the path crosses the ring's plane inside the opening
+     */
+    static segmentCrossesRing(start, end, center, normal, openingRadius) {
+        // Signed distances of both ends from the ring's plane
+        const startSide = (start.x - center.x) * normal.x + (start.y - center.y) * normal.y + (start.z - center.z) * normal.z;
+        const endSide = (end.x - center.x) * normal.x + (end.y - center.y) * normal.y + (end.z - center.z) * normal.z;
+        
+        // Both ends on the same side means the plane wasn't crossed
+        if ((startSide > 0 && endSide > 0) || (startSide < 0 && endSide < 0) || startSide === endSide) {
+            return false;
+        }
+        
+        // Where the path meets the plane
+        const t = startSide / (startSide - endSide);
+        const hitX = start.x + (end.x - start.x) * t - center.x;
+        const hitY = start.y + (end.y - start.y) * t - center.y;
+        const hitZ = start.z + (end.z - start.z) * t - center.z;
+        
+        return hitX * hitX + hitY * hitY + hitZ * hitZ <= openingRadius * openingRadius;
+    }
+}
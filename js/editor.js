@@ -0,0 +1,1142 @@
+/**
+ * Tools in the editor toolbar. Tools with a create function place a new entry in
+ * the level file list of the same name.
+ */
+const EDITOR_TOOLS = [
+    { id: 'select', label: 'Select' },
+    { id: 'platforms', label: 'Platform', create: position => ({ position, size: { x: 3, y: 0.5, z: 3 } }) },
+    { id: 'bouncyPlatforms', label: 'Bouncy', create: position => ({ position, size: { x: 3, y: 0.5, z: 3 } }) },
+    { id: 'obstacles', label: 'Obstacle', create: position => ({ position, size: { x: 0.5, y: 0.5, z: 0.5 } }) },
+    {
+        id: 'movingPlatforms',
+        label: 'Lift',
+        create: position => ({
+            position: { ...position },
+            size: { x: 2, y: 0.5, z: 3 },
+            path: [{ x: position.x, y: position.y + 3, z: position.z }],
+            speed: 1,
+            mode: 'pingpong',
+            easing: 'easeInOut',
+            pause: 1,
+            rotationSpeed: 0
+        })
+    },
+    { id: 'ramps', label: 'Ramp', create: position => ({ position, size: { x: 4, y: 0.5, z: 3 }, angle: 15 }) },
+    {
+        id: 'curves',
+        label: 'Curve',
+        create: position => ({ position, radius: 3, from: 270, to: 360, thickness: 0.5, depth: 3, side: 'inside' })
+    },
+    {
+        id: 'enemies',
+        label: 'Enemy',
+        create: (position, editor) => ({
+            type: editor.enemyType,
+            position: { ...position },
+            path: [{ x: position.x, y: position.y + 2.5, z: position.z }],
+            speed: 1,
+            mode: 'pingpong',
+            easing: 'easeInOut',
+            pause: 0,
+            spawnDistance: null,
+            despawnDistance: null
+        })
+    },
+    { id: 'waterAreas', label: 'Water', create: position => ({ position, size: { x: 4, y: 2, z: 3 } }) },
+    { id: 'hoops', label: 'Hoop', create: position => ({ position, orientation: 'horizontal' }) },
+    { id: 'checkpoints', label: 'Checkpoint', create: position => ({ position }) },
+    { id: 'powerUps', label: 'Power-up', create: (position, editor) => ({ position, type: editor.powerUpType }) },
+    {
+        id: 'emitters',
+        label: 'Particles',
+        create: (position, editor) => ({ effect: editor.emitterEffect, position, size: { x: 4, y: 2, z: 3 }, rate: null })
+    },
+    { id: 'exit', label: 'Exit' },
+    { id: 'spawn', label: 'Spawn' }
+];
+
+/**
+ * Maximum number of undo steps kept
+ */
+const EDITOR_HISTORY_LIMIT = 100;
+
+/**
+ * In-browser level editor
+ *
+ * Edits level data in the level file format and rebuilds the level with
+ * Level.buildFromData after every change, so what you see is exactly what
+ * loadLevel would build from the exported file.
+ */
+class LevelEditor {
+    /**
+     * @param {Game} game - Initialized game instance
+     */
+    constructor(game) {
+        this.game = game;
+        this.renderer = game.renderer;
+        this.level = game.level;
+        this.canvas = this.renderer.renderer.domElement;
+        
+        // Editor state
+        this.enabled = false;
+        this.playing = false;
+        this.data = null;
+        this.tool = 'select';
+        this.gridSize = 0.5;
+        this.powerUpType = 'enlarge';
+        this.enemyType = 'spider';
+        this.emitterEffect = 'fireflies';
+        this.selection = null; // {list, index, field, point} of the selected level file entry ('spawn' and 'exit' have index 0)
+        this.drag = null;
+        this.pan = null;
+        this.cursor = null; // Last clicked point, used by "play from here"
+        
+        // Undo/redo history of serialized level data
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        // Editor camera looks at {x, y} on the z = 0 plane from a distance
+        this.view = { x: 0, y: 2, distance: 18 };
+        
+        // Mouse picking against the z = 0 plane where levels are laid out
+        this.raycaster = new THREE.Raycaster();
+        this.plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), 0);
+        this.pointer = new THREE.Vector2();
+        
+        // Editor-only scene helpers
+        this.helpers = new THREE.Group();
+        this.grid = null;
+        this.selectionBox = null;
+        this.spawnMarker = null;
+        this.pathHelpers = new THREE.Group(); // Moving platform and enemy path handles, and their paths
+        this.handleTargets = new Map(); // helper mesh -> selection target
+        
+        // DOM elements
+        this.toolbar = null;
+        this.toolButtons = {};
+        this.playButton = null;
+        this.statusElement = null;
+        this.nameInput = null;
+        this.medalInputs = null; // Medal name -> number input
+        this.fileInput = null;
+        
+        // Bound event handlers so they can be removed again
+        this.boundLoop = this.loop.bind(this);
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onContextMenu = event => event.preventDefault();
+    }
+    
+    /**
+     * Switch the game into editor mode, editing the currently loaded level
+     */
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        
+        this.game.startEditing();
+        this.data = JSON.parse(JSON.stringify(this.level.data));
+        this.view.x = this.data.spawn.x;
+        this.view.y = this.data.spawn.y;
+        
+        this.createHelpers();
+        this.createToolbar();
+        document.body.classList.add('editor-mode');
+        
+        this.canvas.addEventListener('pointerdown', this.onPointerDown);
+        this.canvas.addEventListener('contextmenu', this.onContextMenu);
+        this.canvas.addEventListener('wheel', this.onWheel, { passive: false });
+        window.addEventListener('pointermove', this.onPointerMove);
+        window.addEventListener('pointerup', this.onPointerUp);
+        window.addEventListener('keydown', this.onKeyDown);
+        
+        this.showEditView();
+        console.log('Level editor enabled');
+    }
+    
+    /**
+     * Leave editor mode and go back to the main menu
+     */
+    disable() {
+        if (!this.enabled) return;
+        
+        if (this.playing) {
+            this.game.stopPlaytest();
+            this.playing = false;
+        }
+        this.enabled = false;
+        
+        this.canvas.removeEventListener('pointerdown', this.onPointerDown);
+        this.canvas.removeEventListener('contextmenu', this.onContextMenu);
+        this.canvas.removeEventListener('wheel', this.onWheel);
+        window.removeEventListener('pointermove', this.onPointerMove);
+        window.removeEventListener('pointerup', this.onPointerUp);
+        window.removeEventListener('keydown', this.onKeyDown);
+        
+        this.renderer.scene.remove(this.helpers);
+        this.toolbar.remove();
+        document.body.classList.remove('editor-mode');
+        this.setBallVisible(true);
+        
+        this.game.showMenu();
+        console.log('Level editor disabled');
+    }
+    
+    /**
+     * Create the grid, selection box and spawn marker
+     */
+    createHelpers() {
+        this.renderer.scene.add(this.helpers);
+        
+        // Selection outline
+        this.selectionBox = new THREE.BoxHelper(undefined, 0xFFFFFF);
+        this.selectionBox.visible = false;
+        this.helpers.add(this.selectionBox);
+        
+        // Spawn point marker - a see-through ball
+        const spawnGeometry = new THREE.SphereGeometry(0.5, 16, 16);
+        const spawnMaterial = new THREE.MeshBasicMaterial({
+            color: 0xFF0000,
+            wireframe: true
+        });
+        this.spawnMarker = new THREE.Mesh(spawnGeometry, spawnMaterial);
+        this.helpers.add(this.spawnMarker);
+        this.helpers.add(this.pathHelpers);
+        
+        this.createGrid();
+    }
+    
+    /**
+     * (Re)create the snapping grid for the current grid size
+     */
+    createGrid() {
+        if (this.grid) {
+            this.helpers.remove(this.grid);
+        }
+        
+        // Grid in the x/y plane, one line per grid step
+        const extent = 100;
+        this.grid = new THREE.GridHelper(extent, extent / this.gridSize, 0x444444, 0xAAAAAA);
+        this.grid.rotation.x = Math.PI / 2;
+        this.grid.material.transparent = true;
+        this.grid.material.opacity = 0.35;
+        this.helpers.add(this.grid);
+    }
+    
+    /**
+     * Build the editor toolbar
+     */
+    createToolbar() {
+        this.toolbar = document.createElement('div');
+        this.toolbar.id = 'editor-toolbar';
+        
+        // Object tools
+        const tools = document.createElement('div');
+        tools.className = 'editor-group';
+        EDITOR_TOOLS.forEach(tool => {
+            const button = this.createButton(tool.label, () => this.setTool(tool.id));
+            this.toolButtons[tool.id] = button;
+            tools.appendChild(button);
+        });
+        
+        // Types placed by the power-up, enemy and particle tools
+        tools.appendChild(this.createTypeSelect(LEVEL_POWER_UP_TYPES, 'powerUpType', 'powerUps'));
+        tools.appendChild(this.createTypeSelect(LEVEL_ENEMY_TYPES, 'enemyType', 'enemies'));
+        tools.appendChild(this.createTypeSelect(LEVEL_EMITTER_EFFECTS, 'emitterEffect', 'emitters'));
+        
+        // Grid size
+        const settings = document.createElement('div');
+        settings.className = 'editor-group';
+        const gridLabel = document.createElement('label');
+        gridLabel.textContent = 'Grid ';
+        const gridSelect = document.createElement('select');
+        [0.25, 0.5, 1].forEach(size => {
+            const option = document.createElement('option');
+            option.value = size;
+            option.textContent = size;
+            gridSelect.appendChild(option);
+        });
+        gridSelect.value = this.gridSize;
+        gridSelect.addEventListener('change', () => {
+            this.gridSize = parseFloat(gridSelect.value);
+            this.createGrid();
+        });
+        gridLabel.appendChild(gridSelect);
+        settings.appendChild(gridLabel);
+        
+        // Level name
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.placeholder = 'Level name';
+        this.nameInput.addEventListener('change', () => {
+            const name = this.nameInput.value.trim();
+            this.edit(() => {
+                this.data.name = name;
+            });
+        });
+        settings.appendChild(this.nameInput);
+        
+        // Time-trial medal times, all empty for a level without medals
+        const medalsLabel = document.createElement('label');
+        medalsLabel.textContent = 'Medals (s) ';
+        this.medalInputs = {};
+        LEVEL_MEDALS.forEach(medal => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = 0;
+            input.step = 0.5;
+            input.placeholder = medal.charAt(0).toUpperCase() + medal.slice(1);
+            input.className = 'editor-medal';
+            input.addEventListener('change', () => this.updateMedals());
+            medalsLabel.appendChild(input);
+            this.medalInputs[medal] = input;
+        });
+        settings.appendChild(medalsLabel);
+        
+        // Music track, from the track list once it has loaded
+        const musicLabel = document.createElement('label');
+        musicLabel.textContent = 'Music ';
+        this.musicSelect = document.createElement('select');
+        const noMusic = document.createElement('option');
+        noMusic.value = '';
+        noMusic.textContent = 'None';
+        this.musicSelect.appendChild(noMusic);
+        this.musicSelect.addEventListener('change', () => {
+            const music = this.musicSelect.value || null;
+            this.edit(() => {
+                this.data.music = music;
+            });
+        });
+        musicLabel.appendChild(this.musicSelect);
+        settings.appendChild(musicLabel);
+        this.loadMusicOptions();
+        
+        // History, playtest and file actions
+        const actions = document.createElement('div');
+        actions.className = 'editor-group';
+        actions.appendChild(this.createButton('Undo', () => this.undo()));
+        actions.appendChild(this.createButton('Redo', () => this.redo()));
+        this.playButton = this.createButton('Play from here', () => this.togglePlay());
+        this.playButton.classList.add('editor-play');
+        actions.appendChild(this.playButton);
+        actions.appendChild(this.createButton('Export', () => this.exportLevel()));
+        actions.appendChild(this.createButton('Import', () => this.fileInput.click()));
+        actions.appendChild(this.createButton('Exit', () => this.disable()));
+        
+        // Hidden file picker for imports
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = '.json,application/json';
+        this.fileInput.style.display = 'none';
+        this.fileInput.addEventListener('change', () => {
+            if (this.fileInput.files.length > 0) {
+                this.importLevel(this.fileInput.files[0]);
+            }
+            this.fileInput.value = '';
+        });
+        actions.appendChild(this.fileInput);
+        
+        // Status line with the selection and short help
+        this.statusElement = document.createElement('div');
+        this.statusElement.className = 'editor-status';
+        
+        this.toolbar.appendChild(tools);
+        this.toolbar.appendChild(settings);
+        this.toolbar.appendChild(actions);
+        this.toolbar.appendChild(this.statusElement);
+        document.body.appendChild(this.toolbar);
+        
+        this.setTool(this.tool);
+    }
+    
+    /**
+     * Create a toolbar button
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} - The button
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Create a dropdown choosing the type a tool places
+     * @param {string[]} types - Types to choose from
+     * @param {string} property - Editor property holding the chosen type, e.g. 'powerUpType'
+     * @param {string} toolId - Tool switched to when a type is chosen
+     * @returns {HTMLSelectElement} - The dropdown
+     */
+    createTypeSelect(types, property, toolId) {
+        const select = document.createElement('select');
+        types.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            select.appendChild(option);
+        });
+        select.value = this[property];
+        select.addEventListener('change', () => {
+            this[property] = select.value;
+            this.setTool(toolId);
+        });
+        return select;
+    }
+    
+    /**
+     * Select the active tool
+     * @param {string} toolId - One of the EDITOR_TOOLS ids
+     */
+    setTool(toolId) {
+        this.tool = toolId;
+        Object.entries(this.toolButtons).forEach(([id, button]) => {
+            button.classList.toggle('active', id === toolId);
+        });
+        this.updateStatus();
+    }
+    
+    /**
+     * Editor render loop, runs while editing (not while playing)
+     */
+    loop() {
+        if (!this.enabled || this.playing) return;
+        
+        this.updateCamera();
+        this.renderer.render(1/60, 'modern', false);
+        
+        requestAnimationFrame(this.boundLoop);
+    }
+    
+    /**
+     * Point the camera at the current editor view
+     */
+    updateCamera() {
+        const camera = this.renderer.camera;
+        camera.position.set(this.view.x, this.view.y + 2, this.view.distance);
+        camera.lookAt(this.view.x, this.view.y, 0);
+        
+        // Picking uses the world matrix, keep it current between renders
+        camera.updateMatrixWorld();
+    }
+    
+    /**
+     * Snap a value to the grid
+     * @param {number} value - Value in world units
+     * @returns {number} - Nearest grid value
+     */
+    snap(value) {
+        return Math.round(value / this.gridSize) * this.gridSize;
+    }
+    
+    /**
+     * Get the point on the z = 0 plane under the mouse
+     * @param {PointerEvent} event - Pointer event
+     * @returns {THREE.Vector3|null} - World position, or null if the ray misses the plane
+     */
+    getWorldPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.renderer.camera);
+        
+        const point = new THREE.Vector3();
+        return this.raycaster.ray.intersectPlane(this.plane, point);
+    }
+    
+    /**
+     * Snap a world point to the grid
+     * @param {THREE.Vector3} point - World position
+     * @returns {Object} - Snapped position {x, y, z}
+     */
+    snapPoint(point) {
+        return { x: this.snap(point.x), y: this.snap(point.y), z: 0 };
+    }
+    
+    /**
+     * Find the level object built from a level file entry
+     * @param {string} list - Level file list name
+     * @param {number} index - Index in the list
+     * @returns {Object|undefined} - The level object
+     */
+    findObject(list, index) {
+        return this.level.getAllObjects().find(object =>
+            object.source && object.source.list === list && object.source.index === index
+        );
+    }
+    
+    /**
+     * Find what's under the mouse. Assumes getWorldPoint was just called for this event.
+     * @param {THREE.Vector3} point - World position under the mouse
+     * @returns {Object|null} - Selection target {list, index, field}
+     */
+    pick(point) {
+        // Handles first, then level objects, in front-to-back order
+        const targets = new Map(this.handleTargets);
+        this.level.getAllObjects().forEach(object => {
+            if (object.source && object.mesh) {
+                targets.set(object.mesh, { list: object.source.list, index: object.source.index });
+            }
+        });
+        
+        const hits = this.raycaster.intersectObjects([...targets.keys()], false);
+        if (hits.length > 0) {
+            return targets.get(hits[0].object);
+        }
+        
+        // Thin objects like hoops are easy to miss, so fall back to the nearest center
+        let nearest = null;
+        let nearestDistance = 0.75;
+        targets.forEach((target, mesh) => {
+            const distance = Math.hypot(mesh.position.x - point.x, mesh.position.y - point.y);
+            if (distance < nearestDistance) {
+                nearest = target;
+                nearestDistance = distance;
+            }
+        });
+        
+        return nearest;
+    }
+    
+    /**
+     * Get the mesh shown for a selection target
+     * @param {Object} target - Selection target {list, index, field}
+     * @returns {THREE.Object3D|null} - The mesh
+     */
+    getTargetMesh(target) {
+        for (const [mesh, handle] of this.handleTargets) {
+            if (handle.list === target.list && handle.index === target.index && handle.field === target.field &&
+                handle.point === target.point) {
+                return mesh;
+            }
+        }
+        
+        if (target.field) return null;
+        
+        const object = this.findObject(target.list, target.index);
+        return object ? object.mesh : null;
+    }
+    
+    /**
+     * Select a level file entry
+     * @param {Object|null} target - Selection target, or null to clear the selection
+     */
+    select(target) {
+        this.selection = target;
+        this.updateSelectionBox();
+        this.updateStatus();
+    }
+    
+    /**
+     * Fit the selection outline around the selected mesh
+     */
+    updateSelectionBox() {
+        const mesh = this.selection ? this.getTargetMesh(this.selection) : null;
+        
+        if (mesh) {
+            this.selectionBox.setFromObject(mesh);
+            this.selectionBox.visible = true;
+        } else {
+            this.selectionBox.visible = false;
+        }
+    }
+    
+    /**
+     * Update the status line
+     */
+    updateStatus() {
+        if (!this.statusElement) return;
+        
+        let selected = 'Nothing selected';
+        if (this.selection) {
+            const { list, index, field } = this.selection;
+            if (list === 'spawn') {
+                selected = 'Spawn point';
+            } else if (list === 'exit') {
+                selected = 'Exit';
+            } else if (field === 'path') {
+                selected = `${list}[${index}] path point ${this.selection.point + 1}`;
+            } else {
+                selected = `${list}[${index}]`;
+            }
+        }
+        
+        this.statusElement.textContent = `${selected} | Drag to move, Shift+drag to resize, ` +
+            'R to turn a hoop, ramp or curve, W to add a path point to a lift or enemy, Delete to remove, right-drag to pan, wheel to zoom, ' +
+            'Ctrl+Z / Ctrl+Y to undo / redo';
+    }
+    
+    /**
+     * Fill the music dropdown with the game's tracks
+     */
+    async loadMusicOptions() {
+        let tracks;
+        try {
+            tracks = await this.game.musicPlayer.getTrackList();
+        } catch (error) {
+            console.warn('Could not load the music list:', error);
+            return;
+        }
+        
+        tracks.forEach(track => {
+            const option = document.createElement('option');
+            option.value = track.id;
+            option.textContent = track.name || track.id;
+            this.musicSelect.appendChild(option);
+        });
+        this.musicSelect.value = this.data.music || '';
+    }
+    
+    /**
+     * Store the medal times typed in the toolbar (checked when exporting or playing)
+     */
+    updateMedals() {
+        const values = LEVEL_MEDALS.map(medal => this.medalInputs[medal].value.trim());
+        this.edit(() => {
+            if (values.every(value => value === '')) {
+                delete this.data.medals;
+            } else {
+                this.data.medals = {};
+                LEVEL_MEDALS.forEach((medal, index) => {
+                    this.data.medals[medal] = values[index] === '' ? null : parseFloat(values[index]);
+                });
+            }
+        });
+    }
+    
+    /**
+     * Rebuild the level and helpers from the editor data
+     */
+    rebuild() {
+        // Build from a copy, level objects keep references to their entries
+        this.level.buildFromData(JSON.parse(JSON.stringify(this.data)));
+        this.nameInput.value = this.data.name || '';
+        LEVEL_MEDALS.forEach(medal => {
+            this.medalInputs[medal].value = this.data.medals ? this.data.medals[medal] : '';
+        });
+        this.musicSelect.value = this.data.music || '';
+        
+        // Spawn point
+        this.spawnMarker.position.set(this.data.spawn.x, this.data.spawn.y, this.data.spawn.z);
+        
+        // Handles: spawn point and the path points of every moving platform and enemy
+        this.pathHelpers.children.slice().forEach(helper => {
+            this.pathHelpers.remove(helper);
+            helper.geometry.dispose();
+        });
+        this.handleTargets.clear();
+        this.handleTargets.set(this.spawnMarker, { list: 'spawn', index: 0 });
+        
+        // Path handles are the shape of what travels the path: a platform's box, an enemy's hitbox
+        const pathLists = {
+            movingPlatforms: { color: 0x4A90C2, getSize: entry => entry.size },
+            enemies: { color: 0xFF4400, getSize: entry => ENEMY_TYPES[entry.type].hitbox }
+        };
+        Object.entries(pathLists).forEach(([list, style]) => {
+            this.data[list].forEach((entry, index) => {
+                const size = style.getSize(entry);
+                entry.path.forEach((point, pointIndex) => {
+                    const handle = new THREE.Mesh(
+                        size.radius !== undefined ?
+                            new THREE.SphereGeometry(size.radius, 12, 8) :
+                            new THREE.BoxGeometry(size.x, size.y, size.z),
+                        new THREE.MeshBasicMaterial({ color: style.color, wireframe: true })
+                    );
+                    handle.position.set(point.x, point.y, point.z);
+                    this.pathHelpers.add(handle);
+                    this.handleTargets.set(handle, { list, index, field: 'path', point: pointIndex });
+                });
+                
+                // Show the path travelled, back round to the start for a loop
+                const points = [entry.position, ...entry.path];
+                if (entry.mode === 'loop' && entry.path.length > 0) {
+                    points.push(entry.position);
+                }
+                const path = new THREE.Line(
+                    new THREE.BufferGeometry().setFromPoints(points.map(point => new THREE.Vector3(point.x, point.y, point.z))),
+                    new THREE.LineDashedMaterial({ color: style.color, dashSize: 0.2, gapSize: 0.2 })
+                );
+                path.computeLineDistances();
+                this.pathHelpers.add(path);
+            });
+        });
+        
+        // Enemies waiting for the ball to come near are hidden in play, show them all here,
+        // along with the areas of the particle emitters
+        this.level.enemies.forEach(enemy => {
+            enemy.mesh.visible = true;
+        });
+        this.level.emitters.forEach(emitter => {
+            emitter.mesh.visible = true;
+        });
+        
+        // Drop the selection if its entry no longer exists
+        if (this.selection && !this.hasEntry(this.selection)) {
+            this.selection = null;
+        }
+        this.updateSelectionBox();
+        this.updateStatus();
+    }
+    
+    /**
+     * Change the level data as one undoable step
+     * @param {Function} change - Modifies this.data
+     */
+    edit(change) {
+        this.undoStack.push(JSON.stringify(this.data));
+        if (this.undoStack.length > EDITOR_HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        
+        change();
+        this.rebuild();
+    }
+    
+    /**
+     * Undo the last change
+     */
+    undo() {
+        if (this.undoStack.length === 0 || this.playing) return;
+        
+        this.redoStack.push(JSON.stringify(this.data));
+        this.data = JSON.parse(this.undoStack.pop());
+        this.rebuild();
+    }
+    
+    /**
+     * Redo the last undone change
+     */
+    redo() {
+        if (this.redoStack.length === 0 || this.playing) return;
+        
+        this.undoStack.push(JSON.stringify(this.data));
+        this.data = JSON.parse(this.redoStack.pop());
+        this.rebuild();
+    }
+    
+    /**
+     * Get the level file entry for a selection target
+     * @param {Object} target - Selection target {list, index}
+     * @returns {Object} - The entry in this.data
+     */
+    getEntry(target) {
+        if (target.list === 'spawn') {
+            return { position: this.data.spawn };
+        }
+        return target.list === 'exit' ? this.data.exit : this.data[target.list][target.index];
+    }
+    
+    /**
+     * Check if the entry of a selection target exists in the level data
+     * @param {Object} target - Selection target {list, index}
+     * @returns {boolean} - True if it exists
+     */
+    hasEntry(target) {
+        if (target.list === 'spawn') return true;
+        
+        const entry = this.getEntry(target);
+        return Boolean(entry) && (target.field !== 'path' || Boolean(entry.path[target.point]));
+    }
+    
+    /**
+     * Move an entry by an offset, keeping every point it has in step
+     * @param {Object} entry - Level file entry
+     * @param {Object} target - Selection target, field 'path' moves only that point
+     * @param {Object} offset - Offset {x, y}
+     */
+    moveEntry(entry, target, offset) {
+        const points = target.field === 'path' ? [entry.path[target.point]] : [entry.position, ...(entry.path || [])];
+        points.forEach(point => {
+            point.x += offset.x;
+            point.y += offset.y;
+        });
+    }
+    
+    /**
+     * Handle mouse button presses on the canvas
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown(event) {
+        if (this.playing) return;
+        
+        // Right or middle button pans the view
+        if (event.button === 1 || event.button === 2) {
+            this.pan = { x: event.clientX, y: event.clientY };
+            return;
+        }
+        if (event.button !== 0) return;
+        
+        this.updateCamera();
+        const point = this.getWorldPoint(event);
+        if (!point) return;
+        
+        const snapped = this.snapPoint(point);
+        this.cursor = snapped;
+        
+        if (this.tool === 'select') {
+            const target = this.pick(point);
+            this.select(target);
+            
+            if (target) {
+                const mesh = this.getTargetMesh(target);
+                this.drag = {
+                    target,
+                    mesh,
+                    start: snapped,
+                    resize: event.shiftKey && !target.field && Boolean(this.getEntry(target).size || this.getEntry(target).radius),
+                    originalPosition: mesh.position.clone(),
+                    originalScale: mesh.scale.clone(),
+                    change: null
+                };
+            }
+        } else if (this.tool === 'spawn') {
+            this.edit(() => {
+                this.data.spawn = { x: snapped.x, y: snapped.y, z: 0 };
+            });
+            this.select({ list: 'spawn', index: 0 });
+        } else if (this.tool === 'exit') {
+            // A level has one exit, placing it again moves it
+            this.edit(() => {
+                this.data.exit = { position: { x: snapped.x, y: snapped.y, z: 0 } };
+            });
+            this.select({ list: 'exit', index: 0 });
+        } else {
+            const tool = EDITOR_TOOLS.find(candidate => candidate.id === this.tool);
+            const list = this.data[tool.id];
+            this.edit(() => {
+                list.push(tool.create({ ...snapped }, this));
+            });
+            this.select({ list: tool.id, index: list.length - 1 });
+        }
+    }
+    
+    /**
+     * Handle mouse movement for dragging, resizing and panning
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove(event) {
+        if (this.pan) {
+            // Move the view so the point under the mouse stays under the mouse
+            const camera = this.renderer.camera;
+            const visibleHeight = 2 * this.view.distance * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+            const unitsPerPixel = visibleHeight / this.canvas.clientHeight;
+            this.view.x -= (event.clientX - this.pan.x) * unitsPerPixel;
+            this.view.y += (event.clientY - this.pan.y) * unitsPerPixel;
+            this.pan = { x: event.clientX, y: event.clientY };
+            return;
+        }
+        
+        if (!this.drag) return;
+        
+        const point = this.getWorldPoint(event);
+        if (!point) return;
+        
+        const drag = this.drag;
+        const entry = this.getEntry(drag.target);
+        
+        if (drag.resize && entry.radius) {
+            // A curve's radius is the distance from its center to the mouse
+            const radius = Math.max(this.gridSize, this.snap(Math.hypot(point.x - entry.position.x, point.y - entry.position.y)));
+            drag.mesh.scale.set(
+                drag.originalScale.x * radius / entry.radius,
+                drag.originalScale.y * radius / entry.radius,
+                drag.originalScale.z
+            );
+            drag.change = { radius };
+        } else if (drag.resize) {
+            // Resize symmetrically around the center, at least one grid step, along a ramp's own axes
+            const angle = THREE.MathUtils.degToRad(entry.angle || 0);
+            const dx = point.x - entry.position.x;
+            const dy = point.y - entry.position.y;
+            const size = {
+                x: Math.max(this.gridSize, this.snap(Math.abs(dx * Math.cos(angle) + dy * Math.sin(angle)) * 2)),
+                y: Math.max(this.gridSize, this.snap(Math.abs(dy * Math.cos(angle) - dx * Math.sin(angle)) * 2))
+            };
+            drag.mesh.scale.set(
+                drag.originalScale.x * size.x / entry.size.x,
+                drag.originalScale.y * size.y / entry.size.y,
+                drag.originalScale.z
+            );
+            drag.change = { size };
+        } else {
+            const snapped = this.snapPoint(point);
+            const offset = { x: snapped.x - drag.start.x, y: snapped.y - drag.start.y };
+            drag.mesh.position.set(
+                drag.originalPosition.x + offset.x,
+                drag.originalPosition.y + offset.y,
+                drag.originalPosition.z
+            );
+            drag.change = { offset };
+        }
+        
+        this.selectionBox.setFromObject(drag.mesh);
+    }
+    
+    /**
+     * Finish dragging or panning
+     */
+    onPointerUp() {
+        this.pan = null;
+        
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || !drag.change) return;
+        
+        const { size, radius, offset } = drag.change;
+        if (offset && offset.x === 0 && offset.y === 0) return;
+        
+        this.edit(() => {
+            const entry = this.getEntry(drag.target);
+            if (radius) {
+                entry.radius = radius;
+                if (entry.side === 'outside') {
+                    // An outside curve has to be thinner than its radius
+                    entry.thickness = Math.min(entry.thickness, radius / 2);
+                }
+            } else if (size) {
+                entry.size.x = size.x;
+                entry.size.y = size.y;
+            } else {
+                this.moveEntry(entry, drag.target, offset);
+            }
+        });
+    }
+    
+    /**
+     * Zoom the view with the mouse wheel
+     * @param {WheelEvent} event - Wheel event
+     */
+    onWheel(event) {
+        if (this.playing) return;
+        
+        event.preventDefault();
+        const factor = event.deltaY > 0 ? 1.1 : 1 / 1.1;
+        this.view.distance = THREE.MathUtils.clamp(this.view.distance * factor, 5, 60);
+    }
+    
+    /**
+     * Keyboard shortcuts
+     * @param {KeyboardEvent} event - Key event
+     */
+    onKeyDown(event) {
+        if (this.playing) return;
+        
+        // Don't steal keys from the toolbar's text fields
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT') return;
+        
+        const modifier = event.ctrlKey || event.metaKey;
+        
+        if (modifier && (event.key === 'z' || event.key === 'Z')) {
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if (modifier && (event.key === 'y' || event.key === 'Y')) {
+            event.preventDefault();
+            this.redo();
+        } else if ((event.key === 'r' || event.key === 'R') && !modifier) {
+            this.rotateSelection();
+        } else if ((event.key === 'w' || event.key === 'W') && !modifier) {
+            this.addPathPoint();
+        } else if (event.key === 'Delete' || event.key === 'Backspace') {
+            event.preventDefault();
+            this.deleteSelection();
+        } else if (event.key === 'Escape') {
+            this.select(null);
+            this.setTool('select');
+        }
+    }
+    
+    /**
+     * Turn the selected hoop between horizontal and vertical, tilt the selected ramp by 15 degrees
+     * (from steepest up back to steepest down), or turn the selected curve a quarter round
+     */
+    rotateSelection() {
+        const target = this.selection;
+        if (!target || target.field) return;
+        
+        if (target.list === 'hoops') {
+            this.edit(() => {
+                const entry = this.data.hoops[target.index];
+                entry.orientation = entry.orientation === 'vertical' ? 'horizontal' : 'vertical';
+            });
+        } else if (target.list === 'ramps') {
+            this.edit(() => {
+                const entry = this.data.ramps[target.index];
+                entry.angle = entry.angle + 15 > 60 ? -60 : entry.angle + 15;
+            });
+        } else if (target.list === 'curves') {
+            this.edit(() => {
+                const entry = this.data.curves[target.index];
+                const turn = entry.from + 90 >= 360 ? -270 : 90;
+                entry.from += turn;
+                entry.to += turn;
+            });
+        }
+    }
+    
+    /**
+     * Add a point to the path of the selected moving platform or enemy, after the selected path point
+     * or at the end of the path
+     */
+    addPathPoint() {
+        const target = this.selection;
+        if (!target || !Array.isArray(this.getEntry(target).path)) return;
+        
+        const entry = this.getEntry(target);
+        const after = target.field === 'path' ? target.point : entry.path.length - 1;
+        const from = after >= 0 ? entry.path[after] : entry.position;
+        
+        this.edit(() => {
+            entry.path.splice(after + 1, 0, { x: from.x + 3, y: from.y, z: from.z });
+        });
+        this.select({ list: target.list, index: target.index, field: 'path', point: after + 1 });
+    }
+    
+    /**
+     * Delete the selected entry, or the selected point of a moving platform's or enemy's path
+     */
+    deleteSelection() {
+        const target = this.selection;
+        
+        // The spawn point can't be deleted
+        if (!target || target.list === 'spawn') return;
+        
+        this.edit(() => {
+            if (target.field === 'path') {
+                this.data[target.list][target.index].path.splice(target.point, 1);
+            } else if (target.list === 'exit') {
+                this.data.exit = null;
+            } else {
+                this.data[target.list].splice(target.index, 1);
+            }
+        });
+        this.select(null);
+    }
+    
+    /**
+     * Validate a copy of the editor data the same way level files are validated
+     * @returns {Object|null} - Validated data, or null after reporting the problems
+     */
+    validateData() {
+        try {
+            return this.level.loader.validate(JSON.parse(JSON.stringify(this.data)), 'the edited level');
+        } catch (error) {
+            console.error(error.message);
+            const problems = error.problems ? error.problems.join(', ') : error.message;
+            this.game.ui.showNotification(`Level has problems: ${problems}`, 'error', 4000);
+            return null;
+        }
+    }
+    
+    /**
+     * Switch between editing and playing the edited level
+     */
+    togglePlay() {
+        if (this.playing) {
+            this.game.stopPlaytest();
+            this.showEditView();
+            return;
+        }
+        
+        const data = this.validateData();
+        if (!data) return;
+        
+        // Start at the last clicked point, or the level's spawn point
+        const spawn = this.cursor ? { x: this.cursor.x, y: this.cursor.y + 1, z: 0 } : { ...data.spawn };
+        
+        this.playing = true;
+        this.drag = null;
+        this.helpers.visible = false;
+        this.setBallVisible(true);
+        this.playButton.textContent = 'Back to editor';
+        
+        this.game.playLevelData(data, spawn, result => {
+            const message = result === 'complete' ? 'Level complete!' : 'Out of lives!';
+            this.game.ui.showNotification(message, result === 'complete' ? 'success' : 'warning', 2000);
+            this.showEditView();
+        });
+    }
+    
+    /**
+     * Return to the editing view and restart the editor loop
+     */
+    showEditView() {
+        this.playing = false;
+        this.helpers.visible = true;
+        this.setBallVisible(false);
+        this.playButton.textContent = 'Play from here';
+        
+        // Rebuild to undo anything the playtest changed (collected hoops, etc.)
+        this.rebuild();
+        requestAnimationFrame(this.boundLoop);
+    }
+    
+    /**
+     * Show or hide the player ball and its trail
+     * @param {boolean} visible - Whether the ball is visible
+     */
+    setBallVisible(visible) {
+        this.game.ball.mesh.visible = visible;
+        this.game.ball.trail.visible = visible;
+    }
+    
+    /**
+     * Download the edited level as a level file
+     */
+    exportLevel() {
+        const data = this.validateData();
+        if (!data) return;
+        
+        const fileName = `${(data.name || 'level').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+        const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.game.ui.showNotification(`Exported ${fileName}`, 'success', 1500);
+    }
+    
+    /**
+     * Load a level file into the editor
+     * @param {File} file - Level file chosen by the user
+     */
+    async importLevel(file) {
+        try {
+            const text = await file.text();
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new LevelFormatError(file.name, [`is not valid JSON (${error.message})`]);
+            }
+            
+            data = this.level.loader.validate(data, file.name);
+            this.edit(() => {
+                this.data = data;
+            });
+            this.select(null);
+            
+            this.view.x = data.spawn.x;
+            this.view.y = data.spawn.y;
+            this.game.ui.showNotification(`Imported ${file.name}`, 'success', 1500);
+        } catch (error) {
+            console.error('Error importing level:', error);
+            const problems = error.problems ? error.problems.join(', ') : error.message;
+            this.game.ui.showNotification(`Could not import ${file.name}: ${problems}`, 'error', 4000);
+        }
+    }
+}
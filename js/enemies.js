@@ -0,0 +1,149 @@
+/**
+ * Enemy types a level's "enemies" list can use: how each one looks, the hitbox
+ * that costs the ball a life when touched, and how its parts move
+ *
+ * A hitbox is a sphere {radius} or a box {size}, centered on the enemy's position.
+ * The mesh built by createMesh is moved and turned along with the enemy's body,
+ * so animate only moves the parts inside it (legs, spikes, the thread).
+ */
+const ENEMY_TYPES = {
+    // Hangs from a thread and climbs up and down it, like the spiders of the original
+    spider: {
+        hitbox: { radius: 0.4 },
+        
+        /**
+         * @param {Object[]} points - The points of the enemy's path {x, y, z}, from its position
+         * @returns {THREE.Mesh} - Spider body with legs, eyes and thread
+         */
+        createMesh(points) {
+            const dark = new THREE.MeshStandardMaterial({ color: 0x222222, roughness: 0.6, metalness: 0.2 });
+            const body = new THREE.Mesh(new THREE.SphereGeometry(0.3, 16, 12), dark);
+            body.castShadow = true;
+            
+            const abdomen = new THREE.Mesh(new THREE.SphereGeometry(0.22, 12, 10), dark);
+            abdomen.position.set(0, 0.28, -0.05);
+            body.add(abdomen);
+            
+            const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0xFF0000, emissive: 0x660000 });
+            [-0.1, 0.1].forEach(x => {
+                const eye = new THREE.Mesh(new THREE.SphereGeometry(0.06, 8, 6), eyeMaterial);
+                eye.position.set(x, -0.05, 0.26);
+                body.add(eye);
+            });
+            
+            // Four legs a side, each a pivot at the body so it can swing
+            const legs = [];
+            const legGeometry = new THREE.BoxGeometry(0.5, 0.05, 0.05);
+            legGeometry.translate(0.25, 0, 0);
+            [-1, 1].forEach(side => {
+                for (let i = 0; i < 4; i++) {
+                    const leg = new THREE.Mesh(legGeometry, dark);
+                    leg.position.set(side * 0.2, 0.05, (i - 1.5) * 0.12);
+                    leg.rotation.y = side < 0 ? Math.PI : 0;
+                    leg.userData.baseAngle = -0.5 + (i - 1.5) * 0.15;
+                    leg.rotation.z = leg.userData.baseAngle;
+                    body.add(leg);
+                    legs.push(leg);
+                }
+            });
+            
+            // Thread up to a point above the top of its track, stretched as the spider moves
+            const thread = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.015, 0.015, 1, 4).translate(0, 0.5, 0),
+                new THREE.MeshBasicMaterial({ color: 0xDDDDDD })
+            );
+            body.add(thread);
+            
+            body.userData = {
+                legs,
+                thread,
+                anchorY: Math.max(...points.map(point => point.y)) + 3
+            };
+            thread.scale.y = body.userData.anchorY - points[0].y;
+            return body;
+        },
+        
+        /**
+         * @param {THREE.Mesh} mesh - Mesh made by createMesh, where the spider is drawn
+         * @param {number} time - Animation time in seconds
+         */
+        animate(mesh, time) {
+            const parts = mesh.userData;
+            parts.legs.forEach((leg, index) => {
+                leg.rotation.z = leg.userData.baseAngle + Math.sin(time * 12 + index * 1.3) * 0.25;
+            });
+            parts.thread.scale.y = Math.max(parts.anchorY - mesh.position.y, 0.01);
+        }
+    },
+    
+    // Spiked ball that spins as it rolls along its path
+    spikeBall: {
+        hitbox: { radius: 0.45 },
+        
+        /**
+         * @returns {THREE.Mesh} - Core with a spinning ring of spikes
+         */
+        createMesh() {
+            const material = new THREE.MeshStandardMaterial({ color: 0x555566, roughness: 0.3, metalness: 0.8 });
+            const core = new THREE.Mesh(new THREE.SphereGeometry(0.3, 16, 12), material);
+            core.castShadow = true;
+            
+            // Spikes all round in the plane the ball moves in, and one facing either way along z
+            const spikes = new THREE.Group();
+            const spikeGeometry = new THREE.ConeGeometry(0.08, 0.3, 8).translate(0, 0.4, 0);
+            for (let i = 0; i < 8; i++) {
+                const spike = new THREE.Mesh(spikeGeometry, material);
+                spike.rotation.z = i * Math.PI / 4;
+                spikes.add(spike);
+            }
+            [-1, 1].forEach(side => {
+                const spike = new THREE.Mesh(spikeGeometry, material);
+                spike.rotation.x = side * Math.PI / 2;
+                spikes.add(spike);
+            });
+            core.add(spikes);
+            
+            core.userData = { spikes };
+            return core;
+        },
+        
+        /**
+         * @param {THREE.Mesh} mesh - Mesh made by createMesh, where the spike ball is drawn
+         * @param {number} time - Animation time in seconds
+         */
+        animate(mesh, time) {
+            mesh.userData.spikes.rotation.z = -time * 3;
+        }
+    },
+    
+    // The plain glowing block the first levels had before there were enemies
+    block: {
+        hitbox: { size: { x: 0.5, y: 0.5, z: 0.5 } },
+        
+        /**
+         * @returns {THREE.Mesh} - Glowing cube
+         */
+        createMesh() {
+            const mesh = new THREE.Mesh(
+                new THREE.BoxGeometry(0.5, 0.5, 0.5),
+                new THREE.MeshStandardMaterial({
+                    color: 0xFF4400,
+                    roughness: 0.3,
+                    metalness: 0.7,
+                    emissive: 0x331100
+                })
+            );
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            return mesh;
+        },
+        
+        /**
+         * @param {THREE.Mesh} mesh - Mesh made by createMesh, where the block is drawn
+         * @param {number} time - Animation time in seconds
+         */
+        animate(mesh, time) {
+            mesh.material.emissiveIntensity = 1 + Math.sin(time * 4) * 0.5;
+        }
+    }
+};
@@ -3,11 +3,17 @@
  */
 class Game {
     constructor() {
-        // Game state
-        this.isRunning = false;
+        // Game state - which screen is showing and whether the ball is in play
+        this.state = new GameStateMachine(GAME_STATES.LOADING);
         this.lives = 3;
         this.score = 0;
         this.currentLevel = 1;
+        this.levelStartScore = 0; // Score when the current level started, restored by restartLevel
+        
+        // Progress, unlocked levels, level records and settings are kept in one save
+        this.saveSystem = new SaveSystem();
+        this.saveSystem.load();
+        this.saveSection = null; // Settings section to export and import the save
         
         // Game components will be initialized in the init method
         this.renderer = null;
@@ -21,17 +27,58 @@ class Game {
         this.deltaTime = 0;
         this.elapsedTime = 0;
         
-        // Physics settings
-        this.physicsTimeStep = 1/60; // Fixed physics time step (60 updates per second)
-        this.maxSubSteps = 5; // Maximum physics sub-steps per frame
+        // Game-time timers (power-ups, cooldowns, level transition) that stop while paused
+        this.gameClock = new GameClock();
+        this.activePowerUps = new Set(); // Power-up types with an indicator on screen
+        
+        // Gameplay runs in fixed ticks, so it plays the same at any frame rate
+        this.physicsTimeStep = 1/60; // Fixed tick length (60 ticks per second)
+        this.maxSubSteps = 5; // Maximum ticks per frame, a slower device slows down instead of stalling
+        this.accumulator = 0; // Frame time not yet simulated, in seconds
+        this.tickCount = 0; // Ticks since the level started
+        this.jumpQueued = false; // Jump pressed since the last tick
+        
+        // Time trials time every level and award medals; the timer counts game ticks
+        this.mode = 'normal'; // 'normal' or 'timeTrial'
+        this.timeTrial = new TimeTrial(this.physicsTimeStep, this.saveSystem);
+        this.levelResult = null; // Time-trial result of the level just completed
         
         // Game settings
         this.debugMode = false; // Set to true to show debug information
-        this.gamePaused = false;
+        
+        // Player input, mapped from keys to actions, and the settings screen to rebind them
+        this.input = new InputManager(this.saveSystem);
+        this.gamepad = new GamepadInput(this.input);
+        this.touch = new TouchControls(this.input, this.saveSystem);
+        this.settings = new SettingsScreen(this.input);
+        
+        // Synthesized sound effects and level music, with their volume settings
+        this.audio = new AudioEngine(this.saveSystem);
+        this.musicPlayer = new MusicPlayer(this.audio);
+        
+        // Set while the level editor is test-playing a level, {onFinish}
+        this.playtest = null;
+        
+        // Every run is recorded so it can be watched again, saved and shared
+        this.recorder = new ReplayRecorder();
+        this.lastReplay = null; // Most recent finished run
+        this.replayPlayer = null; // Set while a replay is playing instead of the player
+        this.replayControls = new ReplayControls(this);
+        this.replayReturn = null; // The player's {lives, score, currentLevel} while a replay plays
+        this.runSeed = 1; // Seed of the current run
+        
+        // The best run on each level is kept and raced against as a ghost
+        this.ghostStore = new GhostStore();
+        this.ghostRecorder = new GhostRecorder();
+        this.ghost = null;
+        this.ghostSection = null; // Settings section listing the saved ghosts
+        
+        // Particle effects for gameplay events and the level's ambient emitters
+        this.particles = null;
+        this.powerUpAuras = null; // Power-up type -> emitter swirling round the ball while it's active
         
         // Event flags
         this.eventFlags = {
-            levelComplete: false,
             powerUpCollected: false,
             checkpointReached: false,
             groundContact: false
@@ -68,7 +115,7 @@ class Game {
             updateProgress(0.2);
             
             // Initialize renderer (Three.js)
-            this.renderer = new Renderer();
+            this.renderer = new Renderer(this.saveSystem);
             await this.renderer.init();
             updateProgress(0.4);
             
@@ -78,18 +125,38 @@ class Game {
             updateProgress(0.6);
             
             // Initialize player ball
-            this.ball = new Ball(this.renderer.scene, this.physics);
+            this.ball = new Ball(this.renderer.scene, this.physics, this.gameClock);
             await this.ball.init();
+            this.ball.onBounce = impact => {
+                this.audio.play('bounce', Math.min(impact / 8, 1));
+                
+                // Dust where the ball lands, more the harder it lands
+                const position = this.ball.body.position;
+                const ground = { x: position.x, y: position.y - this.ball.getRadius(), z: position.z };
+                this.particles.emit('dust', ground, Math.min(impact / 8, 1));
+            };
+            this.ball.onSpeedChange = boosted => this.musicPlayer.setTempoScale(boosted ? MUSIC_SPEED_TEMPO : 1);
+            this.ghost = new Ghost(this.renderer.scene, this.ball.normalRadius);
+            this.ghost.init();
+            this.particles = new ParticleSystem(this.renderer.scene);
+            this.powerUpAuras = {
+                speed: ParticleSystem.createEmitter('speedAura', this.ball.mesh.position),
+                antigravity: ParticleSystem.createEmitter('antigravityAura', this.ball.mesh.position)
+            };
             updateProgress(0.8);
             
             // Initialize level
             this.level = new Level(this.currentLevel, this.renderer.scene, this.physics);
             await this.level.init();
+            this.applyLevelSettings();
             updateProgress(1.0);
             
             // Set up event listeners for controls
             this.setupControls();
             
+            // Hook screens up to the game states
+            this.setupStates();
+            
             console.log('Game initialization complete');
             return true;
         } catch (error) {
@@ -99,120 +166,239 @@ class Game {
     }
     
     /**
-     * Set up keyboard and touch controls
+     * Set up player input actions and screen buttons
      */
     setupControls() {
         console.log('Setting up controls...');
         
-        // Track key states - allow direct access to this object from outside
-        this.keyState = {
-            left: false,
-            right: false,
-            up: false,
-            down: false
+        // Keyboard, gamepads and touch all go through the input manager as actions
+        this.input.init();
+        this.gamepad.init();
+        this.touch.init();
+        this.settings.init();
+        this.touch.addSettings(this.settings);
+        this.audio.init();
+        this.audio.addSettings(this.settings);
+        this.renderer.addSettings(this.settings);
+        this.replayControls.init();
+        this.ghostSection = this.settings.addSection('Ghosts');
+        this.settings.onOpen(() => this.renderGhostSettings());
+        this.saveSection = this.settings.addSection('Save data');
+        this.renderSaveSettings();
+        
+        // Tell the player about controllers coming and going, and pause if one is pulled out mid-game
+        this.gamepad.onConnect = () => {
+            this.ui.showNotification('Controller connected', 'info', 1500);
+        };
+        this.gamepad.onDisconnect = () => {
+            this.ui.showNotification('Controller disconnected', 'warning', 1500);
+            this.pause();
         };
         
-        // Keyboard controls
-        window.addEventListener('keydown', (event) => {
-            console.log('Key pressed:', event.key);
-            
-            if (this.gamePaused) return; // Don't process keys when paused
-            
-            switch (event.key) {
-                case 'ArrowLeft':
-                case 'a':
-                case 'A':
-                    this.keyState.left = true;
-                    this.ball.moveLeft(true);
-                    break;
-                case 'ArrowRight':
-                case 'd':
-                case 'D':
-                    this.keyState.right = true;
-                    this.ball.moveRight(true);
-                    break;
-                case ' ': // Spacebar
-                case 'ArrowUp':
-                case 'w':
-                case 'W':
-                    this.keyState.up = true;
-                    this.ball.jump();
-                    break;
-                // P key pause handling now in HTML
+        // Movement is read from the move axis every tick; a jump waits for the next tick
+        this.input.onPress('jump', () => {
+            if (this.state.is(GAME_STATES.PLAYING) && !this.replayPlayer) {
+                this.jumpQueued = true;
             }
         });
         
-        window.addEventListener('keyup', (event) => {
-            switch (event.key) {
-                case 'ArrowLeft':
-                case 'a':
-                case 'A':
-                    this.keyState.left = false;
-                    this.ball.moveLeft(false);
-                    break;
-                case 'ArrowRight':
-                case 'd':
-                case 'D':
-                    this.keyState.right = false;
-                    this.ball.moveRight(false);
-                    break;
-                case ' ': // Spacebar
-                case 'ArrowUp':
-                case 'w':
-                case 'W':
-                    this.keyState.up = false;
-                    break;
+        // Screen actions: pause toggles the pause screen, restart depends on the screen
+        this.input.onPress('pause', () => {
+            // Start on a gamepad also starts the game from the menu
+            if (this.state.is(GAME_STATES.MENU)) {
+                this.startFromMenu();
+            } else if (this.state.is(GAME_STATES.LEVEL_SELECT)) {
+                this.showMenu();
+            } else if (this.replayPlayer && this.state.is(GAME_STATES.PLAYING)) {
+                this.toggleReplayPause();
+            } else {
+                this.togglePause();
+            }
+        });
+        this.input.onPress('mute', () => {
+            const muted = this.audio.toggleMute();
+            this.ui.showNotification(muted ? 'Sound off' : 'Sound on', 'info', 1000);
+        });
+        this.input.onPress('restart', () => {
+            if (this.replayPlayer) {
+                this.seekReplay(0);
+            } else if (this.state.is(GAME_STATES.MENU)) {
+                this.startFromMenu();
+            } else if (this.state.is(GAME_STATES.GAME_OVER, GAME_STATES.GAME_COMPLETE)) {
+                this.restart();
+            } else if (this.state.is(GAME_STATES.PLAYING, GAME_STATES.PAUSED)) {
+                this.restartLevel();
+            }
+        });
+        
+        // Screen buttons
+        const buttons = {
+            'pause-btn': () => this.pause(),
+            'resume-btn': () => this.resume(),
+            'big-resume-btn': () => this.resume(),
+            'restart-button': () => this.restart(),
+            'continue-button': () => this.continueGame(),
+            'play-button': () => this.startGame('normal'),
+            'time-trial-button': () => this.startGame('timeTrial'),
+            'level-select-button': () => this.showLevelSelect(),
+            'level-select-back-button': () => this.showMenu(),
+            'game-complete-restart-button': () => this.restart(),
+            'game-complete-menu-button': () => this.showMenu(),
+            'settings-button': () => this.settings.open(),
+            'pause-settings-btn': () => this.settings.open(),
+            'menu-replay-button': () => this.watchReplay(this.lastReplay),
+            'load-replay-button': () => document.getElementById('replay-file-input').click(),
+            'watch-replay-button': () => this.watchReplay(this.lastReplay),
+            'save-replay-button': () => this.saveReplay(this.lastReplay),
+            'pause-save-replay-btn': () => this.saveReplay(this.recorder.snapshot()),
+            'import-ghost-button': () => document.getElementById('ghost-file-input').click()
+        };
+        Object.entries(buttons).forEach(([id, onClick]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', onClick);
+            }
+        });
+        
+        // Replay and ghost files picked from the menu
+        const fileInputs = {
+            'replay-file-input': file => this.importReplay(file),
+            'ghost-file-input': file => this.importGhost(file)
+        };
+        Object.entries(fileInputs).forEach(([id, onFile]) => {
+            const fileInput = document.getElementById(id);
+            if (fileInput) {
+                fileInput.addEventListener('change', () => {
+                    if (fileInput.files.length > 0) {
+                        onFile(fileInput.files[0]);
+                    }
+                    fileInput.value = '';
+                });
+            }
+        });
+    }
+    
+    /**
+     * Connect the game states to the screens they show
+     */
+    setupStates() {
+        this.state.on(GAME_STATES.MENU, {
+            enter: () => {
+                this.updateReplayButtons();
+                this.updateContinueButton();
+                this.ui.showMenu();
+            },
+            exit: () => this.ui.hideMenu()
+        });
+        
+        this.state.on(GAME_STATES.PAUSED, {
+            enter: () => {
+                this.releaseControls();
+                this.audio.setSuspended('paused', true);
+                this.ui.showPauseScreen();
+            },
+            exit: () => {
+                this.audio.setSuspended('paused', false);
+                this.ui.hidePauseScreen();
+            }
+        });
+        
+        this.state.on(GAME_STATES.LEVEL_TRANSITION, {
+            enter: () => {
+                this.releaseControls();
+                
+                // Add bonus points for completing the level, with extra for a time-trial medal
+                const result = this.levelResult;
+                const bonus = 1000 + (result && result.medal ? MEDAL_BONUS[result.medal] : 0);
+                const nextLevel = this.level.loader.getNextLevel(this.currentLevel);
+                this.audio.play('levelComplete');
+                this.addScore(bonus);
+                this.ui.showLevelComplete(this.currentLevel, this.score, bonus, result, nextLevel);
+                
+                // Keep the level's record and carry on from the next level after a reload
+                this.saveLevelRecord(true);
+                if (nextLevel !== null) {
+                    this.saveSystem.unlockLevel(nextLevel);
+                    this.saveProgress(nextLevel);
+                } else {
+                    this.saveSystem.setProgress(null);
+                }
+                
+                // Short pause before loading next level, or the ending after the last one
+                this.gameClock.after(2, () => {
+                    if (nextLevel === null) {
+                        this.state.transition(GAME_STATES.GAME_COMPLETE);
+                        return;
+                    }
+                    this.currentLevel = nextLevel;
+                    this.ui.updateLevel(this.currentLevel);
+                    this.playLevel(this.currentLevel);
+                }, 'levelTransition');
+            },
+            exit: () => {
+                this.gameClock.cancel('levelTransition');
+                this.ui.hideLevelComplete();
             }
         });
         
-        // Handle window blur event (user switches tabs/apps)
-        window.addEventListener('blur', () => {
-            // Reset all key states when window loses focus
-            this.keyState.left = false;
-            this.keyState.right = false;
-            this.keyState.up = false;
-            this.keyState.down = false;
-            
-            // Stop all movement
-            this.ball.moveLeft(false);
-            this.ball.moveRight(false);
+        this.state.on(GAME_STATES.LEVEL_SELECT, {
+            exit: () => this.ui.hideLevelSelect()
+        });
+        
+        this.state.on(GAME_STATES.GAME_COMPLETE, {
+            enter: () => {
+                this.releaseControls();
+                this.ui.showGameComplete(this.score);
+                console.log('All levels cleared');
+            },
+            exit: () => this.ui.hideGameComplete()
+        });
+        
+        this.state.on(GAME_STATES.GAME_OVER, {
+            enter: () => {
+                this.releaseControls();
+                this.updateReplayButtons();
+                this.ui.showGameOver(this.score);
+                console.log('Game over');
+            },
+            exit: () => this.ui.hideGameOver()
+        });
+        
+        // Let the stylesheet show and hide controls per state
+        this.state.onChange(state => {
+            document.body.dataset.gameState = state;
         });
         
-        // Mobile touch controls have been removed to resolve duplication issues
-        // If mobile support is needed in the future, implement it here in a clean way
+        // The level's music plays while the level does (pausing holds all sound, see the paused state)
+        this.state.onChange(() => {
+            if (!this.state.is(GAME_STATES.LOADING, GAME_STATES.PLAYING, GAME_STATES.PAUSED)) {
+                this.musicPlayer.stop();
+            }
+        });
+        document.body.dataset.gameState = this.state.current;
+    }
+    
+    /**
+     * Let go of every movement key, e.g. when play stops
+     */
+    releaseControls() {
+        this.input.releaseAll();
+        this.jumpQueued = false;
     }
     
     /**
      * Pause the game
      */
     pause() {
-        if (!this.gamePaused) {
-            console.log('Pausing game...');
-            this.gamePaused = true;
-            // Stop the game loop
-            if (this.animationFrameId) {
-                cancelAnimationFrame(this.animationFrameId);
-                this.animationFrameId = null;
-            }
-            // Reset all key states
-            this.keyState = {
-                left: false,
-                right: false,
-                up: false,
-                down: false
-            };
-        }
+        this.state.transition(GAME_STATES.PAUSED);
     }
     
     /**
      * Resume the game
      */
     resume() {
-        if (this.gamePaused) {
-            console.log('Resuming game...');
-            this.gamePaused = false;
-            // Restart the game loop
-            this.animationFrameId = requestAnimationFrame(this.boundGameLoop);
+        if (this.state.is(GAME_STATES.PAUSED)) {
+            this.state.transition(GAME_STATES.PLAYING);
         }
     }
     
@@ -220,9 +406,9 @@ class Game {
      * Toggle pause state
      */
     togglePause() {
-        if (this.gamePaused) {
+        if (this.state.is(GAME_STATES.PAUSED)) {
             this.resume();
-        } else {
+        } else if (this.state.is(GAME_STATES.PLAYING)) {
             this.pause();
         }
     }
@@ -231,154 +417,1029 @@ class Game {
      * Restart the game
      */
     restart() {
+        if (!this.state.can(GAME_STATES.LOADING)) return;
         console.log('Restarting game...');
         
         // Reset game state
         this.lives = 3;
         this.score = 0;
         this.currentLevel = 1;
-        this.isRunning = true;
-        this.gamePaused = false;
         
-        // Update UI and hide game over screen
+        // Update UI
         this.ui.updateLives(this.lives);
         this.ui.updateScore(this.score);
         this.ui.updateLevel(this.currentLevel);
         
-        // Make sure game over screen is hidden
-        const gameOverScreen = document.getElementById('game-over-screen');
-        if (gameOverScreen) {
-            gameOverScreen.classList.add('hidden');
-        }
-        
-        // Stop any existing animation frame to prevent duplicates
-        if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
-            this.animationFrameId = null;
-        }
-        
         // Reset physics world to ensure clean state
         if (this.physics && this.physics.world) {
             this.physics.world.gravity.set(0, -9.82, 0);
         }
         
-        // Reset ball position and state with a small delay to ensure physics is ready
-        setTimeout(() => {
-            if (this.ball) {
-                this.ball.reset();
-                
-                // Ensure the ball has natural gravity
-                if (this.ball.body) {
-                    // Apply initial downward velocity to prevent floating
-                    this.ball.body.velocity.set(0, -0.5, 0);
-                }
-            }
-            
-            // Reset level
-            if (this.level) {
-                this.level.loadLevel(this.currentLevel);
+        // Reload the first level, then reset the ball at its spawn point
+        this.playLevel(this.currentLevel).then(() => {
+            // Ensure the ball has natural gravity
+            if (this.ball && this.ball.body) {
+                // Apply initial downward velocity to prevent floating
+                this.ball.body.velocity.set(0, -0.5, 0);
             }
-        }, 100);
-        
-        // Reset key states
-        this.keyState = {
-            left: false,
-            right: false,
-            up: false,
-            down: false
-        };
+        });
+    }
+    
+    /**
+     * Restart the current level from its beginning, keeping the lives left
+     */
+    restartLevel() {
+        // Editor playtests are restarted from the editor, replays from their start
+        if (this.playtest || this.replayPlayer || !this.state.can(GAME_STATES.LOADING)) return;
+        console.log(`Restarting level ${this.currentLevel}...`);
         
-        // Restart the game loop immediately
-        this.clock.start();
-        this.animationFrameId = requestAnimationFrame(this.boundGameLoop);
+        // Points collected on this attempt don't count
+        this.score = this.levelStartScore;
+        this.ui.updateScore(this.score);
+        
+        this.playLevel(this.currentLevel);
     }
     
     /**
      * Start the game loop
+     * The loop keeps running from here on; what each frame does depends on the game state.
      */
     start() {
-        if (!this.isRunning) {
-            this.isRunning = true;
+        if (!this.animationFrameId) {
             this.clock.start();
             this.animationFrameId = requestAnimationFrame(this.boundGameLoop);
             console.log('Game started');
         }
     }
     
+    /**
+     * Show the main menu
+     */
+    showMenu() {
+        this.state.transition(GAME_STATES.MENU);
+    }
+    
+    /**
+     * Start a new game from the menu or the level select screen
+     * @param {string} mode - 'normal' or 'timeTrial'
+     * @param {number} levelNumber - Level to start on (the first level unless picked on the level select screen)
+     */
+    startGame(mode, levelNumber = 1) {
+        this.mode = mode;
+        this.lives = 3;
+        this.score = 0;
+        this.currentLevel = levelNumber;
+        
+        this.ui.updateLives(this.lives);
+        this.ui.updateScore(this.score);
+        this.ui.updateLevel(this.currentLevel);
+        
+        this.playLevel(this.currentLevel);
+    }
+    
+    /**
+     * Show the level select screen with every level's lock state and records
+     * @returns {Promise} - Resolves when the screen is showing
+     */
+    async showLevelSelect() {
+        let list;
+        try {
+            list = await this.level.loader.getLevelList();
+        } catch (error) {
+            console.error('Error loading the level list:', error);
+            this.ui.showNotification('Could not load the level list', 'error', 3000);
+            return;
+        }
+        if (!this.state.transition(GAME_STATES.LEVEL_SELECT)) return;
+        
+        const unlockedLevel = this.saveSystem.getUnlockedLevel();
+        const levels = list.map(entry => {
+            const record = this.saveSystem.getLevelRecord(entry.id);
+            return {
+                id: entry.id,
+                name: entry.name || `Level ${entry.id}`,
+                locked: entry.id > unlockedLevel,
+                completed: record.completed,
+                bestScore: record.bestScore,
+                bestTime: record.bestTime ? record.bestTime.ticks * this.physicsTimeStep : undefined,
+                hoopsCollected: record.hoopsCollected,
+                totalHoops: record.totalHoops
+            };
+        });
+        
+        const modeSelect = document.getElementById('level-select-mode');
+        this.ui.showLevelSelect(levels, levelNumber => {
+            this.startGame(modeSelect ? modeSelect.value : 'normal', levelNumber);
+        });
+    }
+    
+    /**
+     * Carry on with the saved game, from the start of the level it was on
+     */
+    continueGame() {
+        const progress = this.saveSystem.getProgress();
+        if (!progress) return;
+        
+        this.mode = progress.mode === 'timeTrial' ? 'timeTrial' : 'normal';
+        this.lives = progress.lives;
+        this.score = progress.score;
+        this.currentLevel = progress.level;
+        
+        this.ui.updateLives(this.lives);
+        this.ui.updateScore(this.score);
+        this.ui.updateLevel(this.currentLevel);
+        
+        this.playLevel(this.currentLevel);
+    }
+    
+    /**
+     * Start from the menu by key or gamepad: continue the saved game if there is one
+     */
+    startFromMenu() {
+        if (this.saveSystem.getProgress()) {
+            this.continueGame();
+        } else {
+            this.startGame('normal');
+        }
+    }
+    
+    /**
+     * Show the continue button on the menu when there is a saved game
+     */
+    updateContinueButton() {
+        const button = document.getElementById('continue-button');
+        if (!button) return;
+        
+        const progress = this.saveSystem.getProgress();
+        button.classList.toggle('hidden', !progress);
+        if (progress) {
+            const mode = progress.mode === 'timeTrial' ? ', Time Trial' : '';
+            button.textContent = `Continue (Level ${progress.level}${mode})`;
+        }
+    }
+    
+    /**
+     * Save the game so it can be continued from the start of a level
+     * @param {number} levelNumber - Level to continue from
+     */
+    saveProgress(levelNumber) {
+        this.saveSystem.setProgress({
+            level: levelNumber,
+            lives: this.lives,
+            score: this.score,
+            mode: this.mode
+        });
+    }
+    
+    /**
+     * Keep the best results of the current level in its record
+     * @param {boolean} completed - True if the level was just completed
+     */
+    saveLevelRecord(completed) {
+        const record = this.saveSystem.getLevelRecord(this.currentLevel);
+        const changes = {
+            completed: Boolean(record.completed) || completed,
+            hoopsCollected: Math.max(record.hoopsCollected || 0, this.level.hoopsCollected),
+            totalHoops: this.level.totalHoops
+        };
+        
+        // Only a completed level has a score worth keeping
+        const levelScore = this.score - this.levelStartScore;
+        if (completed && levelScore > (record.bestScore || 0)) {
+            changes.bestScore = levelScore;
+        }
+        
+        this.saveSystem.updateLevelRecord(this.currentLevel, changes);
+    }
+    
+    /**
+     * Load a level and start playing it
+     * @param {number} levelNumber - Level to play
+     * @param {number} seed - Seed for the run, a new random one if not given
+     * @returns {Promise} - Resolves when the level is in play
+     */
+    async playLevel(levelNumber, seed = Math.floor(Math.random() * 0x7fffffff)) {
+        if (!this.state.transition(GAME_STATES.LOADING)) return;
+        
+        try {
+            await this.loadLevel(levelNumber, seed);
+            await this.loadGhost(levelNumber);
+        } catch (error) {
+            // The error has been shown already, go back to the menu
+            this.state.transition(GAME_STATES.MENU);
+            return;
+        }
+        
+        this.levelStartScore = this.score;
+        
+        // A reload continues from the start of this level (replays and playtests aren't the player's game)
+        if (!this.replayPlayer && !this.playtest) {
+            this.saveProgress(levelNumber);
+        }
+        
+        // Skip the time spent loading so the first frame doesn't jump ahead
+        this.clock.getDelta();
+        this.state.transition(GAME_STATES.PLAYING);
+    }
+    
+    /**
+     * Hand the screen over to the level editor
+     */
+    startEditing() {
+        this.releaseControls();
+        this.clearPowerUpIndicators();
+        this.endReplay();
+        this.recorder.cancel();
+        this.ghostRecorder.cancel();
+        this.showGhost(null);
+        this.particles.clear();
+        this.playtest = null;
+        this.state.transition(GAME_STATES.EDITING);
+    }
+    
+    /**
+     * Play level data that didn't come from a level file (used by the level editor)
+     * @param {Object} data - Validated level data
+     * @param {Object} spawn - Where the ball starts {x, y, z}
+     * @param {Function} onFinish - Called with 'complete' or 'gameover' when the run ends
+     */
+    playLevelData(data, spawn, onFinish) {
+        this.playtest = { onFinish };
+        
+        // Fresh run on the edited level
+        this.lives = 3;
+        this.score = 0;
+        this.ui.updateLives(this.lives);
+        this.ui.updateScore(this.score);
+        
+        this.level.buildFromData(data);
+        this.showGhost(null);
+        this.resetGameClock();
+        this.applyLevelSettings();
+        this.ball.initialPosition = { ...spawn };
+        this.ball.reset();
+        
+        this.clock.getDelta();
+        this.state.transition(GAME_STATES.PLAYING);
+    }
+    
+    /**
+     * End an editor playtest early
+     */
+    stopPlaytest() {
+        this.startEditing();
+    }
+    
+    /**
+     * End an editor playtest and report the result to the editor
+     * @param {string} result - 'complete' or 'gameover'
+     */
+    finishPlaytest(result) {
+        const { onFinish } = this.playtest;
+        this.stopPlaytest();
+        
+        // Report after the current frame so the editor doesn't rebuild the level mid-update
+        setTimeout(() => onFinish(result), 0);
+    }
+    
+    /**
+     * Stop recording the current run and keep it as the last replay
+     * @param {string} outcome - 'complete' or 'gameover'
+     */
+    finishRecording(outcome) {
+        const replay = this.recorder.finish({
+            outcome,
+            score: this.score,
+            lives: this.lives
+        });
+        
+        if (replay) {
+            this.lastReplay = replay;
+        }
+        
+        // Only finished runs can become the ghost to beat
+        const ghost = this.ghostRecorder.finish();
+        if (ghost && outcome === 'complete') {
+            this.saveBestGhost(ghost);
+        }
+    }
+    
+    /**
+     * Enable the replay buttons on the menu and game over screens when there is a run to watch
+     */
+    updateReplayButtons() {
+        ['menu-replay-button', 'watch-replay-button', 'save-replay-button'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = !this.lastReplay;
+            }
+        });
+    }
+    
+    /**
+     * Watch a replay: the recorded run is played again on its level
+     * @param {Object} replay - Replay to watch
+     * @returns {Promise} - Resolves when playback has started
+     */
+    async watchReplay(replay) {
+        if (!replay || !this.state.can(GAME_STATES.LOADING)) return;
+        
+        // Remember the player's own game to go back to afterwards
+        this.replayReturn = {
+            lives: this.lives,
+            score: this.score,
+            currentLevel: this.currentLevel
+        };
+        
+        this.recorder.cancel();
+        this.ghostRecorder.cancel();
+        this.replayPlayer = new ReplayPlayer(replay);
+        
+        // Start from the recorded state
+        this.lives = replay.start.lives;
+        this.score = replay.start.score;
+        this.ui.updateLives(this.lives);
+        this.ui.updateScore(this.score);
+        this.ui.updateLevel(replay.level);
+        
+        await this.playLevel(replay.level, replay.seed);
+        if (!this.state.is(GAME_STATES.PLAYING)) {
+            // The level couldn't be loaded
+            this.endReplay();
+            return;
+        }
+        
+        if (replay.levelHash && replay.levelHash !== ReplayRecorder.hashLevel(this.level.data)) {
+            this.ui.showNotification('This level has changed since the replay was recorded, it may not play back the same', 'warning', 4000);
+        }
+        
+        this.replayControls.show(this.replayPlayer);
+    }
+    
+    /**
+     * Stop watching a replay and put the player's own game back, without changing state
+     */
+    endReplay() {
+        if (!this.replayPlayer) return;
+        
+        this.replayPlayer = null;
+        this.replayControls.hide();
+        
+        const saved = this.replayReturn;
+        this.replayReturn = null;
+        if (saved) {
+            this.lives = saved.lives;
+            this.score = saved.score;
+            this.currentLevel = saved.currentLevel;
+            
+            // Coming from the game over screen, the next game is a new one
+            if (this.lives <= 0) {
+                this.lives = 3;
+                this.score = 0;
+                this.currentLevel = 1;
+            }
+            
+            this.ui.updateLives(this.lives);
+            this.ui.updateScore(this.score);
+            this.ui.updateLevel(this.currentLevel);
+        }
+    }
+    
+    /**
+     * Leave replay playback and go back to the menu
+     */
+    stopReplay() {
+        if (!this.replayPlayer) return;
+        
+        this.endReplay();
+        this.clearPowerUpIndicators();
+        this.state.transition(GAME_STATES.MENU);
+    }
+    
+    /**
+     * Pause or continue replay playback (at the end, play it again from the start)
+     */
+    toggleReplayPause() {
+        if (!this.replayPlayer) return;
+        
+        if (this.replayPlayer.isFinished(this.tickCount)) {
+            this.seekReplay(0);
+            this.replayPlayer.paused = false;
+        } else {
+            this.replayPlayer.paused = !this.replayPlayer.paused;
+        }
+        this.replayControls.update(this.tickCount);
+    }
+    
+    /**
+     * Jump to a point in the replay being watched
+     * @param {number} tick - Tick to jump to
+     */
+    seekReplay(tick) {
+        if (!this.replayPlayer || !this.state.is(GAME_STATES.PLAYING)) return;
+        
+        const target = Math.min(Math.max(Math.round(tick), 0), this.replayPlayer.getLength());
+        
+        // Going back means playing the run again from its start
+        if (target < this.tickCount) {
+            const replay = this.replayPlayer.replay;
+            this.lives = replay.start.lives;
+            this.score = replay.start.score;
+            this.ui.updateLives(this.lives);
+            this.ui.updateScore(this.score);
+            
+            this.level.buildFromData(this.level.data);
+            this.resetRun(replay.seed);
+        }
+        
+        // Simulate up to the target as fast as possible, without drawing or playing anything in between
+        this.setSilent(true);
+        while (this.tickCount < target && this.state.is(GAME_STATES.PLAYING)) {
+            this.tick(this.physicsTimeStep);
+        }
+        this.setSilent(false);
+        this.accumulator = 0;
+        this.physics.interpolate(1);
+        this.replayControls.update(this.tickCount);
+    }
+    
+    /**
+     * Hold back sound, particles, rumble and screen shake, e.g. for the ticks a replay seek skips
+     * @param {boolean} silent - Whether the game's feedback is held back
+     */
+    setSilent(silent) {
+        this.audio.silent = silent;
+        this.particles.silent = silent;
+        this.gamepad.silent = silent;
+        this.renderer.silent = silent;
+    }
+    
+    /**
+     * Download a replay as a file
+     * @param {Object|null} replay - Replay to save
+     */
+    saveReplay(replay) {
+        if (!replay || replay.inputs.length === 0) {
+            this.ui.showNotification('Nothing to save yet', 'warning', 1500);
+            return;
+        }
+        
+        const name = (replay.levelName || `level-${replay.level}`).toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        this.downloadFile(`${name}-${replay.inputs.length}.bouncereplay`, ReplayRecorder.encode(replay));
+    }
+    
+    /**
+     * Download text as a file
+     * @param {string} fileName - Name to save the file as
+     * @param {string} text - File contents
+     */
+    downloadFile(fileName, text) {
+        const blob = new Blob([text], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+        this.ui.showNotification(`Saved ${fileName}`, 'success', 1500);
+    }
+    
+    /**
+     * Load a replay file and watch it
+     * @param {File} file - Replay file chosen by the user
+     */
+    async importReplay(file) {
+        try {
+            const replay = ReplayRecorder.decode(await file.text(), file.name);
+            await this.watchReplay(replay);
+        } catch (error) {
+            console.error('Error loading replay:', error);
+            const problems = error.problems ? error.problems.join(', ') : error.message;
+            this.ui.showNotification(`Could not load ${file.name}: ${problems}`, 'error', 4000);
+        }
+    }
+    
+    /**
+     * Show a ghost to race against, or hide the ghost and the split with null
+     * @param {Object|null} ghost - Ghost to show
+     */
+    showGhost(ghost) {
+        this.ghost.setGhost(ghost);
+        this.ui.updateSplit(ghost ? 0 : null);
+    }
+    
+    /**
+     * Show the saved ghost of a level, if there is one
+     * @param {number} levelNumber - Level being played
+     * @returns {Promise} - Resolves when the ghost is ready
+     */
+    async loadGhost(levelNumber) {
+        this.showGhost(null);
+        
+        // Replays are watched without a ghost
+        if (this.replayPlayer) return;
+        
+        try {
+            this.showGhost(await this.ghostStore.get(levelNumber));
+        } catch (error) {
+            // No ghosts without IndexedDB, the level plays as normal
+            console.warn('Could not load ghost:', error);
+        }
+    }
+    
+    /**
+     * Keep a finished run as its level's ghost if it beat the saved one
+     * @param {Object} ghost - Ghost of the finished run
+     * @returns {Promise} - Resolves when the ghost has been checked and saved
+     */
+    async saveBestGhost(ghost) {
+        try {
+            // A ghost recorded on an older version of the level is always replaced
+            const best = await this.ghostStore.get(ghost.level);
+            if (best && best.levelHash === ghost.levelHash && best.ticks <= ghost.ticks) return;
+            
+            await this.ghostStore.put(ghost);
+            this.ui.showNotification(`New best time: ${this.formatTicks(ghost.ticks)}`, 'success', 2000);
+        } catch (error) {
+            console.warn('Could not save ghost:', error);
+        }
+    }
+    
+    /**
+     * Load a ghost file (e.g. a friend's best run) as its level's ghost
+     * @param {File} file - Ghost file chosen by the user
+     */
+    async importGhost(file) {
+        try {
+            const ghost = GhostRecorder.decode(await file.text(), file.name);
+            await this.ghostStore.put(ghost);
+            this.ui.showNotification(`Racing ${this.formatTicks(ghost.ticks)} on level ${ghost.level} from now on`, 'success', 2500);
+        } catch (error) {
+            console.error('Error loading ghost:', error);
+            const problems = error.problems ? error.problems.join(', ') : error.message;
+            this.ui.showNotification(`Could not load ${file.name}: ${problems}`, 'error', 4000);
+        }
+    }
+    
+    /**
+     * List the saved ghosts in the settings screen, to export or delete them
+     * @returns {Promise} - Resolves when the list is shown
+     */
+    async renderGhostSettings() {
+        let ghosts;
+        try {
+            ghosts = await this.ghostStore.getAll();
+        } catch (error) {
+            ghosts = null;
+        }
+        
+        this.ghostSection.innerHTML = '';
+        
+        if (!ghosts || ghosts.length === 0) {
+            const message = document.createElement('p');
+            message.className = 'settings-message';
+            message.textContent = ghosts ? 'Finish a level to race against your best run' : 'Ghosts can\'t be saved in this browser';
+            this.ghostSection.appendChild(message);
+            return;
+        }
+        
+        ghosts.forEach(ghost => {
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+            
+            const label = document.createElement('span');
+            label.className = 'settings-label';
+            label.textContent = `Level ${ghost.level}`;
+            row.appendChild(label);
+            
+            const time = document.createElement('span');
+            time.className = 'settings-ghost-time';
+            time.textContent = this.formatTicks(ghost.ticks);
+            row.appendChild(time);
+            
+            const exportButton = document.createElement('button');
+            exportButton.className = 'settings-reset';
+            exportButton.textContent = 'Export';
+            exportButton.addEventListener('click', () => {
+                this.downloadFile(`level-${ghost.level}-${ghost.ticks}.bounceghost`, GhostRecorder.encode(ghost));
+            });
+            row.appendChild(exportButton);
+            
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'settings-reset';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', async () => {
+                try {
+                    await this.ghostStore.delete(ghost.level);
+                } catch (error) {
+                    console.warn('Could not delete ghost:', error);
+                }
+                this.renderGhostSettings();
+            });
+            row.appendChild(deleteButton);
+            
+            this.ghostSection.appendChild(row);
+        });
+    }
+    
+    /**
+     * Show the buttons to export and import the save in the settings screen
+     */
+    renderSaveSettings() {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+        
+        const exportButton = document.createElement('button');
+        exportButton.className = 'settings-reset';
+        exportButton.textContent = 'Export save';
+        exportButton.addEventListener('click', () => {
+            this.downloadFile('bounce.bouncesave', this.saveSystem.exportSave());
+        });
+        row.appendChild(exportButton);
+        
+        // The file input stays hidden behind the import button
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.bouncesave,.json';
+        fileInput.className = 'hidden';
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importSave(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+        row.appendChild(fileInput);
+        
+        const importButton = document.createElement('button');
+        importButton.className = 'settings-reset';
+        importButton.textContent = 'Import save';
+        importButton.addEventListener('click', () => fileInput.click());
+        row.appendChild(importButton);
+        
+        this.saveSection.appendChild(row);
+        
+        const message = document.createElement('p');
+        message.className = 'settings-message';
+        message.textContent = 'Importing replaces your progress, records and settings';
+        this.saveSection.appendChild(message);
+    }
+    
+    /**
+     * Replace the save with a save file, then reload so every component picks it up
+     * @param {File} file - Save file chosen by the user
+     */
+    async importSave(file) {
+        try {
+            this.saveSystem.importSave(await file.text(), file.name);
+        } catch (error) {
+            console.error('Error loading save:', error);
+            const problems = error.problems ? error.problems.join(', ') : error.message;
+            this.ui.showNotification(`Could not load ${file.name}: ${problems}`, 'error', 4000);
+            return;
+        }
+        
+        this.ui.showNotification('Save loaded, restarting...', 'success', 1500);
+        setTimeout(() => window.location.reload(), 1000);
+    }
+    
+    /**
+     * Format a number of game ticks as a time
+     * @param {number} ticks - Number of ticks
+     * @returns {string} - Time in seconds, e.g. "12.35s"
+     */
+    formatTicks(ticks) {
+        return `${(ticks * this.physicsTimeStep).toFixed(2)}s`;
+    }
+    
     /**
      * Game loop - runs every frame
      */
     gameLoop() {
-        if (!this.isRunning) return;
+        // Schedule the next frame
+        this.animationFrameId = requestAnimationFrame(this.boundGameLoop);
         
         // Calculate delta time for physics and animations
-        this.deltaTime = Math.min(this.clock.getDelta(), 0.1); // Cap at 0.1 to prevent large jumps
-        this.elapsedTime += this.deltaTime;
+        this.deltaTime = Math.min(this.clock.getDelta(), 0.25); // Cap to prevent large jumps, e.g. after a hidden tab
+        
+        // The editor draws the scene itself
+        if (this.state.is(GAME_STATES.EDITING)) return;
+        
+        // Gamepads have to be read every frame, they don't send events
+        this.gamepad.poll();
+        this.touch.poll();
+        
+        // Keep the music's next notes scheduled
+        this.musicPlayer.update();
         
-        if (!this.gamePaused) {
-            // Direct control for better response when physics might be off
-            this.processDirectControls();
+        // The level complete screen counts down on game time without simulating anything
+        if (this.state.is(GAME_STATES.LEVEL_TRANSITION)) {
+            this.gameClock.update(this.deltaTime);
+        }
+        
+        if (this.state.is(GAME_STATES.PLAYING)) {
+            // Run as many fixed ticks as the frame time covers (replays can run slower or faster)
+            let maxTicks = this.maxSubSteps;
+            if (this.replayPlayer) {
+                this.accumulator += this.replayPlayer.scaleFrameTime(this.deltaTime, this.tickCount);
+                maxTicks *= Math.max(this.replayPlayer.speed, 1);
+            } else {
+                this.accumulator += this.deltaTime;
+            }
+            let ticks = 0;
+            while (this.accumulator >= this.physicsTimeStep && this.state.is(GAME_STATES.PLAYING)) {
+                if (ticks >= maxTicks || (this.replayPlayer && this.replayPlayer.isFinished(this.tickCount))) {
+                    // Too far behind to catch up, drop the rest
+                    this.accumulator = 0;
+                    break;
+                }
+                
+                this.tick(this.physicsTimeStep);
+                this.accumulator -= this.physicsTimeStep;
+                ticks++;
+            }
+            
+            // Draw everything part way between the last two ticks
+            const alpha = this.accumulator / this.physicsTimeStep;
+            this.physics.interpolate(alpha);
+            this.level.animate(this.deltaTime);
             
-            // Update physics with fixed timestep for stability
-            this.physics.update(this.deltaTime);
+            // Move the ghost alongside and show how far ahead or behind it the player is
+            if (this.ghost.isActive()) {
+                this.ghost.update(this.tickCount, alpha);
+                this.ui.updateSplit(this.ghost.getSplit(this.ball.body.position, this.tickCount) * this.physicsTimeStep);
+            }
             
-            // Update game objects
-            this.ball.update(this.deltaTime);
-            this.level.update(this.deltaTime);
+            // Update camera to follow ball with velocity-based look-ahead (unless a replay is using the free camera)
+            if (!this.replayPlayer || !this.replayPlayer.freeCamera) {
+                this.renderer.updateCamera(this.ball.mesh.position, this.ball.body.velocity, this.deltaTime);
+            }
             
-            // Check for collisions
-            this.checkCollisions();
+            if (this.replayPlayer) {
+                this.replayControls.update(this.tickCount);
+            }
             
-            // Check game conditions (win, lose, etc.)
-            this.checkGameConditions();
+            // Show active power-ups and how long they have left
+            this.updatePowerUpIndicators();
             
-            // Update camera to follow ball with velocity-based look-ahead
-            this.renderer.updateCamera(this.ball.position, this.ball.body.velocity);
+            if (this.mode === 'timeTrial') {
+                this.ui.updateTimer(this.tickCount * this.physicsTimeStep);
+            }
         }
         
-        // Render the scene (always render even when paused)
-        this.renderer.render();
+        // Particles keep moving behind the menus, but stop with everything else while paused
+        if (!this.state.is(GAME_STATES.PAUSED)) {
+            this.updateParticles();
+        }
         
-        // Schedule the next frame
-        this.animationFrameId = requestAnimationFrame(this.boundGameLoop);
+        // Render the scene (also behind the menu, pause and game over screens)
+        this.renderer.render(this.deltaTime);
     }
     
     /**
-     * Process direct controls for immediate responsiveness
+     * Run the level's emitters and the auras of the active power-ups, and move the particles
      */
-    processDirectControls() {
-        // Apply movement directly based on key states
-        if (this.keyState.left) {
-            // Direct ball position change for instant visual feedback
-            const currentPosition = this.ball.mesh.position.clone();
-            this.ball.mesh.position.set(currentPosition.x - 0.1, currentPosition.y, currentPosition.z);
-            
-            // Also set physics velocity
-            const currentVel = this.ball.body.velocity;
-            this.ball.body.velocity.set(-8, currentVel.y, currentVel.z);
-        } 
-        else if (this.keyState.right) {
-            // Direct ball position change for instant visual feedback
-            const currentPosition = this.ball.mesh.position.clone();
-            this.ball.mesh.position.set(currentPosition.x + 0.1, currentPosition.y, currentPosition.z);
+    updateParticles() {
+        this.level.emitters.forEach(emitter => this.particles.runEmitter(emitter, this.deltaTime));
+        
+        const active = {
+            speed: this.gameClock.isActive('speed'),
+            antigravity: this.ball.isAntiGravity
+        };
+        Object.entries(this.powerUpAuras).forEach(([type, aura]) => {
+            if (!active[type]) return;
             
-            // Also set physics velocity
-            const currentVel = this.ball.body.velocity;
-            this.ball.body.velocity.set(8, currentVel.y, currentVel.z);
-        } 
-        else {
-            // Stop horizontal movement when no keys are pressed
-            const currentVel = this.ball.body.velocity;
-            this.ball.body.velocity.set(0, currentVel.y, currentVel.z);
+            aura.position.copy(this.ball.mesh.position);
+            aura.velocity.copy(this.ball.body.velocity);
+            aura.radius = this.ball.getRadius() * 1.3;
+            this.particles.runEmitter(aura, this.deltaTime);
+        });
+        
+        this.particles.update(this.deltaTime);
+    }
+    
+    /**
+     * Advance gameplay by one fixed tick
+     * Everything that changes the simulation happens here, never per rendered frame.
+     * @param {number} deltaTime - Tick length in seconds
+     */
+    tick(deltaTime) {
+        // The state before the first tick is where replays start from
+        if (this.tickCount === 0) {
+            this.startRun();
         }
+        
+        // This tick's input comes from the player, or from the replay being watched
+        let input;
+        if (this.replayPlayer) {
+            input = this.replayPlayer.getInput(this.tickCount);
+        } else {
+            input = this.readTickInput();
+            this.recorder.record(input);
+        }
+        
+        this.tickCount++;
+        this.elapsedTime += deltaTime;
+        this.gameClock.update(deltaTime);
+        
+        // Start of the tick, meshes are drawn between here and the end of the tick
+        this.physics.storePreviousStates();
+        
+        // Remember where the ball starts this tick for swept collision checks
+        this.ball.storePreviousPosition();
+        
+        // Apply the held movement and any jump pressed since the last tick
+        this.processDirectControls(input.move);
+        if (input.jump && this.ball.jump()) {
+            this.audio.play('jump');
+        }
+        
+        // Set the moving platforms going, taking the ball along if it stands on one
+        this.level.moveMovingPlatforms(deltaTime);
+        this.applyPlatformCarry();
+        
+        // Apply water buoyancy and drag before the physics step
+        this.applyWaterForces(deltaTime);
+        
+        this.physics.step(deltaTime);
+        
+        // Update game objects
+        this.ball.update(deltaTime);
+        this.level.update(deltaTime);
+        this.level.updateEnemies(this.ball.body.position);
+        this.ghostRecorder.record(this.ball);
+        
+        // Check for collisions
+        this.checkCollisions();
+        
+        // Check game conditions (win, lose, etc.)
+        this.checkGameConditions();
+    }
+    
+    /**
+     * Read the player's input for one tick
+     * Analog movement is rounded to hundredths, which is what replays store.
+     * @returns {Object} - {move: -1 to 1, jump: boolean}
+     */
+    readTickInput() {
+        const input = {
+            move: Math.round(this.input.getAxis('move') * 100) / 100,
+            jump: this.jumpQueued
+        };
+        this.jumpQueued = false;
+        return input;
+    }
+    
+    /**
+     * Called before the first tick of a run: starts recording it (input and ghost), or puts a replay's ball in place
+     */
+    startRun() {
+        if (this.replayPlayer) {
+            // Start exactly where the recorded run did
+            const ball = this.replayPlayer.replay.start.ball;
+            if (ball) {
+                this.ball.body.position.set(ball.position.x, ball.position.y, ball.position.z);
+                this.ball.body.velocity.set(ball.velocity.x, ball.velocity.y, ball.velocity.z);
+                this.ball.storePreviousPosition();
+                this.physics.snapBody(this.ball.body);
+            }
+            return;
+        }
+        
+        // Editor playtests aren't recorded
+        if (this.playtest) {
+            this.recorder.cancel();
+            this.ghostRecorder.cancel();
+            return;
+        }
+        
+        const position = this.ball.body.position;
+        const velocity = this.ball.body.velocity;
+        const levelHash = ReplayRecorder.hashLevel(this.level.data);
+        this.recorder.start({
+            level: this.currentLevel,
+            levelName: this.level.name,
+            levelHash,
+            seed: this.runSeed,
+            start: {
+                lives: this.lives,
+                score: this.score,
+                ball: {
+                    position: { x: position.x, y: position.y, z: position.z },
+                    velocity: { x: velocity.x, y: velocity.y, z: velocity.z }
+                }
+            }
+        });
+        this.ghostRecorder.start({
+            level: this.currentLevel,
+            levelName: this.level.name,
+            levelHash
+        }, this.ball);
+    }
+    
+    /**
+     * Apply buoyancy and drag if the ball is in water
+     * @param {number} deltaTime - Tick length in seconds
+     */
+    applyWaterForces(deltaTime) {
+        const radius = this.ball.getRadius();
+        const waterArea = this.level.getWaterAreaAt(this.ball.body.position, radius);
+        
+        this.ball.waterSubmersion = waterArea ? this.physics.applyWaterForces(
+            this.ball.body,
+            radius,
+            this.ball.getBuoyancy(),
+            waterArea,
+            deltaTime
+        ) : 0;
+    }
+    
+    /**
+     * Move the ball along with the moving platform it stands on
+     * The held movement is added to the platform's, and the ball keeps to the platform
+     * as it goes up or down unless it's jumping or bouncing off it, or landing hard on it.
+     */
+    applyPlatformCarry() {
+        const body = this.ball.body;
+        const platform = this.level.getMovingPlatformUnder(body.position, this.ball.getRadius());
+        if (!platform) {
+            this.ball.carriedVelocity.set(0, 0, 0);
+            return;
+        }
+        
+        // A turning platform moves each point of its surface differently
+        const velocity = platform.body.getVelocityAtWorldPoint(body.position, this.ball.carriedVelocity);
+        body.velocity.x += velocity.x;
+        body.velocity.z += velocity.z;
+        
+        // Compare with how the platform moved last tick, which the ball has been following
+        const movement = platform.movement;
+        const rising = body.velocity.y - (velocity.y - movement.velocity.y + movement.previousVelocity.y);
+        if (rising > -1.5 && rising < 0.5) {
+            body.velocity.y = velocity.y;
+        }
+        
+        body.wakeUp();
+    }
+    
+    /**
+     * Set the ball's horizontal speed from the held movement
+     * @param {number} move - Movement input, -1 to 1: keys and the d-pad give full speed, an analog stick scales it
+     */
+    processDirectControls(move) {
+        // Moving through water is slower
+        const moveSpeed = this.ball.moveSpeed * (1 - 0.4 * this.ball.waterSubmersion);
+        const velocity = this.ball.body.velocity;
+        
+        // Take out what the platform carrying the ball added last tick, it's added again after the controls
+        const carried = this.ball.carriedVelocity;
+        let speed = velocity.x - carried.x;
+        
+        if (this.ball.isOnSlope()) {
+            // On a slope gravity keeps the ball rolling, holding a direction only makes it go that way faster
+            if (move > 0) {
+                speed = Math.max(speed, moveSpeed * move);
+            } else if (move < 0) {
+                speed = Math.min(speed, moveSpeed * move);
+            }
+        } else {
+            // Apply movement directly based on the held actions, stopping when no keys are pressed
+            speed = moveSpeed * move;
+        }
+        
+        velocity.set(speed, velocity.y, velocity.z - carried.z);
+    }
+    
+    /**
+     * Get the message for reaching a checkpoint, with the split time in time trials
+     * @param {Object} checkpoint - The checkpoint reached
+     * @returns {string} - Notification text
+     */
+    getCheckpointMessage(checkpoint) {
+        if (this.mode !== 'timeTrial' || this.replayPlayer || this.playtest) {
+            return 'Checkpoint Reached!';
+        }
+        
+        const index = this.level.checkpoints.indexOf(checkpoint);
+        const split = this.timeTrial.recordSplit(this.currentLevel, index, this.tickCount);
+        if (!split) {
+            return 'Checkpoint Reached!';
+        }
+        
+        const time = TimeTrial.formatTime(split.ticks * this.physicsTimeStep);
+        if (split.difference === null) {
+            return `Checkpoint ${index + 1}: ${time}`;
+        }
+        return `Checkpoint ${index + 1}: ${time} (${TimeTrial.formatDifference(split.difference * this.physicsTimeStep)})`;
     }
     
     /**
      * Check for collisions between the ball and game objects
      */
     checkCollisions() {
-        // Check for collisions with obstacles
-        const hitObstacle = this.level.checkObstacleCollisions(this.ball);
+        // Check for collisions with obstacles and enemies
+        const hitObstacle = this.level.checkObstacleCollisions(this.ball) || this.level.checkEnemyCollisions(this.ball);
         if (hitObstacle) {
             this.loseLife();
         }
@@ -387,40 +1448,55 @@ class Game {
         const hoopCollected = this.level.checkHoopCollisions(this.ball);
         if (hoopCollected) {
             this.addScore(100);
-            this.ui.showNotification('+100 Points', 'success', 1000);
+            this.ui.updateHoops(this.level.getHoopsRemaining());
+            this.gamepad.rumble(0.2, 0.4, 100);
+            this.audio.play('hoop');
+            this.particles.emit('sparkle', hoopCollected.position);
             
-            // Play sound effect (to be implemented)
-            // this.audio.playSound('hoop_collect');
+            // The last hoop opens the exit, if the level has one
+            if (this.level.exit && this.level.exit.open) {
+                this.ui.showNotification('All hoops collected - the exit is open!', 'success', 2000);
+            } else {
+                this.ui.showNotification('+100 Points', 'success', 1000);
+            }
         }
         
+        // Rolling into the open exit completes the level (see checkGameConditions)
+        this.level.checkExitCollision(this.ball);
+        
         // Check for collisions with checkpoints
         const checkpointReached = this.level.checkCheckpointCollisions(this.ball);
         if (checkpointReached && !this.eventFlags.checkpointReached) {
             // Set respawn point
             this.ball.setCheckpoint(checkpointReached.position);
-            this.ui.showNotification('Checkpoint Reached!', 'info', 1500);
+            this.ui.showNotification(this.getCheckpointMessage(checkpointReached), 'info', 1500);
+            this.audio.play('checkpoint');
             this.eventFlags.checkpointReached = true;
             this.addScore(50);
             
             // Reset the flag after a delay to prevent multiple notifications
-            setTimeout(() => {
+            this.gameClock.after(1, () => {
                 this.eventFlags.checkpointReached = false;
-            }, 1000);
+            }, 'checkpointCooldown');
         }
         
         // Check for collisions with power-ups
         const powerUp = this.level.checkPowerUpCollisions(this.ball);
         if (powerUp && !this.eventFlags.powerUpCollected) {
             this.applyPowerUp(powerUp);
+            this.audio.play('powerUp');
             this.addScore(50);
             this.eventFlags.powerUpCollected = true;
             
             // Reset the flag after a delay to prevent multiple notifications
-            setTimeout(() => {
+            this.gameClock.after(0.5, () => {
                 this.eventFlags.powerUpCollected = false;
-            }, 500);
+            }, 'powerUpCooldown');
         }
         
+        // Splash where the ball goes in or out of the water
+        this.checkWaterSplash();
+        
         // Check if ball has fallen out of bounds
         if (this.ball.position.y < -10) {
             this.loseLife();
@@ -430,6 +1506,23 @@ class Game {
         this.checkGroundContact();
     }
     
+    /**
+     * Splash when the middle of the ball goes through a water surface fast enough
+     */
+    checkWaterSplash() {
+        const position = this.ball.body.position;
+        const previous = this.ball.previousPosition;
+        const radius = this.ball.getRadius();
+        const waterArea = this.level.getWaterAreaAt(position, radius) || this.level.getWaterAreaAt(previous, radius);
+        if (!waterArea) return;
+        
+        const surface = waterArea.bounds.surface;
+        const speed = Math.abs(this.ball.body.velocity.y);
+        if ((previous.y - surface) * (position.y - surface) < 0 && speed > 1) {
+            this.particles.emit('splash', { x: position.x, y: surface, z: position.z }, Math.min(speed / 6, 1));
+        }
+    }
+    
     /**
      * Check if the ball is touching the green ground
      */
@@ -439,6 +1532,11 @@ class Game {
             return;
         }
         
+        // Water protects the ball, pools are safe to sink into
+        if (this.ball.waterSubmersion > 0) {
+            return;
+        }
+        
         // If the ball is below a certain height and not on any platform, it's touching the ground
         // Use a small negative value to account for slight platform positioning variations
         if (this.ball.position.y < 0.2 && this.ball.position.y > -1) {
@@ -468,7 +1566,11 @@ class Game {
                 );
             });
             
-            if (!onPlatform) {
+            // Moving platforms may be turned, and ramps and curves are sloped, which the check above doesn't allow for
+            const onMovingPlatform = this.level.getMovingPlatformUnder(this.ball.position, this.ball.getRadius()) !== null;
+            const onSlope = this.ball.isOnGround && this.level.isSlope(this.ball.groundBody);
+            
+            if (!onPlatform && !onMovingPlatform && !onSlope) {
                 // Ball is touching the green ground
                 this.loseLife();
                 
@@ -480,9 +1582,9 @@ class Game {
                 
                 // Set flag to prevent multiple life losses in rapid succession
                 this.eventFlags.groundContact = true;
-                setTimeout(() => {
+                this.gameClock.after(2, () => {
                     this.eventFlags.groundContact = false;
-                }, 2000);
+                }, 'groundContactCooldown');
             }
         }
     }
@@ -491,10 +1593,13 @@ class Game {
      * Check game conditions like level completion, game over, etc.
      */
     checkGameConditions() {
-        // Check if level is complete (all hoops collected)
-        if (this.level.isComplete() && !this.eventFlags.levelComplete) {
-            this.eventFlags.levelComplete = true;
+        // Nothing to check if a collision already ended play this frame
+        if (!this.state.is(GAME_STATES.PLAYING)) return;
+        
+        // Check if level is complete (all hoops collected and the exit reached)
+        if (this.level.isComplete()) {
             this.completeLevel();
+            return;
         }
         
         // Check if game is over (no lives left)
@@ -534,6 +1639,37 @@ class Game {
         }
     }
     
+    /**
+     * Update the power-up indicators from the ball's state and the game clock
+     */
+    updatePowerUpIndicators() {
+        const powerUps = {
+            enlarge: { active: this.ball.isEnlarged, timeLeft: null },
+            speed: { active: this.gameClock.isActive('speed'), timeLeft: this.ball.getPowerUpTimeLeft('speed') },
+            antigravity: { active: this.ball.isAntiGravity, timeLeft: this.ball.getPowerUpTimeLeft('antigravity') }
+        };
+        
+        Object.entries(powerUps).forEach(([type, powerUp]) => {
+            // Skip power-ups that are off and already hidden
+            if (!powerUp.active && !this.activePowerUps.has(type)) return;
+            
+            this.ui.updatePowerUpIndicator(type, powerUp.active, powerUp.timeLeft);
+            if (powerUp.active) {
+                this.activePowerUps.add(type);
+            } else {
+                this.activePowerUps.delete(type);
+            }
+        });
+    }
+    
+    /**
+     * Hide every power-up indicator
+     */
+    clearPowerUpIndicators() {
+        this.activePowerUps.forEach(type => this.ui.updatePowerUpIndicator(type, false));
+        this.activePowerUps.clear();
+    }
+    
     /**
      * Add points to the score
      * @param {number} points - Points to add
@@ -547,9 +1683,17 @@ class Game {
      * Lose a life and respawn the ball
      */
     loseLife() {
+        // Lives can only be lost while the ball is in play
+        if (!this.state.is(GAME_STATES.PLAYING)) return;
+        
         this.lives--;
         this.ui.updateLives(this.lives);
         
+        // A strong rumble so gamepad players feel the hit
+        this.gamepad.rumble(0.8, 0.5, 300);
+        this.audio.play('lifeLost');
+        this.particles.emit('burst', this.ball.body.position);
+        
         if (this.lives > 0) {
             // Add screen shake effect
             this.renderer.cameraShake(0.5, 0.5);
@@ -569,44 +1713,101 @@ class Game {
      * Complete the current level and move to the next
      */
     completeLevel() {
-        // Add bonus points for completing the level
-        this.addScore(1000);
+        // A replay just stops at its end
+        if (this.replayPlayer) return;
         
-        // Show level complete message
-        this.ui.showLevelComplete(this.currentLevel, this.score);
+        // Playtests from the editor go back to the editor instead of the next level
+        if (this.playtest) {
+            this.finishPlaytest('complete');
+            return;
+        }
         
-        // Short pause before loading next level
-        this.gamePaused = true;
-        setTimeout(() => {
-            // Move to the next level
-            this.currentLevel++;
-            this.ui.updateLevel(this.currentLevel);
-            
-            // Load the next level
-            this.level.loadLevel(this.currentLevel);
-            
-            // Reset the ball at the level's starting position
-            this.ball.reset();
-            
-            // Resume the game
-            this.gamePaused = false;
-            this.eventFlags.levelComplete = false;
-        }, 2000);
+        this.finishRecording('complete');
+        
+        // Time trials keep the time and work out the medal before the level complete screen shows them
+        this.levelResult = this.mode === 'timeTrial' ?
+            this.timeTrial.finishRun(this.currentLevel, this.tickCount, this.level.medals) : null;
+        
+        // The level transition state shows the level complete screen and loads the next level
+        this.state.transition(GAME_STATES.LEVEL_TRANSITION);
+    }
+    
+    /**
+     * Load a level and reset the ball at its spawn point
+     * @param {number} levelNumber - Level to load
+     * @param {number} seed - Seed for the run
+     * @returns {Promise} - Resolves when the level is ready to play
+     */
+    async loadLevel(levelNumber, seed = 1) {
+        try {
+            await this.level.loadLevel(levelNumber);
+        } catch (error) {
+            console.error(`Error loading level ${levelNumber}:`, error);
+            this.ui.showNotification(`Could not load level ${levelNumber}`, 'error', 3000);
+            throw error;
+        }
+        
+        this.resetRun(seed);
+    }
+    
+    /**
+     * Put the loaded level's run back at its very beginning
+     * @param {number} seed - Seed for the run
+     */
+    resetRun(seed) {
+        this.resetGameClock();
+        this.applyLevelSettings();
+        this.runSeed = seed;
+        this.ball.reset(seed);
+    }
+    
+    /**
+     * Cancel all game-time timers, along with the cooldowns and power-ups they were timing
+     */
+    resetGameClock() {
+        this.gameClock.reset();
+        this.accumulator = 0;
+        this.tickCount = 0;
+        this.jumpQueued = false;
+        this.timeTrial.startRun();
+        this.ui.updateTimer(this.mode === 'timeTrial' ? 0 : null);
+        Object.keys(this.eventFlags).forEach(flag => {
+            this.eventFlags[flag] = false;
+        });
+        this.clearPowerUpIndicators();
+    }
+    
+    /**
+     * Apply the loaded level's spawn point, camera bounds and music, and clear the last level's particles
+     */
+    applyLevelSettings() {
+        this.particles.clear();
+        this.ball.initialPosition = { ...this.level.spawnPoint };
+        this.ball.setCheckpoint(this.level.spawnPoint);
+        this.renderer.setCameraBounds(this.level.cameraBounds);
+        this.ui.updateHoops(this.level.getHoopsRemaining());
+        this.musicPlayer.play(this.level.music);
     }
     
     /**
      * End the game
      */
     gameOver() {
-        this.isRunning = false;
+        if (this.replayPlayer) return;
+        
+        if (this.playtest) {
+            this.finishPlaytest('gameover');
+            return;
+        }
+        
+        this.finishRecording('gameover');
         
-        // Show game over screen
-        const gameOverScreen = document.getElementById('game-over-screen');
-        const finalScore = document.getElementById('final-score');
-        finalScore.textContent = this.score;
-        gameOverScreen.classList.remove('hidden');
+        // A lost game can't be continued, but the hoops collected still count for the level
+        this.saveLevelRecord(false);
+        this.saveSystem.setProgress(null);
         
-        console.log('Game over');
+        // Entering the game over state shows the game over screen
+        this.state.transition(GAME_STATES.GAME_OVER);
     }
     
     /**
@@ -0,0 +1,98 @@
+/**
+ * Game-time clock and timer scheduler
+ *
+ * Time only moves forward when the game loop calls update, so timers stop while
+ * the game is paused, the tab is hidden or a menu is open, and pick up exactly
+ * where they left off. Timers can be named, which makes it easy to restart an
+ * effect (scheduling a name again replaces the old timer) and to ask how much
+ * time an effect has left.
+ */
+class GameClock {
+    constructor() {
+        this.time = 0; // Game time in seconds since the last reset
+        this.timers = new Map(); // name -> {name, dueTime, duration, callback}
+        this.nextId = 1;
+    }
+    
+    /**
+     * Advance game time and run every timer that has come due
+     * @param {number} deltaTime - Game time passed in seconds
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+        
+        // Collect due timers first, callbacks may schedule or cancel timers
+        const due = [];
+        this.timers.forEach(timer => {
+            if (timer.dueTime <= this.time) {
+                due.push(timer);
+            }
+        });
+        due.sort((a, b) => a.dueTime - b.dueTime);
+        
+        due.forEach(timer => {
+            // Skip timers that an earlier callback cancelled or replaced
+            if (this.timers.get(timer.name) !== timer) return;
+            
+            this.timers.delete(timer.name);
+            if (timer.callback) {
+                timer.callback();
+            }
+        });
+    }
+    
+    /**
+     * Run a callback after some game time has passed
+     * @param {number} delay - Delay in seconds of game time
+     * @param {Function} callback - Function to call, can be null for a plain countdown
+     * @param {string} name - Optional timer name, replaces any running timer with the same name
+     * @returns {string} - The timer name, for cancel and remaining
+     */
+    after(delay, callback, name = null) {
+        const timerName = name || `timer-${this.nextId++}`;
+        
+        this.timers.set(timerName, {
+            name: timerName,
+            dueTime: this.time + delay,
+            duration: delay,
+            callback
+        });
+        
+        return timerName;
+    }
+    
+    /**
+     * Stop a timer without running its callback
+     * @param {string} name - Timer name
+     */
+    cancel(name) {
+        this.timers.delete(name);
+    }
+    
+    /**
+     * Check if a timer is still running
+     * @param {string} name - Timer name
+     * @returns {boolean} - True if the timer hasn't fired or been cancelled yet
+     */
+    isActive(name) {
+        return this.timers.has(name);
+    }
+    
+    /**
+     * Get the game time left on a timer
+     * @param {string} name - Timer name
+     * @returns {number} - Seconds left, 0 if the timer isn't running
+     */
+    remaining(name) {
+        const timer = this.timers.get(name);
+        return timer ? Math.max(timer.dueTime - this.time, 0) : 0;
+    }
+    
+    /**
+     * Cancel every timer and start counting from zero again
+     */
+    reset() {
+        this.timers.clear();
+        this.time = 0;
+    }
+}
@@ -0,0 +1,119 @@
+/**
+ * Names of the states the game can be in
+ */
+const GAME_STATES = {
+    LOADING: 'loading',                   // A level is being loaded (or the game is starting up)
+    MENU: 'menu',                         // Main menu is showing
+    LEVEL_SELECT: 'levelSelect',          // Level select screen is showing
+    PLAYING: 'playing',                   // The ball is in play
+    PAUSED: 'paused',                     // Play is frozen behind the pause overlay
+    LEVEL_TRANSITION: 'levelTransition',  // Level complete screen before the next level loads
+    GAME_OVER: 'gameOver',                // Out of lives, game over screen is showing
+    GAME_COMPLETE: 'gameComplete',        // The last level is done, the ending screen is showing
+    EDITING: 'editing'                    // The level editor owns the screen
+};
+
+/**
+ * Allowed transitions: each state lists the states it can move to
+ * Anything not listed here is refused, so e.g. pausing during a level transition is impossible.
+ */
+const GAME_STATE_TRANSITIONS = {
+    loading: ['menu', 'playing', 'editing'],
+    menu: ['loading', 'levelSelect', 'editing'],
+    levelSelect: ['loading', 'menu'],
+    playing: ['paused', 'levelTransition', 'gameOver', 'loading', 'menu', 'editing'],
+    paused: ['playing', 'loading', 'menu', 'editing'],
+    levelTransition: ['loading', 'gameComplete', 'editing'],
+    gameOver: ['loading', 'menu'],
+    gameComplete: ['loading', 'menu'],
+    editing: ['loading', 'playing', 'menu']
+};
+
+/**
+ * Finite state machine that owns the game's current state
+ *
+ * Each state can have enter and exit hooks, which is where screens are shown and
+ * hidden. Listeners added with onChange are told about every transition.
+ */
+class GameStateMachine {
+    /**
+     * @param {string} initialState - State to start in
+     * @param {Object} transitions - Allowed transitions, state -> array of next states
+     */
+    constructor(initialState = GAME_STATES.LOADING, transitions = GAME_STATE_TRANSITIONS) {
+        this.current = initialState;
+        this.previous = null;
+        this.transitions = transitions;
+        
+        // State name -> {enter, exit}
+        this.hooks = {};
+        this.listeners = [];
+    }
+    
+    /**
+     * Register enter and exit hooks for a state
+     * @param {string} state - State name
+     * @param {Object} hooks - {enter(from), exit(to)}, both optional
+     */
+    on(state, hooks) {
+        this.hooks[state] = hooks;
+    }
+    
+    /**
+     * Add a listener called after every transition
+     * @param {Function} listener - Called with (to, from)
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+    
+    /**
+     * Check if the machine is in any of the given states
+     * @param {...string} states - States to check
+     * @returns {boolean} - True if the current state is one of them
+     */
+    is(...states) {
+        return states.includes(this.current);
+    }
+    
+    /**
+     * Check if a transition from the current state is allowed
+     * @param {string} state - State to move to
+     * @returns {boolean} - True if the transition is allowed
+     */
+    can(state) {
+        const allowed = this.transitions[this.current] || [];
+        return allowed.includes(state);
+    }
+    
+    /**
+     * Move to another state, running the exit hook of the old state and the enter hook of the new one
+     * @param {string} state - State to move to
+     * @returns {boolean} - False if the transition isn't allowed from the current state
+     */
+    transition(state) {
+        if (!this.can(state)) {
+            console.log(`Ignoring state change ${this.current} -> ${state}`);
+            return false;
+        }
+        
+        const from = this.current;
+        const exitHooks = this.hooks[from];
+        const enterHooks = this.hooks[state];
+        
+        if (exitHooks && exitHooks.exit) {
+            exitHooks.exit(state);
+        }
+        
+        this.previous = from;
+        this.current = state;
+        console.log(`Game state: ${from} -> ${state}`);
+        
+        if (enterHooks && enterHooks.enter) {
+            enterHooks.enter(from);
+        }
+        
+        this.listeners.forEach(listener => listener(state, from));
+        return true;
+    }
+}
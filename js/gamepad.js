@@ -0,0 +1,180 @@
+/**
+ * Gamepad buttons for each action, using the "standard" Gamepad API layout
+ * (0-3 face buttons, 8 Back/Select, 9 Start, 14/15 d-pad left/right)
+ */
+const GAMEPAD_BUTTON_ACTIONS = {
+    left: [14],
+    right: [15],
+    jump: [0, 1, 2, 3],
+    pause: [9],
+    restart: [8]
+};
+
+/**
+ * Gamepad support through the Gamepad API
+ *
+ * Gamepads can't be listened to like the keyboard, so poll() is called every
+ * frame to read buttons and sticks and forward them to the input manager. Each
+ * pad is its own input source, so controllers can be plugged in or pulled out
+ * at any time without leaving actions stuck down.
+ */
+class GamepadInput {
+    /**
+     * @param {InputManager} input - Input manager to forward actions and axes to
+     */
+    constructor(input) {
+        this.input = input;
+        this.deadzone = 0.2; // Stick values below this are treated as centered
+        this.stickAxis = 0; // Left stick horizontal axis
+        
+        // Pad index -> {id, pressed: Set of actions whose buttons are down on this pad}
+        this.pads = new Map();
+        
+        // While silent (e.g. fast-forwarding a replay) the pads don't rumble
+        this.silent = false;
+        
+        // Optional callbacks for hot-plugging, called with the Gamepad
+        this.onConnect = null;
+        this.onDisconnect = null;
+    }
+    
+    /**
+     * Start listening for controllers being plugged in and out
+     */
+    init() {
+        if (!this.isSupported()) {
+            console.log('Gamepad API not supported');
+            return;
+        }
+        
+        // Some browsers only expose gamepads once a connection listener exists
+        window.addEventListener('gamepadconnected', event => {
+            console.log(`Gamepad connected: ${event.gamepad.id}`);
+        });
+        window.addEventListener('gamepaddisconnected', event => {
+            this.removePad(event.gamepad.index, event.gamepad);
+        });
+    }
+    
+    /**
+     * Check if the browser supports the Gamepad API
+     * @returns {boolean} - True if gamepads can be read
+     */
+    isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+    
+    /**
+     * Read every connected gamepad and update the input manager
+     */
+    poll() {
+        if (!this.isSupported()) return;
+        
+        const seen = new Set();
+        Array.from(navigator.getGamepads()).forEach(pad => {
+            if (!pad || !pad.connected) return;
+            seen.add(pad.index);
+            this.updatePad(pad);
+        });
+        
+        // Pads that went away without a disconnect event
+        this.pads.forEach((state, index) => {
+            if (!seen.has(index)) {
+                this.removePad(index, null);
+            }
+        });
+    }
+    
+    /**
+     * Forward one gamepad's buttons and stick to the input manager
+     * @param {Gamepad} pad - Gamepad to read
+     */
+    updatePad(pad) {
+        let state = this.pads.get(pad.index);
+        if (!state) {
+            state = { id: pad.id, pressed: new Set() };
+            this.pads.set(pad.index, state);
+            if (this.onConnect) {
+                this.onConnect(pad);
+            }
+        }
+        
+        // Buttons press and release actions, one source per pad and action
+        Object.entries(GAMEPAD_BUTTON_ACTIONS).forEach(([action, buttons]) => {
+            const isDown = buttons.some(index => pad.buttons[index] && pad.buttons[index].pressed);
+            const source = `gamepad${pad.index}:${action}`;
+            
+            if (isDown && !state.pressed.has(action)) {
+                state.pressed.add(action);
+                this.input.press(action, source);
+            } else if (isDown && !this.input.isHeldBy(action, source)) {
+                // The input manager let go of it (pause, blur, settings) while the button stayed down
+                this.input.hold(action, source);
+            } else if (!isDown && state.pressed.has(action)) {
+                state.pressed.delete(action);
+                this.input.release(action, source);
+            }
+        });
+        
+        // The stick moves the ball at a speed that follows how far it's pushed
+        const stick = pad.axes[this.stickAxis] || 0;
+        this.input.setAxis('move', this.applyDeadzone(stick), `gamepad${pad.index}:stick`);
+    }
+    
+    /**
+     * Forget a gamepad and release everything it was holding
+     * @param {number} index - Gamepad index
+     * @param {Gamepad|null} pad - The gamepad, if known
+     */
+    removePad(index, pad) {
+        const state = this.pads.get(index);
+        if (!state) return;
+        
+        state.pressed.forEach(action => this.input.release(action, `gamepad${index}:${action}`));
+        this.input.setAxis('move', 0, `gamepad${index}:stick`);
+        this.pads.delete(index);
+        console.log(`Gamepad disconnected: ${state.id}`);
+        
+        if (this.onDisconnect) {
+            this.onDisconnect(pad);
+        }
+    }
+    
+    /**
+     * Remove stick drift around the center and rescale the rest to the full range
+     * @param {number} value - Raw axis value (-1 to 1)
+     * @returns {number} - Axis value with the deadzone applied
+     */
+    applyDeadzone(value) {
+        const magnitude = Math.abs(value);
+        if (magnitude < this.deadzone) {
+            return 0;
+        }
+        
+        return Math.sign(value) * Math.min((magnitude - this.deadzone) / (1 - this.deadzone), 1);
+    }
+    
+    /**
+     * Rumble every connected gamepad that supports it
+     * @param {number} strong - Strength of the low-frequency motor (0-1)
+     * @param {number} weak - Strength of the high-frequency motor (0-1)
+     * @param {number} duration - How long to rumble in milliseconds
+     */
+    rumble(strong, weak, duration) {
+        if (this.silent || !this.isSupported() || this.pads.size === 0) return;
+        
+        Array.from(navigator.getGamepads()).forEach(pad => {
+            const actuator = pad && pad.vibrationActuator;
+            if (!actuator || typeof actuator.playEffect !== 'function') return;
+            
+            const effect = actuator.playEffect('dual-rumble', {
+                duration,
+                strongMagnitude: strong,
+                weakMagnitude: weak
+            });
+            if (effect && typeof effect.catch === 'function') {
+                effect.catch(error => console.log('Rumble failed:', error));
+            }
+        });
+    }
+}
@@ -0,0 +1,424 @@
+/**
+ * Current version of the ghost file format
+ */
+const GHOST_FORMAT_VERSION = 1;
+
+/**
+ * Numbers stored per ghost sample: x, y, z and scale
+ */
+const GHOST_SAMPLE_SIZE = 4;
+
+/**
+ * Fewest ticks between two searches of a ghost's whole path for the player's split
+ */
+const GHOST_SPLIT_RESCAN_TICKS = 30;
+
+/**
+ * Error thrown when a ghost file is unreadable or does not match the format
+ */
+class GhostFormatError extends Error {
+    /**
+     * @param {string} source - Where the data came from (file name or description)
+     * @param {string[]} problems - Human readable list of everything wrong with the data
+     */
+    constructor(source, problems) {
+        super(`Invalid ghost in ${source}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'GhostFormatError';
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Records the ball's path during a run, one sample per game tick
+ *
+ * Unlike a replay, a ghost stores where the ball was rather than what the player
+ * pressed, so it can be drawn next to a live run without simulating anything.
+ * The path is a flat array of [x, y, z, scale] per sample; sample 0 is the start
+ * of the run and sample n is the ball after n ticks.
+ */
+class GhostRecorder {
+    constructor() {
+        this.ghost = null; // Ghost being recorded, or null
+    }
+    
+    /**
+     * Check if a run is being recorded
+     * @returns {boolean} - True while recording
+     */
+    isRecording() {
+        return this.ghost !== null;
+    }
+    
+    /**
+     * Start recording a run (replaces any recording in progress)
+     * @param {Object} info - {level, levelName, levelHash}
+     * @param {Ball} ball - The ball, sampled where it starts
+     */
+    start(info, ball) {
+        this.ghost = {
+            version: GHOST_FORMAT_VERSION,
+            level: info.level,
+            levelName: info.levelName,
+            levelHash: info.levelHash,
+            ticks: 0,
+            recordedAt: new Date().toISOString(),
+            path: []
+        };
+        this.record(ball);
+    }
+    
+    /**
+     * Sample the ball at the end of a tick
+     * @param {Ball} ball - The ball
+     */
+    record(ball) {
+        if (!this.ghost) return;
+        
+        // Millimetres are plenty and keep the files small
+        const round = value => Math.round(value * 1000) / 1000;
+        const position = ball.body.position;
+        this.ghost.path.push(
+            round(position.x),
+            round(position.y),
+            round(position.z),
+            round(ball.getRadius() / ball.normalRadius)
+        );
+    }
+    
+    /**
+     * Throw away the recording in progress
+     */
+    cancel() {
+        this.ghost = null;
+    }
+    
+    /**
+     * Stop recording
+     * @returns {Object|null} - The finished ghost, or null if nothing was being recorded
+     */
+    finish() {
+        const ghost = this.ghost;
+        this.ghost = null;
+        
+        if (ghost) {
+            ghost.ticks = ghost.path.length / GHOST_SAMPLE_SIZE - 1;
+        }
+        return ghost;
+    }
+    
+    /**
+     * Turn a ghost into file text
+     * @param {Object} ghost - Ghost to save
+     * @returns {string} - Ghost file contents
+     */
+    static encode(ghost) {
+        return JSON.stringify(ghost);
+    }
+    
+    /**
+     * Read ghost file text, checking it against the format
+     * @param {string} text - Ghost file contents
+     * @param {string} source - Where the text came from, for error messages
+     * @returns {Object} - The ghost
+     * @throws {GhostFormatError} - If the text isn't a valid ghost
+     */
+    static decode(text, source = 'ghost') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new GhostFormatError(source, [`is not valid JSON (${error.message})`]);
+        }
+        
+        if (!data || typeof data !== 'object') {
+            throw new GhostFormatError(source, ['is not a ghost']);
+        }
+        
+        const problems = [];
+        if (data.version !== GHOST_FORMAT_VERSION) {
+            problems.push(`has unsupported version ${data.version}`);
+        }
+        if (!Number.isInteger(data.level) || data.level < 1) {
+            problems.push('level must be a level number');
+        }
+        if (!Number.isInteger(data.ticks) || data.ticks < 1) {
+            problems.push('ticks must be a positive whole number');
+        }
+        if (!Array.isArray(data.path) || !data.path.every(Number.isFinite)) {
+            problems.push('path must be a list of numbers');
+        } else if (Number.isInteger(data.ticks) && data.path.length !== (data.ticks + 1) * GHOST_SAMPLE_SIZE) {
+            problems.push(`path has ${data.path.length} numbers, expected ${(data.ticks + 1) * GHOST_SAMPLE_SIZE} for ${data.ticks} ticks`);
+        }
+        if (problems.length > 0) {
+            throw new GhostFormatError(source, problems);
+        }
+        
+        return data;
+    }
+}
+
+/**
+ * Keeps the best ghost of every level in IndexedDB
+ * All methods return promises; they reject if the browser has no IndexedDB
+ * (e.g. some private windows), in which case ghosts just aren't kept.
+ */
+class GhostStore {
+    /**
+     * @param {string} databaseName - IndexedDB database name
+     */
+    constructor(databaseName = 'bounceGhosts') {
+        this.databaseName = databaseName;
+        this.storeName = 'ghosts';
+        this.database = null; // Promise of the open database
+    }
+    
+    /**
+     * Open the database, creating it on first use
+     * @returns {Promise<IDBDatabase>} - The open database
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                
+                const request = indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'level' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            // Let a later call try again
+            this.database.catch(() => {
+                this.database = null;
+            });
+        }
+        return this.database;
+    }
+    
+    /**
+     * Run one request against the ghost store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the object store, returns the IDBRequest
+     * @returns {Promise} - Resolves with the request's result
+     */
+    async request(mode, makeRequest) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, mode);
+            const request = makeRequest(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    /**
+     * Get the ghost of a level
+     * @param {number} level - Level number
+     * @returns {Promise<Object|null>} - The ghost, or null if there is none
+     */
+    async get(level) {
+        const ghost = await this.request('readonly', store => store.get(level));
+        return ghost || null;
+    }
+    
+    /**
+     * Get every stored ghost
+     * @returns {Promise<Object[]>} - Ghosts in level order
+     */
+    getAll() {
+        return this.request('readonly', store => store.getAll());
+    }
+    
+    /**
+     * Store a ghost as its level's ghost, replacing the one there
+     * @param {Object} ghost - Ghost to store
+     * @returns {Promise} - Resolves when stored
+     */
+    put(ghost) {
+        return this.request('readwrite', store => store.put(ghost));
+    }
+    
+    /**
+     * Remove a level's ghost
+     * @param {number} level - Level number
+     * @returns {Promise} - Resolves when removed
+     */
+    delete(level) {
+        return this.request('readwrite', store => store.delete(level));
+    }
+}
+
+/**
+ * A translucent ball that follows a recorded path, with its own trail
+ */
+class Ghost {
+    /**
+     * @param {THREE.Scene} scene - Scene to draw the ghost in
+     * @param {number} radius - Radius of the ball at scale 1
+     */
+    constructor(scene, radius) {
+        this.scene = scene;
+        this.radius = radius;
+        this.data = null; // Ghost being shown, or null
+        
+        // Trail: a point every few ticks along the path behind the ghost
+        this.maxTrailPoints = 20;
+        this.trailSpacing = 3; // Ticks between trail points
+        
+        // Sample the player was last matched to, and the tick of the last search of the whole path, see getSplit
+        this.splitSample = 0;
+        this.splitRescanTick = null;
+        
+        this.mesh = null;
+        this.trail = null;
+    }
+    
+    /**
+     * Create the ghost ball and its trail (hidden until a ghost is set)
+     */
+    init() {
+        const geometry = new THREE.SphereGeometry(this.radius, 24, 24);
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xDDDDFF,
+            emissive: 0x222244,
+            transparent: true,
+            opacity: 0.35,
+            depthWrite: false
+        });
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.visible = false;
+        this.scene.add(this.mesh);
+        
+        const trailGeometry = new THREE.BufferGeometry();
+        trailGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.maxTrailPoints * 3), 3));
+        trailGeometry.setDrawRange(0, 0);
+        const trailMaterial = new THREE.LineBasicMaterial({
+            color: 0xAAAAFF,
+            transparent: true,
+            opacity: 0.3,
+            blending: THREE.AdditiveBlending
+        });
+        this.trail = new THREE.Line(trailGeometry, trailMaterial);
+        this.trail.visible = false;
+        this.scene.add(this.trail);
+    }
+    
+    /**
+     * Show a ghost, or hide the ghost with null
+     * @param {Object|null} data - Ghost to show
+     */
+    setGhost(data) {
+        this.data = data;
+        this.splitSample = 0;
+        this.splitRescanTick = null;
+        
+        const visible = data !== null;
+        this.mesh.visible = visible;
+        this.trail.visible = visible;
+        if (visible) {
+            this.update(0, 1);
+        }
+    }
+    
+    /**
+     * Check if a ghost is being shown
+     * @returns {boolean} - True if there is a ghost
+     */
+    isActive() {
+        return this.data !== null;
+    }
+    
+    /**
+     * Get the number of samples in the ghost's path
+     * @returns {number} - Sample count
+     */
+    getSampleCount() {
+        return this.data.path.length / GHOST_SAMPLE_SIZE;
+    }
+    
+    /**
+     * Get one value of a sample, holding the last sample once the ghost has finished
+     * @param {number} sample - Sample index
+     * @param {number} offset - 0 for x, 1 for y, 2 for z, 3 for scale
+     * @returns {number} - The value
+     */
+    getValue(sample, offset) {
+        const index = Math.min(Math.max(sample, 0), this.getSampleCount() - 1);
+        return this.data.path[index * GHOST_SAMPLE_SIZE + offset];
+    }
+    
+    /**
+     * Move the ghost to where it was at the same point of its run
+     * @param {number} tick - Ticks played in the live run
+     * @param {number} alpha - How far the live run is drawn between the last two ticks (0-1)
+     */
+    update(tick, alpha) {
+        if (!this.data) return;
+        
+        // Drawn between the same two ticks as the live ball
+        const lerp = offset => {
+            const from = this.getValue(tick - 1, offset);
+            return from + (this.getValue(tick, offset) - from) * alpha;
+        };
+        this.mesh.position.set(lerp(0), lerp(1), lerp(2));
+        this.mesh.scale.setScalar(lerp(3));
+        
+        // The trail follows the path back from where the ghost is now
+        const positions = this.trail.geometry.attributes.position.array;
+        let count = 0;
+        for (let sample = tick; sample >= 0 && count < this.maxTrailPoints; sample -= this.trailSpacing) {
+            positions[count * 3] = this.getValue(sample, 0);
+            positions[count * 3 + 1] = this.getValue(sample, 1);
+            positions[count * 3 + 2] = this.getValue(sample, 2);
+            count++;
+        }
+        this.trail.geometry.setDrawRange(0, count);
+        this.trail.geometry.attributes.position.needsUpdate = true;
+    }
+    
+    /**
+     * Work out how far ahead or behind the ghost the player is
+     * The player is matched to the nearest point of the ghost's path (searched near the
+     * last match, or along the whole path after a respawn moved the ball far away). The whole
+     * path is searched at most every GHOST_SPLIT_RESCAN_TICKS, so a player who leaves the ghost's
+     * line doesn't cost a full search every frame.
+     * @param {Object} position - The live ball position {x, y, z}
+     * @param {number} tick - Ticks played in the live run
+     * @returns {number|null} - Ticks behind the ghost (negative when ahead), null without a ghost
+     */
+    getSplit(position, tick) {
+        if (!this.data) return null;
+        
+        const count = this.getSampleCount();
+        const findNearest = (from, to) => {
+            let nearest = { sample: from, distance: Infinity };
+            for (let sample = Math.max(from, 0); sample <= Math.min(to, count - 1); sample++) {
+                const dx = this.getValue(sample, 0) - position.x;
+                const dy = this.getValue(sample, 1) - position.y;
+                const dz = this.getValue(sample, 2) - position.z;
+                const distance = dx * dx + dy * dy + dz * dz;
+                if (distance < nearest.distance) {
+                    nearest = { sample, distance };
+                }
+            }
+            return nearest;
+        };
+        
+        let nearest = findNearest(this.splitSample - 30, this.splitSample + 120);
+        if (nearest.distance > 4 && (this.splitRescanTick === null ||
+            Math.abs(tick - this.splitRescanTick) >= GHOST_SPLIT_RESCAN_TICKS)) {
+            nearest = findNearest(0, count - 1);
+            this.splitRescanTick = tick;
+        }
+        this.splitSample = nearest.sample;
+        
+        return tick - nearest.sample;
+    }
+}
@@ -0,0 +1,390 @@
+/**
+ * Actions the player can perform, in the order the settings screen lists them
+ */
+const INPUT_ACTIONS = [
+    { id: 'left', label: 'Move left' },
+    { id: 'right', label: 'Move right' },
+    { id: 'jump', label: 'Jump' },
+    { id: 'pause', label: 'Pause' },
+    { id: 'restart', label: 'Start / restart' },
+    { id: 'mute', label: 'Sound on / off' }
+];
+
+/**
+ * Default keyboard bindings, action -> physical keys (KeyboardEvent.code, so they
+ * stay in the same place on every keyboard layout)
+ */
+const DEFAULT_KEY_BINDINGS = {
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    jump: ['Space', 'ArrowUp', 'KeyW'],
+    pause: ['KeyP'],
+    restart: ['Enter', 'KeyR'],
+    mute: ['KeyM']
+};
+
+/**
+ * Analog axes and the digital actions that drive them when no analog input is used
+ */
+const INPUT_AXES = {
+    move: { negative: 'left', positive: 'right' }
+};
+
+/**
+ * Maximum number of keys that can be bound to one action
+ */
+const MAX_KEYS_PER_ACTION = 3;
+
+/**
+ * Maps physical inputs to game actions
+ *
+ * The keyboard is built in; other input sources (gamepads, touch buttons) call
+ * press and release with their own source name. An action is down while any
+ * source holds it. Analog sources set axis values with setAxis. Gameplay only
+ * ever asks about actions and axes, never about keys or buttons.
+ */
+class InputManager {
+    /**
+     * @param {SaveSystem} saveSystem - Save the user's key bindings are kept in
+     */
+    constructor(saveSystem) {
+        this.saveSystem = saveSystem;
+        this.bindings = this.loadBindings();
+        
+        // action -> set of sources currently holding it
+        this.held = {};
+        INPUT_ACTIONS.forEach(action => {
+            this.held[action.id] = new Set();
+        });
+        
+        // axis -> map of analog source -> value (-1 to 1)
+        this.axes = {};
+        Object.keys(INPUT_AXES).forEach(axis => {
+            this.axes[axis] = new Map();
+        });
+        
+        // action -> callbacks for press and release
+        this.pressListeners = {};
+        this.releaseListeners = {};
+        
+        // When set, the next key press is handed to this callback instead of triggering actions
+        this.keyCapture = null;
+        
+        // While suspended (e.g. a settings screen is open) actions don't fire
+        this.suspended = false;
+        
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onBlur = () => this.releaseAll();
+    }
+    
+    /**
+     * Start listening to the keyboard
+     */
+    init() {
+        window.addEventListener('keydown', this.onKeyDown);
+        window.addEventListener('keyup', this.onKeyUp);
+        
+        // Release everything when the window loses focus (user switches tabs/apps)
+        window.addEventListener('blur', this.onBlur);
+    }
+    
+    /**
+     * Load the saved key bindings, falling back to the defaults for anything missing
+     * @returns {Object} - Bindings, action -> array of key codes
+     */
+    loadBindings() {
+        const bindings = JSON.parse(JSON.stringify(DEFAULT_KEY_BINDINGS));
+        
+        const saved = this.saveSystem.getSetting('bindings');
+        if (saved && typeof saved === 'object') {
+            INPUT_ACTIONS.forEach(({ id }) => {
+                if (Array.isArray(saved[id]) && saved[id].every(code => typeof code === 'string')) {
+                    bindings[id] = saved[id].slice(0, MAX_KEYS_PER_ACTION);
+                }
+            });
+        }
+        
+        return bindings;
+    }
+    
+    /**
+     * Save the current key bindings
+     */
+    saveBindings() {
+        this.saveSystem.setSetting('bindings', this.bindings);
+    }
+    
+    /**
+     * Find the action a key is bound to
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string|null} - Action id, or null if the key isn't bound
+     */
+    getActionForKey(code) {
+        const action = INPUT_ACTIONS.find(({ id }) => this.bindings[id].includes(code));
+        return action ? action.id : null;
+    }
+    
+    /**
+     * Bind a key to an action
+     * @param {string} action - Action id
+     * @param {number} slot - Which of the action's keys to replace (a new key is added past the end)
+     * @param {string} code - KeyboardEvent.code of the new key
+     * @returns {Object} - {ok: true} or {ok: false, conflict: action id already using the key}
+     */
+    bindKey(action, slot, code) {
+        const owner = this.getActionForKey(code);
+        
+        // The same key can't trigger two actions
+        if (owner && owner !== action) {
+            return { ok: false, conflict: owner };
+        }
+        
+        const keys = this.bindings[action];
+        if (owner === action) {
+            // Already bound here, just move it to the chosen slot
+            keys.splice(keys.indexOf(code), 1);
+        }
+        keys.splice(Math.min(slot, keys.length), owner === action ? 0 : 1, code);
+        this.bindings[action] = keys.slice(0, MAX_KEYS_PER_ACTION);
+        
+        this.saveBindings();
+        return { ok: true };
+    }
+    
+    /**
+     * Remove a key from an action
+     * @param {string} action - Action id
+     * @param {number} slot - Which of the action's keys to remove
+     * @returns {boolean} - False if it's the action's last key, which can't be removed
+     */
+    unbindKey(action, slot) {
+        const keys = this.bindings[action];
+        if (keys.length <= 1) {
+            return false;
+        }
+        
+        keys.splice(slot, 1);
+        this.saveBindings();
+        return true;
+    }
+    
+    /**
+     * Go back to the default key bindings
+     */
+    resetBindings() {
+        this.bindings = JSON.parse(JSON.stringify(DEFAULT_KEY_BINDINGS));
+        this.saveBindings();
+    }
+    
+    /**
+     * Hand the next key press to a callback instead of the game (used for rebinding)
+     * @param {Function} callback - Called with the KeyboardEvent.code, or null if cancelled with Escape
+     */
+    captureNextKey(callback) {
+        this.releaseAll();
+        this.keyCapture = callback;
+    }
+    
+    /**
+     * Get a readable name for a key
+     * @param {string} code - KeyboardEvent.code
+     * @returns {string} - Name to show the player
+     */
+    static describeKey(code) {
+        const names = {
+            ArrowLeft: '←',
+            ArrowRight: '→',
+            ArrowUp: '↑',
+            ArrowDown: '↓',
+            Space: 'Space',
+            Enter: 'Enter',
+            Escape: 'Esc',
+            ShiftLeft: 'Left Shift',
+            ShiftRight: 'Right Shift',
+            ControlLeft: 'Left Ctrl',
+            ControlRight: 'Right Ctrl'
+        };
+        
+        if (names[code]) return names[code];
+        if (code.startsWith('Key')) return code.slice(3);
+        if (code.startsWith('Digit')) return code.slice(5);
+        if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+        return code;
+    }
+    
+    /**
+     * Listen for an action being pressed
+     * @param {string} action - Action id
+     * @param {Function} callback - Called with the source that pressed it
+     */
+    onPress(action, callback) {
+        (this.pressListeners[action] = this.pressListeners[action] || []).push(callback);
+    }
+    
+    /**
+     * Listen for an action being released (when the last source holding it lets go)
+     * @param {string} action - Action id
+     * @param {Function} callback - Called with the source that released it
+     */
+    onRelease(action, callback) {
+        (this.releaseListeners[action] = this.releaseListeners[action] || []).push(callback);
+    }
+    
+    /**
+     * Press an action from an input source
+     * @param {string} action - Action id
+     * @param {string} source - Input source, e.g. 'keyboard:KeyA' or 'gamepad'
+     */
+    press(action, source) {
+        if (this.suspended || !this.held[action]) return;
+        
+        const wasDown = this.isDown(action);
+        this.held[action].add(source);
+        
+        // Only the first source to press an action triggers it
+        if (!wasDown) {
+            (this.pressListeners[action] || []).forEach(callback => callback(source));
+        }
+    }
+    
+    /**
+     * Hold an action from an input source without triggering it, for a button or finger that
+     * stayed down while the manager let go of everything (pause, blur, settings)
+     * @param {string} action - Action id
+     * @param {string} source - Input source, e.g. 'gamepad0:left'
+     */
+    hold(action, source) {
+        if (this.suspended || !this.held[action]) return;
+        this.held[action].add(source);
+    }
+    
+    /**
+     * Check if an action is held by one particular input source
+     * @param {string} action - Action id
+     * @param {string} source - Input source
+     * @returns {boolean} - True if that source holds the action
+     */
+    isHeldBy(action, source) {
+        return this.held[action] ? this.held[action].has(source) : false;
+    }
+    
+    /**
+     * Release an action from an input source
+     * @param {string} action - Action id
+     * @param {string} source - Input source that pressed it
+     */
+    release(action, source) {
+        if (!this.held[action] || !this.held[action].has(source)) return;
+        
+        this.held[action].delete(source);
+        
+        if (!this.isDown(action)) {
+            (this.releaseListeners[action] || []).forEach(callback => callback(source));
+        }
+    }
+    
+    /**
+     * Release every held action, e.g. when the game stops listening to play input
+     */
+    releaseAll() {
+        INPUT_ACTIONS.forEach(({ id }) => {
+            [...this.held[id]].forEach(source => this.release(id, source));
+        });
+        Object.values(this.axes).forEach(values => values.clear());
+    }
+    
+    /**
+     * Set an analog axis value from an input source
+     * @param {string} axis - Axis name, e.g. 'move'
+     * @param {number} value - Value from -1 to 1, 0 when centered
+     * @param {string} source - Input source, e.g. 'gamepad0:stick'
+     */
+    setAxis(axis, value, source) {
+        if (!this.axes[axis]) return;
+        
+        if (value === 0 || this.suspended) {
+            this.axes[axis].delete(source);
+        } else {
+            this.axes[axis].set(source, Math.max(-1, Math.min(1, value)));
+        }
+    }
+    
+    /**
+     * Get the value of an axis
+     * Digital actions (keys, d-pad) give full -1 or 1; otherwise the strongest analog source is used.
+     * @param {string} axis - Axis name
+     * @returns {number} - Value from -1 to 1
+     */
+    getAxis(axis) {
+        const { negative, positive } = INPUT_AXES[axis];
+        if (this.isDown(positive) || this.isDown(negative)) {
+            return (this.isDown(positive) ? 1 : 0) - (this.isDown(negative) ? 1 : 0);
+        }
+        
+        let value = 0;
+        this.axes[axis].forEach(sourceValue => {
+            if (Math.abs(sourceValue) > Math.abs(value)) {
+                value = sourceValue;
+            }
+        });
+        return value;
+    }
+    
+    /**
+     * Check if an action is held down by any source
+     * @param {string} action - Action id
+     * @returns {boolean} - True if the action is down
+     */
+    isDown(action) {
+        return this.held[action] ? this.held[action].size > 0 : false;
+    }
+    
+    /**
+     * Handle a key being pressed
+     * @param {KeyboardEvent} event - The key event
+     */
+    onKeyDown(event) {
+        // Rebinding takes the key for itself
+        if (this.keyCapture) {
+            event.preventDefault();
+            const capture = this.keyCapture;
+            this.keyCapture = null;
+            capture(event.code === 'Escape' ? null : event.code);
+            return;
+        }
+        
+        // Leave typing in text fields alone
+        const tag = event.target && event.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        
+        const action = this.getActionForKey(event.code);
+        if (!action) return;
+        
+        // Stop Space and the arrow keys from scrolling the page
+        event.preventDefault();
+        
+        // Holding a key repeats keydown: the action is already down, unless the manager let go of
+        // everything (pause, blur, settings) while the key stayed down
+        const source = `keyboard:${event.code}`;
+        if (event.repeat) {
+            if (!this.isHeldBy(action, source)) {
+                this.hold(action, source);
+            }
+            return;
+        }
+        
+        this.press(action, source);
+    }
+    
+    /**
+     * Handle a key being released
+     * @param {KeyboardEvent} event - The key event
+     */
+    onKeyUp(event) {
+        const action = this.getActionForKey(event.code);
+        if (action) {
+            this.release(action, `keyboard:${event.code}`);
+        }
+    }
+}
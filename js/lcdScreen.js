@@ -0,0 +1,195 @@
+/**
+ * Resolution of the Nokia 3310's screen in pixels
+ */
+const LCD_WIDTH = 84;
+const LCD_HEIGHT = 48;
+
+/**
+ * World units the LCD shows from top to bottom (the width follows from the screen's shape)
+ */
+const LCD_VIEW_HEIGHT = 10;
+
+/**
+ * Colours of the screen: unlit and lit pixels, and the frame around the screen
+ */
+const LCD_PALETTE = {
+    light: 0xC7F0D8,
+    dark: 0x43523D,
+    bezel: 0x1A1F1A
+};
+
+/**
+ * Vertex shader of the full-screen passes
+ */
+const LCD_VERTEX_SHADER = `
+    varying vec2 vUv;
+    
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+/**
+ * Turns the rendered view into lit (1) and unlit (0) pixels, faded with the previous frame
+ * Shades are dithered with a 4x4 Bayer pattern, so water and other mid tones show as a
+ * regular mesh of pixels. The brightness is squared first so solid objects come out mostly lit.
+ */
+const LCD_PIXEL_SHADER = `
+    uniform sampler2D sceneTexture;
+    uniform sampler2D previousTexture;
+    uniform float persistence;
+    varying vec2 vUv;
+    
+    float bayer2(vec2 cell) {
+        cell = floor(cell);
+        return fract(dot(cell, vec2(0.5, cell.y * 0.75)));
+    }
+    
+    float bayer4(vec2 cell) {
+        return bayer2(cell * 0.5) * 0.25 + bayer2(cell);
+    }
+    
+    void main() {
+        vec3 color = texture2D(sceneTexture, vUv).rgb;
+        float brightness = dot(color, vec3(0.299, 0.587, 0.114));
+        float lit = brightness * brightness < bayer4(gl_FragCoord.xy) + 0.03125 ? 1.0 : 0.0;
+        float previous = texture2D(previousTexture, vUv).r;
+        gl_FragColor = vec4(mix(lit, previous, persistence), 0.0, 0.0, 1.0);
+    }
+`;
+
+/**
+ * Draws the LCD pixels on the window: each one a square of whole window pixels,
+ * with a thin gap between them once they are big enough, centered in the frame
+ */
+const LCD_DISPLAY_SHADER = `
+    uniform sampler2D pixelTexture;
+    uniform vec2 screenSize;
+    uniform float scale;
+    uniform vec3 lightColor;
+    uniform vec3 darkColor;
+    uniform vec3 bezelColor;
+    
+    void main() {
+        vec2 lcdSize = vec2(${LCD_WIDTH}.0, ${LCD_HEIGHT}.0);
+        vec2 origin = floor((screenSize - lcdSize * scale) * 0.5);
+        vec2 position = (gl_FragCoord.xy - origin) / scale;
+        
+        if (any(lessThan(position, vec2(0.0))) || any(greaterThanEqual(position, lcdSize))) {
+            gl_FragColor = vec4(bezelColor, 1.0);
+            return;
+        }
+        
+        float lit = texture2D(pixelTexture, (floor(position) + 0.5) / lcdSize).r;
+        vec2 inPixel = fract(position);
+        if (scale >= 4.0 && (inPixel.x >= 1.0 - 1.0 / scale || inPixel.y < 1.0 / scale)) {
+            lit *= 0.75;
+        }
+        gl_FragColor = vec4(mix(lightColor, darkColor, lit), 1.0);
+    }
+`;
+
+/**
+ * Shows a scene as the 84x48 monochrome screen of the Nokia 3310
+ *
+ * The scene is rendered at the screen's own resolution, turned into lit and unlit
+ * pixels in the screen's greens, and blown up to the window with nearest-neighbour
+ * scaling. Like the phone's slow LCD, pixels can take a few frames to fade in and
+ * out (ghosting), which keeps the last two frames of pixels in a pair of targets.
+ */
+class LcdScreen {
+    constructor() {
+        const nearest = {
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter,
+            generateMipmaps: false
+        };
+        this.sceneTarget = new THREE.WebGLRenderTarget(LCD_WIDTH, LCD_HEIGHT, nearest);
+        this.pixelTargets = [
+            new THREE.WebGLRenderTarget(LCD_WIDTH, LCD_HEIGHT, Object.assign({ depthBuffer: false }, nearest)),
+            new THREE.WebGLRenderTarget(LCD_WIDTH, LCD_HEIGHT, Object.assign({ depthBuffer: false }, nearest))
+        ];
+        this.current = 0; // Index of the pixel target holding the last frame
+        this.fresh = true; // No previous frame to fade from yet
+        
+        // Share of the previous frame's pixels kept each frame at 60 fps (0 for none)
+        this.ghosting = 0;
+        
+        this.pixelMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                sceneTexture: { value: this.sceneTarget.texture },
+                previousTexture: { value: null },
+                persistence: { value: 0 }
+            },
+            vertexShader: LCD_VERTEX_SHADER,
+            fragmentShader: LCD_PIXEL_SHADER,
+            depthTest: false,
+            depthWrite: false
+        });
+        
+        this.displayMaterial = new THREE.ShaderMaterial({
+            uniforms: {
+                pixelTexture: { value: null },
+                screenSize: { value: new THREE.Vector2() },
+                scale: { value: 1 },
+                lightColor: { value: new THREE.Color(LCD_PALETTE.light) },
+                darkColor: { value: new THREE.Color(LCD_PALETTE.dark) },
+                bezelColor: { value: new THREE.Color(LCD_PALETTE.bezel) }
+            },
+            vertexShader: LCD_VERTEX_SHADER,
+            fragmentShader: LCD_DISPLAY_SHADER,
+            depthTest: false,
+            depthWrite: false
+        });
+        
+        // One quad covering the target, drawn with either material
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.pixelMaterial);
+        this.quad.frustumCulled = false;
+        this.quadScene = new THREE.Scene();
+        this.quadScene.add(this.quad);
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    }
+    
+    /**
+     * Forget the previous frame, so switching to the screen doesn't fade in from an old picture
+     */
+    reset() {
+        this.fresh = true;
+    }
+    
+    /**
+     * Render the scene on the LCD and draw the LCD on the window
+     * @param {THREE.WebGLRenderer} renderer - Renderer drawing to the window
+     * @param {THREE.Scene} scene - Scene to show
+     * @param {THREE.Camera} camera - Camera to show it from, with the LCD's shape
+     * @param {number} deltaTime - Time since the last frame in seconds
+     * @param {THREE.WebGLRenderTarget|null} output - Target to draw the LCD to instead, for post-processing
+     */
+    render(renderer, scene, camera, deltaTime, output = null) {
+        renderer.setRenderTarget(this.sceneTarget);
+        renderer.render(scene, camera);
+        
+        // Pixels of this frame, faded with the last frame's by the time that has passed
+        const previous = this.pixelTargets[this.current];
+        this.current = 1 - this.current;
+        this.pixelMaterial.uniforms.previousTexture.value = previous.texture;
+        this.pixelMaterial.uniforms.persistence.value = this.fresh ? 0 : Math.pow(this.ghosting, deltaTime * 60);
+        this.quad.material = this.pixelMaterial;
+        renderer.setRenderTarget(this.pixelTargets[this.current]);
+        renderer.render(this.quadScene, this.quadCamera);
+        this.fresh = false;
+        
+        // As many whole window pixels per LCD pixel as fit
+        const uniforms = this.displayMaterial.uniforms;
+        renderer.getDrawingBufferSize(uniforms.screenSize.value);
+        uniforms.scale.value = Math.max(1, Math.floor(Math.min(
+            uniforms.screenSize.value.x / LCD_WIDTH,
+            uniforms.screenSize.value.y / LCD_HEIGHT
+        )));
+        uniforms.pixelTexture.value = this.pixelTargets[this.current].texture;
+        this.quad.material = this.displayMaterial;
+        renderer.setRenderTarget(output);
+        renderer.render(this.quadScene, this.quadCamera);
+    }
+}
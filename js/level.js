@@ -1,3 +1,31 @@
+/**
+ * How each list in a level file is turned into level objects, in build order
+ */
+const LEVEL_OBJECT_BUILDERS = {
+    platforms: (level, entry) => level.addPlatform(entry.position, entry.size),
+    bouncyPlatforms: (level, entry) => level.addBouncyPlatform(entry.position, entry.size),
+    obstacles: (level, entry) => level.addObstacle(entry.position, entry.size),
+    movingPlatforms: (level, entry) => level.addMovingPlatform(entry.position, entry.size, entry.path, entry),
+    ramps: (level, entry) => level.addRamp(entry.position, entry.size, entry.angle),
+    curves: (level, entry) => level.addCurve(entry.position, entry.radius, entry.from, entry.to, entry),
+    enemies: (level, entry) => level.addEnemy(entry.position, entry.type, entry.path, entry),
+    waterAreas: (level, entry) => level.addWaterArea(entry.position, entry.size),
+    checkpoints: (level, entry) => level.addCheckpoint(entry.position),
+    hoops: (level, entry) => level.addHoop(entry.position, entry.orientation),
+    powerUps: (level, entry) => level.addPowerUp(entry.position, entry.type),
+    emitters: (level, entry) => level.addEmitter(entry.position, entry.effect, entry)
+};
+
+/**
+ * Speed curves for travelling a path: how far along a trip is (0 to 1) after a fraction of its time
+ */
+const PATH_EASING_CURVES = {
+    linear: fraction => fraction,
+    easeIn: fraction => fraction * fraction,
+    easeOut: fraction => 1 - (1 - fraction) * (1 - fraction),
+    easeInOut: fraction => (1 - Math.cos(fraction * Math.PI)) / 2
+};
+
 /**
  * Class that handles level loading and management
  */
@@ -9,15 +37,32 @@ class Level {
         
         // Level objects
         this.platforms = [];
+        this.slopes = []; // Ramps and curves
         this.obstacles = [];
+        this.enemies = [];
         this.hoops = [];
         this.checkpoints = [];
         this.powerUps = [];
         this.waterAreas = [];
+        this.emitters = []; // Ambient particle emitters, run by the game's ParticleSystem
+        this.exit = null; // The exit gate, or null if the level ends on its last hoop
         
         // Level state
         this.hoopsCollected = 0;
         this.totalHoops = 0;
+        this.animationTime = 0; // Seconds of play, drives the purely visual animations
+        this.tickTime = 0; // Seconds of game ticks, drives animations that gameplay depends on
+        
+        // Level settings from the level file
+        this.data = null;
+        this.name = '';
+        this.spawnPoint = { x: 0, y: 2, z: 0 };
+        this.cameraBounds = null;
+        this.medals = null; // Time-trial medal times in seconds {gold, silver, bronze}, or null
+        this.music = null; // Id of the level's music track, or null for none
+        
+        // Loads and validates level files
+        this.loader = new LevelLoader();
     }
     
     /**
@@ -38,17 +83,48 @@ class Level {
      * @param {number} levelNumber - Level to load
      */
     async loadLevel(levelNumber) {
+        // Fetch and validate before touching the current level, so a broken file
+        // leaves the old level intact
+        const data = await this.loader.load(levelNumber);
+        
         this.levelNumber = levelNumber;
+        this.buildFromData(data);
         
+        console.log(`Level ${levelNumber} loaded: ${this.name}`);
+        return true;
+    }
+    
+    /**
+     * Build the level from validated level data (see LevelLoader for the format)
+     * @param {Object} data - Level data
+     */
+    buildFromData(data) {
         // Clear any existing level objects
         this.clearLevel();
         
-        // For now, we'll just create a simple test level
-        // Later this will load level data from a configuration
-        this.createTestLevel(levelNumber);
+        this.data = data;
+        this.name = data.name || `Level ${this.levelNumber}`;
+        this.spawnPoint = { ...data.spawn };
+        this.cameraBounds = data.camera.bounds ? { ...data.camera.bounds } : null;
+        this.medals = data.medals ? { ...data.medals } : null;
+        this.music = data.music;
         
-        console.log(`Level ${levelNumber} loaded`);
-        return true;
+        Object.entries(LEVEL_OBJECT_BUILDERS).forEach(([list, build]) => {
+            data[list].forEach((entry, index) => {
+                const object = build(this, entry);
+                
+                // Remember which entry of the level file created this object (used by the editor)
+                object.source = { list, index };
+            });
+        });
+        
+        if (data.exit) {
+            this.addExit(data.exit.position);
+            this.exit.source = { list: 'exit', index: 0 };
+        }
+        
+        // Every hoop in the file has to be collected
+        this.totalHoops = this.hoops.length;
     }
     
     /**
@@ -56,8 +132,7 @@ class Level {
      */
     clearLevel() {
         // Remove all objects from the scene and physics world
-        [...this.platforms, ...this.obstacles, ...this.hoops, 
-            ...this.checkpoints, ...this.powerUps, ...this.waterAreas].forEach(object => {
+        this.getAllObjects().forEach(object => {
             if (object.mesh) {
                 this.scene.remove(object.mesh);
             }
@@ -68,84 +143,32 @@ class Level {
         
         // Clear arrays
         this.platforms = [];
+        this.slopes = [];
         this.obstacles = [];
+        this.enemies = [];
         this.hoops = [];
         this.checkpoints = [];
         this.powerUps = [];
         this.waterAreas = [];
+        this.emitters = [];
+        this.exit = null;
         
         // Reset state
         this.hoopsCollected = 0;
         this.totalHoops = 0;
+        this.animationTime = 0;
+        this.tickTime = 0;
     }
     
     /**
-     * Create a test level for development
-     * @param {number} levelNumber - Level number influences the complexity
-     */
-    createTestLevel(levelNumber) {
-        // Create platforms based on level number
-        switch (levelNumber) {
-            case 1:
-                this.createBasicLevel();
-                break;
-            case 2:
-                this.createIntermediateLevel();
-                break;
-            default:
-                // Default to basic level for now
-                this.createBasicLevel();
-                break;
-        }
-    }
-    
-    /**
-     * Create a basic level with simple platforms and obstacles
-     */
-    createBasicLevel() {
-        // Add some basic platforms
-        this.addPlatform({ x: 0, y: -1, z: 0 }, { x: 10, y: 0.5, z: 3 });
-        this.addPlatform({ x: -7, y: 0, z: 0 }, { x: 3, y: 0.5, z: 3 });
-        this.addPlatform({ x: -12, y: 1, z: 0 }, { x: 3, y: 0.5, z: 3 });
-        this.addPlatform({ x: 8, y: 0, z: 0 }, { x: 5, y: 0.5, z: 3 });
-        this.addPlatform({ x: 15, y: 1, z: 0 }, { x: 5, y: 0.5, z: 3 });
-        
-        // Add some bouncy platforms
-        this.addBouncyPlatform({ x: 2, y: -1, z: 0 }, { x: 3, y: 0.5, z: 3 });
-        this.addBouncyPlatform({ x: -2, y: -1, z: 0 }, { x: 3, y: 0.5, z: 3 });
-        
-        // Add a checkpoint
-        this.addCheckpoint({ x: 8, y: 1, z: 0 });
-        
-        // Add some obstacles
-        this.addObstacle({ x: -5, y: 0, z: 0 }, { x: 0.5, y: 0.5, z: 0.5 });
-        this.addObstacle({ x: 5, y: 0, z: 0 }, { x: 0.5, y: 0.5, z: 0.5 });
-        
-        // Add a moving obstacle
-        this.addMovingObstacle(
-            { x: 12, y: 1, z: 0 },
-            { x: 12, y: 1, z: 0 },
-            { x: 15, y: 1, z: 0 },
-            0.05
-        );
-        
-        // Add some hoops (level goals)
-        this.addHoop({ x: -12, y: 2.5, z: 0 });
-        this.addHoop({ x: 15, y: 2.5, z: 0 });
-        this.totalHoops = 2;
-        
-        // Add some power-ups
-        this.addPowerUp({ x: -2, y: 0.5, z: 0 }, 'enlarge');
-        this.addPowerUp({ x: 10, y: 1.5, z: 0 }, 'speed');
-    }
-    
-    /**
-     * Create a more complex level
+     * Get every object in the level
+     * @returns {Object[]} - Platforms, slopes, obstacles, enemies, hoops, checkpoints, power-ups, water areas,
+     *     particle emitters and the exit
      */
-    createIntermediateLevel() {
-        // More complex level to be implemented
-        // This is just a placeholder for now
-        this.createBasicLevel();
+    getAllObjects() {
+        return [...this.platforms, ...this.slopes, ...this.obstacles, ...this.enemies, ...this.hoops, 
+            ...this.checkpoints, ...this.powerUps, ...this.waterAreas, ...this.emitters,
+            ...(this.exit ? [this.exit] : [])];
     }
     
     /**
@@ -318,72 +341,342 @@ class Level {
     }
     
     /**
-     * Add a moving obstacle to the level
-     * @param {Object} position - Initial position {x, y, z}
-     * @param {Object} start - Start position for movement {x, y, z}
-     * @param {Object} end - End position for movement {x, y, z}
-     * @param {number} speed - Movement speed
-     * @returns {Object} - The created moving obstacle object
+     * Add an enemy to the level
+     * It travels its path like a moving platform, but nothing collides with it: touching
+     * its hitbox costs the ball a life (see checkEnemyCollisions).
+     * @param {Object} position - Start of the path {x, y, z}
+     * @param {string} type - One of the ENEMY_TYPES
+     * @param {Object[]} path - Points {x, y, z} travelled through after the start, may be empty for an enemy that stays put
+     * @param {Object} timing - {speed, mode, easing, pause, spawnDistance, despawnDistance}: the path timing as for a moving
+     *     platform, and how near (in x) the ball has to come for the enemy to appear and how far it has to go for it to
+     *     disappear again, null for an enemy that is always there or never leaves
+     * @returns {Object} - The created enemy object
      */
-    addMovingObstacle(position, start, end, speed) {
-        // Create obstacle mesh
-        const geometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
+    addEnemy(position, type, path, timing) {
+        const enemyType = ENEMY_TYPES[type];
+        const movement = this.createPathMovement(position, path, timing);
+        
+        // Create enemy mesh
+        const mesh = enemyType.createMesh(movement.points);
+        mesh.position.set(position.x, position.y, position.z);
+        
+        // Add to scene
+        this.scene.add(mesh);
+        
+        // Create the hitbox body, which the ball and its ground checks pass straight through
+        const hitbox = enemyType.hitbox;
+        const body = hitbox.radius !== undefined ?
+            this.physicsWorld.createSphere(hitbox.radius, position, 0) :
+            this.physicsWorld.createBox(hitbox.size, position, 0);
+        body.collisionResponse = false;
+        
+        // Create enemy object, its position is the body's so it's always where the enemy is
+        const enemy = {
+            mesh,
+            body,
+            position: body.position,
+            type,
+            hitbox,
+            movement,
+            spawnDistance: timing.spawnDistance,
+            despawnDistance: timing.despawnDistance,
+            active: timing.spawnDistance === null, // Spawned and moving
+            spawnTime: 0 // Tick time it last spawned at, where its path starts
+        };
+        mesh.visible = enemy.active;
+        
+        // Add to enemies array
+        this.enemies.push(enemy);
+        
+        // Register for physics updates
+        this.physicsWorld.addObjectToUpdate(enemy);
+        
+        return enemy;
+    }
+    
+    /**
+     * Add a moving platform to the level
+     * It's a kinematic body: it follows its path whatever hits it, and pushes and carries
+     * the ball instead of being pushed.
+     * @param {Object} position - Start of the path {x, y, z}
+     * @param {Object} size - Size {x, y, z}
+     * @param {Object[]} path - Points {x, y, z} travelled through after the start, may be empty for a platform that only turns
+     * @param {Object} timing - {speed, mode, easing, pause, rotationSpeed}: speed in units per second, mode 'pingpong' or 'loop',
+     *     easing one of LEVEL_PATH_EASINGS, pause in seconds at each end and rotationSpeed in degrees per second around z
+     * @returns {Object} - The created platform object
+     */
+    addMovingPlatform(position, size, path, timing) {
+        // Create platform mesh, striped so it reads as a lift rather than the floor
+        const geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
         const material = new THREE.MeshStandardMaterial({ 
-            color: 0xFF4400,
-            roughness: 0.3,
-            metalness: 0.7,
-            emissive: 0x331100
+            color: 0x4A90C2,
+            roughness: 0.5,
+            metalness: 0.4,
+            emissive: 0x0A1A2A
         });
         
         const mesh = new THREE.Mesh(geometry, material);
-        mesh.position.set(position.x, position.y, position.z);
         mesh.castShadow = true;
         mesh.receiveShadow = true;
         
+        const stripeHeight = Math.min(size.y * 0.3, 0.1);
+        const stripe = new THREE.Mesh(
+            new THREE.BoxGeometry(size.x, stripeHeight, size.z + 0.02),
+            new THREE.MeshStandardMaterial({ color: 0xFFCC00, roughness: 0.6 })
+        );
+        stripe.position.y = (size.y - stripeHeight) / 2;
+        mesh.add(stripe);
+        
         // Add to scene
         this.scene.add(mesh);
         
-        // Create physics body
+        // Create the physics body, kinematic so it moves by its velocity and nothing moves it
         const body = this.physicsWorld.createBox(
-            { x: 0.5, y: 0.5, z: 0.5 },
+            size,
             position,
-            0, // Mass of 0 makes it kinematic
-            { friction: 0.1, restitution: 0.2 }
+            0,
+            { friction: 0.5, restitution: 0.2 }
         );
-        
-        // Create moving obstacle object
-        const obstacle = { 
-            mesh, 
-            body, 
-            position, 
-            size: { x: 0.5, y: 0.5, z: 0.5 },
+        body.type = CANNON.Body.KINEMATIC;
+        body.allowSleep = false; // Sleeping would stop it at the end of a pause
+        
+        // Create platform object, its position is the body's so it's always where the platform is
+        const platform = {
+            mesh,
+            body,
+            position: body.position,
+            size,
             type: 'moving',
-            movement: {
-                start,
-                end,
-                speed,
-                direction: 1, // 1 for forward, -1 for backward
-                progress: 0 // 0 to 1
+            movement: Object.assign(this.createPathMovement(position, path, timing), {
+                rotationSpeed: THREE.MathUtils.degToRad(timing.rotationSpeed),
+                velocity: new CANNON.Vec3(), // Set for the current tick
+                previousVelocity: new CANNON.Vec3() // Set for the tick before
+            })
+        };
+        
+        // Add to platforms array
+        this.platforms.push(platform);
+        
+        // Register for physics updates
+        this.physicsWorld.addObjectToUpdate(platform);
+        
+        return platform;
+    }
+    
+    /**
+     * Add a ramp to the level: a platform turned around the z axis
+     * @param {Object} position - Center position {x, y, z}
+     * @param {Object} size - Size {x, y, z} before turning, x along the slope and y its thickness
+     * @param {number} angle - Slope in degrees, positive rises to the right
+     * @returns {Object} - The created ramp object
+     */
+    addRamp(position, size, angle) {
+        // Create ramp mesh, it's turned along with the body by the physics updates
+        const geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+        const material = new THREE.MeshStandardMaterial({ 
+            color: 0x777777,
+            roughness: 0.7,
+            metalness: 0.2
+        });
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        
+        // Add to scene
+        this.scene.add(mesh);
+        
+        // Create physics body and turn it
+        const body = this.physicsWorld.createBox(
+            size,
+            position,
+            0, // Mass of 0 makes it static
+            { friction: 0.5, restitution: 0.2 }
+        );
+        body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 0, 1), THREE.MathUtils.degToRad(angle));
+        body.aabbNeedsUpdate = true; // Static bodies keep the bounds they were created with otherwise
+        
+        // Create ramp object
+        const ramp = { mesh, body, position, size, angle, type: 'ramp' };
+        
+        // Add to slopes array
+        this.slopes.push(ramp);
+        
+        // Register for physics updates
+        this.physicsWorld.addObjectToUpdate(ramp);
+        
+        return ramp;
+    }
+    
+    /**
+     * Add a curved surface to the level: part of a ring around the z axis
+     * It's made of flat segments, one for every 10 degrees of arc at most, with their corners
+     * on the arc. The mesh and the physics body are built from the same outline, so the two match.
+     * @param {Object} position - Center of the arc {x, y, z}
+     * @param {number} radius - Radius of the surface the ball rolls on
+     * @param {number} from - Start angle in degrees, counterclockwise from the +x axis
+     * @param {number} to - End angle in degrees, greater than from
+     * @param {Object} shape - {thickness, depth, side}: thickness of the surface, depth along z, and
+     *     side 'inside' for a concave surface (a quarter-pipe) or 'outside' for a convex one (a hill)
+     * @returns {Object} - The created curve object
+     */
+    addCurve(position, radius, from, to, shape) {
+        const start = THREE.MathUtils.degToRad(from);
+        const segments = Math.ceil((to - from) / 10);
+        const step = THREE.MathUtils.degToRad(to - from) / segments;
+        
+        // The surface is at the radius, the rest of the thickness is behind it
+        const innerRadius = shape.side === 'inside' ? radius : radius - shape.thickness;
+        const outerRadius = innerRadius + shape.thickness;
+        const inner = [];
+        const outer = [];
+        for (let i = 0; i <= segments; i++) {
+            const angle = start + i * step;
+            inner.push({ x: innerRadius * Math.cos(angle), y: innerRadius * Math.sin(angle) });
+            outer.push({ x: outerRadius * Math.cos(angle), y: outerRadius * Math.sin(angle) });
+        }
+        
+        // Create the mesh: the outline of the ring section, extruded along z
+        const outline = new THREE.Shape();
+        [...outer, ...inner.slice().reverse()].forEach((point, i) => {
+            if (i === 0) {
+                outline.moveTo(point.x, point.y);
+            } else {
+                outline.lineTo(point.x, point.y);
             }
+        });
+        
+        const geometry = new THREE.ExtrudeGeometry(outline, { depth: shape.depth, bevelEnabled: false });
+        geometry.translate(0, 0, -shape.depth / 2);
+        const material = new THREE.MeshStandardMaterial({ 
+            color: 0x777777,
+            roughness: 0.7,
+            metalness: 0.2
+        });
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        
+        // Add to scene
+        this.scene.add(mesh);
+        
+        // Create the physics body, one prism per segment of the same outline
+        const outlines = [];
+        for (let i = 0; i < segments; i++) {
+            outlines.push([inner[i], outer[i], outer[i + 1], inner[i + 1]]);
+        }
+        const body = this.physicsWorld.createPrisms(outlines, shape.depth, position, { friction: 0.5, restitution: 0.2 });
+        
+        // Create curve object
+        const curve = {
+            mesh,
+            body,
+            position,
+            radius,
+            from,
+            to,
+            thickness: shape.thickness,
+            depth: shape.depth,
+            side: shape.side,
+            type: 'curve'
         };
         
-        // Add to obstacles array
-        this.obstacles.push(obstacle);
+        // Add to slopes array
+        this.slopes.push(curve);
         
         // Register for physics updates
-        this.physicsWorld.addObjectToUpdate(obstacle);
+        this.physicsWorld.addObjectToUpdate(curve);
         
-        return obstacle;
+        return curve;
+    }
+    
+    /**
+     * Add a water area to the level
+     * @param {Object} position - Center position {x, y, z}
+     * @param {Object} size - Size {x, y, z}
+     * @returns {Object} - The created water area object
+     */
+    addWaterArea(position, size) {
+        // Create a translucent water volume
+        const geometry = new THREE.BoxGeometry(size.x, size.y, size.z);
+        const material = new THREE.MeshStandardMaterial({ 
+            color: 0x1E90FF,
+            roughness: 0.1,
+            metalness: 0.1,
+            transparent: true,
+            opacity: 0.4,
+            depthWrite: false
+        });
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.receiveShadow = true;
+        
+        // Create the animated surface - a subdivided plane whose vertices are moved in update()
+        const segments = Math.max(4, Math.round(size.x * 4));
+        const surfaceGeometry = new THREE.PlaneGeometry(size.x, size.z, segments, 2);
+        surfaceGeometry.rotateX(-Math.PI / 2);
+        const surfaceMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x87CEFA,
+            roughness: 0.05,
+            metalness: 0.3,
+            transparent: true,
+            opacity: 0.7,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        // The surface is a child of the volume so it moves along with it
+        const surface = new THREE.Mesh(surfaceGeometry, surfaceMaterial);
+        surface.position.y = size.y / 2;
+        mesh.add(surface);
+        
+        // Add to scene
+        this.scene.add(mesh);
+        
+        // Create water area object (no physics body, the ball passes through water)
+        const waterArea = { 
+            mesh, 
+            surface,
+            position, 
+            size,
+            bounds: {
+                minX: position.x - size.x / 2,
+                maxX: position.x + size.x / 2,
+                minZ: position.z - size.z / 2,
+                maxZ: position.z + size.z / 2,
+                bottom: position.y - size.y / 2,
+                surface: position.y + size.y / 2
+            },
+            
+            // Wave animation properties
+            animation: {
+                time: Math.random() * Math.PI * 2,
+                amplitude: 0.05,
+                baseHeights: surfaceGeometry.attributes.position.array.slice()
+            }
+        };
+        
+        // Add to water areas array
+        this.waterAreas.push(waterArea);
+        
+        return waterArea;
     }
     
     /**
      * Add a hoop (goal) to the level
      * @param {Object} position - Position {x, y, z}
+     * @param {string} orientation - 'horizontal' (pass through up or down) or 'vertical' (pass through sideways)
      * @returns {Object} - The created hoop object
      */
-    addHoop(position) {
-        // Create hoop mesh - for now, just a simple ring
-        const geometry = new THREE.TorusGeometry(0.5, 0.1, 16, 32);
+    addHoop(position, orientation = 'horizontal') {
+        // Ring sized so the normal ball fits through the opening
+        const ringRadius = 0.7;
+        const tubeRadius = 0.1;
+        
+        // Create hoop mesh
+        const geometry = new THREE.TorusGeometry(ringRadius, tubeRadius, 16, 32);
         const material = new THREE.MeshStandardMaterial({ 
             color: 0xFFFF00,
             roughness: 0.3,
@@ -393,16 +686,26 @@ class Level {
         
         const mesh = new THREE.Mesh(geometry, material);
         mesh.position.set(position.x, position.y, position.z);
-        mesh.rotation.x = Math.PI / 2; // Make the hoop horizontal
         mesh.castShadow = true;
         mesh.receiveShadow = true;
+        mesh.layers.enable(BLOOM_LAYER); // Glows when bloom is on
+        
+        // The torus faces along z by default; turn it so its opening faces the way through
+        let normal;
+        if (orientation === 'vertical') {
+            mesh.rotation.y = Math.PI / 2; // Upright, the ball passes through left to right
+            normal = { x: 1, y: 0, z: 0 };
+        } else {
+            mesh.rotation.x = Math.PI / 2; // Make the hoop horizontal
+            normal = { x: 0, y: 1, z: 0 };
+        }
         
         // Add to scene
         this.scene.add(mesh);
         
-        // For collision detection, we'll use a simple sphere
+        // Physics presence only, collection is checked against the ring opening
         const body = this.physicsWorld.createSphere(
-            0.6, // Slightly larger than visual radius for easier collision
+            ringRadius,
             position,
             0 // Mass of 0 makes it static
         );
@@ -415,6 +718,9 @@ class Level {
             mesh, 
             body, 
             position,
+            orientation,
+            normal,
+            openingRadius: ringRadius - tubeRadius,
             collected: false
         };
         
@@ -465,6 +771,7 @@ class Level {
             mesh, 
             body, 
             position,
+            radius: 0.5,
             activated: false
         };
         
@@ -525,6 +832,7 @@ class Level {
         mesh.position.set(position.x, position.y, position.z);
         mesh.castShadow = true;
         mesh.receiveShadow = true;
+        mesh.layers.enable(BLOOM_LAYER); // Glows when bloom is on
         
         // Animate the power-up
         mesh.rotation.y = Math.random() * Math.PI;
@@ -547,6 +855,7 @@ class Level {
             mesh, 
             body, 
             position,
+            size: { x: 0.3, y: 0.3, z: 0.3 },
             type,
             collected: false
         };
@@ -560,57 +869,192 @@ class Level {
         return powerUp;
     }
     
+    /**
+     * Add a particle emitter for an ambient effect like fireflies or bubbles
+     * The game's ParticleSystem runs it every frame. The box marking its area is only shown in the editor.
+     * @param {Object} position - Center of the area particles appear in {x, y, z}
+     * @param {string} effect - Effect name (one of LEVEL_EMITTER_EFFECTS)
+     * @param {Object} options - {size: {x, y, z} of the area, rate: particles per second, or null for the effect's own}
+     * @returns {Object} - The created emitter, see ParticleSystem.createEmitter
+     */
+    addEmitter(position, effect, options) {
+        const geometry = new THREE.BoxGeometry(options.size.x, options.size.y, options.size.z);
+        const material = new THREE.MeshBasicMaterial({ color: 0xFF66CC, wireframe: true });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.set(position.x, position.y, position.z);
+        mesh.visible = false;
+        this.scene.add(mesh);
+        
+        const emitter = ParticleSystem.createEmitter(effect, position, { size: options.size, rate: options.rate });
+        emitter.mesh = mesh;
+        
+        this.emitters.push(emitter);
+        
+        return emitter;
+    }
+    
+    /**
+     * Add the exit gate to the level
+     * The gate is locked until every hoop is collected, then its door slides up
+     * and rolling into the doorway ends the level.
+     * @param {Object} position - Center of the doorway {x, y, z}
+     * @returns {Object} - The created exit object
+     */
+    addExit(position) {
+        const width = 1.2;
+        const height = 2;
+        
+        // The dark doorway behind the door, lit up once the gate opens
+        const geometry = new THREE.BoxGeometry(width, height, 0.2);
+        const material = new THREE.MeshStandardMaterial({ 
+            color: 0x111111,
+            roughness: 0.8,
+            emissive: 0x000000
+        });
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.set(position.x, position.y, position.z - 0.4);
+        mesh.receiveShadow = true;
+        
+        // Frame: two posts and a lintel around the doorway
+        const frameMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x888888,
+            roughness: 0.5,
+            metalness: 0.6
+        });
+        [-1, 1].forEach(side => {
+            const post = new THREE.Mesh(new THREE.BoxGeometry(0.2, height + 0.2, 0.6), frameMaterial);
+            post.position.set(side * (width + 0.2) / 2, 0.1, 0.2);
+            post.castShadow = true;
+            mesh.add(post);
+        });
+        const lintel = new THREE.Mesh(new THREE.BoxGeometry(width + 0.4, 0.2, 0.6), frameMaterial);
+        lintel.position.set(0, height / 2 + 0.1, 0.2);
+        lintel.castShadow = true;
+        mesh.add(lintel);
+        
+        // The door itself, red while locked
+        const door = new THREE.Mesh(
+            new THREE.BoxGeometry(width, height, 0.1),
+            new THREE.MeshStandardMaterial({ 
+                color: 0x992222,
+                roughness: 0.4,
+                metalness: 0.5,
+                emissive: 0x330000
+            })
+        );
+        door.position.z = 0.15;
+        door.castShadow = true;
+        mesh.add(door);
+        
+        // Add to scene
+        this.scene.add(mesh);
+        
+        // Create exit object (no physics body, the ball rolls into the doorway)
+        const exit = { 
+            mesh, 
+            door,
+            position,
+            size: { x: 0.6, y: height - 0.4, z: 1 }, // Area the ball has to reach, inside the doorway
+            open: false,
+            openAmount: 0, // How far the door has slid up, 0 to 1 (visual only)
+            reached: false
+        };
+        
+        this.exit = exit;
+        
+        return exit;
+    }
+    
     /**
      * Check for collisions between the ball and obstacles
+     * Tests the ball's whole path since last frame against each obstacle's box, so
+     * long hazards hurt along their full length and fast balls can't skip thin ones.
      * @param {Ball} ball - The player ball
      * @returns {boolean} - True if collision with obstacle
      */
     checkObstacleCollisions(ball) {
-        for (const obstacle of this.obstacles) {
-            // Simple distance-based collision detection
-            const distance = new THREE.Vector3()
-                .copy(ball.mesh.position)
-                .sub(obstacle.mesh.position)
-                .length();
-            
-            // If distance is less than sum of ball radius and obstacle size
-            if (distance < (ball.isEnlarged ? ball.largeRadius : ball.normalRadius) + 0.5) {
-                return true;
-            }
-        }
+        const radius = ball.getRadius();
+        
+        return this.obstacles.some(obstacle => Collision.sweptSphereIntersectsBox(
+            ball.previousPosition,
+            ball.body.position,
+            radius,
+            obstacle.body.position,
+            obstacle.size
+        ));
+    }
+    
+    /**
+     * Check for collisions between the ball and the enemies that are out
+     * Like obstacles, the ball's whole path since last tick is tested against each hitbox.
+     * @param {Ball} ball - The player ball
+     * @returns {boolean} - True if the ball touched an enemy
+     */
+    checkEnemyCollisions(ball) {
+        const radius = ball.getRadius();
         
-        return false;
+        return this.enemies.some(enemy => {
+            if (!enemy.active) return false;
+            
+            return enemy.hitbox.radius !== undefined ?
+                Collision.sweptSphereIntersectsSphere(ball.previousPosition, ball.body.position, radius,
+                    enemy.body.position, enemy.hitbox.radius) :
+                Collision.sweptSphereIntersectsBox(ball.previousPosition, ball.body.position, radius,
+                    enemy.body.position, enemy.hitbox.size);
+        });
     }
     
     /**
-     * Check for collisions between the ball and hoops
+     * Check if the ball passed through a hoop's opening
      * @param {Ball} ball - The player ball
-     * @returns {boolean} - True if collision with a hoop
+     * @returns {Object|null} - The hoop collected, or null if none was
      */
     checkHoopCollisions(ball) {
         for (const hoop of this.hoops) {
-            if (!hoop.collected) {
-                // Simple distance-based collision detection
-                const distance = new THREE.Vector3()
-                    .copy(ball.mesh.position)
-                    .sub(hoop.mesh.position)
-                    .length();
+            if (!hoop.collected && Collision.segmentCrossesRing(
+                ball.previousPosition,
+                ball.body.position,
+                hoop.position,
+                hoop.normal,
+                hoop.openingRadius
+            )) {
+                // Mark as collected and hide the hoop
+                hoop.collected = true;
+                hoop.mesh.visible = false;
                 
-                // If distance is less than sum of ball radius and hoop size
-                if (distance < (ball.isEnlarged ? ball.largeRadius : ball.normalRadius) + 0.6) {
-                    // Mark as collected and hide the hoop
-                    hoop.collected = true;
-                    hoop.mesh.visible = false;
-                    
-                    // Increment collected hoops count
-                    this.hoopsCollected++;
-                    
-                    return true;
+                // Increment collected hoops count
+                this.hoopsCollected++;
+                
+                // The last hoop unlocks the exit
+                if (this.exit && this.hoopsCollected >= this.totalHoops) {
+                    this.exit.open = true;
                 }
+                
+                return hoop;
             }
         }
         
-        return false;
+        return null;
+    }
+    
+    /**
+     * Check if the ball rolled into the open exit
+     * @param {Ball} ball - The player ball
+     * @returns {boolean} - True on the tick the exit is reached
+     */
+    checkExitCollision(ball) {
+        const exit = this.exit;
+        if (!exit || !exit.open || exit.reached) return false;
+        
+        exit.reached = Collision.sweptSphereIntersectsBox(
+            ball.previousPosition,
+            ball.body.position,
+            ball.getRadius(),
+            exit.position,
+            exit.size
+        );
+        return exit.reached;
     }
     
     /**
@@ -619,23 +1063,22 @@ class Level {
      * @returns {Object|null} - The checkpoint object if collision, null otherwise
      */
     checkCheckpointCollisions(ball) {
+        const radius = ball.getRadius();
+        
         for (const checkpoint of this.checkpoints) {
-            if (!checkpoint.activated) {
-                // Simple distance-based collision detection
-                const distance = new THREE.Vector3()
-                    .copy(ball.mesh.position)
-                    .sub(checkpoint.mesh.position)
-                    .length();
+            if (!checkpoint.activated && Collision.sweptSphereIntersectsSphere(
+                ball.previousPosition,
+                ball.body.position,
+                radius,
+                checkpoint.mesh.position,
+                checkpoint.radius
+            )) {
+                // Mark as activated and change color
+                checkpoint.activated = true;
+                checkpoint.mesh.material.color.set(0x88FF88);
+                checkpoint.mesh.material.emissive.set(0x113311);
                 
-                // If distance is less than sum of ball radius and checkpoint size
-                if (distance < (ball.isEnlarged ? ball.largeRadius : ball.normalRadius) + 0.7) {
-                    // Mark as activated and change color
-                    checkpoint.activated = true;
-                    checkpoint.mesh.material.color.set(0x88FF88);
-                    checkpoint.mesh.material.emissive.set(0x113311);
-                    
-                    return checkpoint;
-                }
+                return checkpoint;
             }
         }
         
@@ -648,22 +1091,22 @@ class Level {
      * @returns {Object|null} - The power-up object if collision, null otherwise
      */
     checkPowerUpCollisions(ball) {
+        const radius = ball.getRadius();
+        
         for (const powerUp of this.powerUps) {
-            if (!powerUp.collected) {
-                // Simple distance-based collision detection
-                const distance = new THREE.Vector3()
-                    .copy(ball.mesh.position)
-                    .sub(powerUp.mesh.position)
-                    .length();
+            // Power-ups bob up and down, so test against where the box is on this tick
+            if (!powerUp.collected && Collision.sweptSphereIntersectsBox(
+                ball.previousPosition,
+                ball.body.position,
+                radius,
+                this.getPowerUpPosition(powerUp),
+                powerUp.size
+            )) {
+                // Mark as collected and hide the power-up
+                powerUp.collected = true;
+                powerUp.mesh.visible = false;
                 
-                // If distance is less than sum of ball radius and power-up size
-                if (distance < (ball.isEnlarged ? ball.largeRadius : ball.normalRadius) + 0.5) {
-                    // Mark as collected and hide the power-up
-                    powerUp.collected = true;
-                    powerUp.mesh.visible = false;
-                    
-                    return powerUp;
-                }
+                return powerUp;
             }
         }
         
@@ -671,50 +1114,204 @@ class Level {
     }
     
     /**
-     * Update level objects
-     * @param {number} deltaTime - Time since last update
+     * Get where a bobbing power-up is
+     * The bob runs on tick time, not frame time, so pickups happen on the same
+     * tick at any frame rate or replay speed.
+     * @param {Object} powerUp - The power-up
+     * @returns {Object} - Position {x, y, z}
+     */
+    getPowerUpPosition(powerUp) {
+        return {
+            x: powerUp.position.x,
+            y: powerUp.position.y + Math.sin(this.tickTime * 3) * 0.1,
+            z: powerUp.position.z
+        };
+    }
+    
+    /**
+     * Update the level objects that affect gameplay, once per fixed game tick
+     * @param {number} deltaTime - Length of the tick in seconds
      */
     update(deltaTime) {
-        // Update moving obstacles
-        this.obstacles.forEach(obstacle => {
-            if (obstacle.type === 'moving') {
-                // Update progress
-                obstacle.movement.progress += obstacle.movement.speed * 
-                    obstacle.movement.direction * deltaTime;
-                
-                // Check if we need to reverse direction
-                if (obstacle.movement.progress >= 1) {
-                    obstacle.movement.progress = 1;
-                    obstacle.movement.direction = -1;
-                } else if (obstacle.movement.progress <= 0) {
-                    obstacle.movement.progress = 0;
-                    obstacle.movement.direction = 1;
-                }
-                
-                // Interpolate position
-                const startPos = obstacle.movement.start;
-                const endPos = obstacle.movement.end;
-                const progress = obstacle.movement.progress;
-                
-                // Update position
-                obstacle.body.position.x = startPos.x + (endPos.x - startPos.x) * progress;
-                obstacle.body.position.y = startPos.y + (endPos.y - startPos.y) * progress;
-                obstacle.body.position.z = startPos.z + (endPos.z - startPos.z) * progress;
+        this.tickTime += deltaTime;
+        
+        // Put moving platforms exactly where their paths have them, so the physics step's
+        // rounding never adds up
+        this.platforms.forEach(platform => {
+            if (platform.type === 'moving') {
+                this.placeMovingPlatform(platform, this.tickTime);
             }
         });
+    }
+    
+    /**
+     * Set off the moving platforms for a tick: give them the velocities that take them to
+     * where their paths have them at the end of the tick
+     * Call before the physics step, so the ball is pushed and carried by the platforms as they move.
+     * @param {number} deltaTime - Length of the tick in seconds
+     */
+    moveMovingPlatforms(deltaTime) {
+        const target = new CANNON.Vec3();
+        
+        this.platforms.forEach(platform => {
+            if (platform.type !== 'moving') return;
+            
+            const movement = platform.movement;
+            this.getPathPosition(movement, this.tickTime + deltaTime, target);
+            
+            movement.previousVelocity.copy(movement.velocity);
+            target.vsub(platform.body.position, movement.velocity);
+            movement.velocity.scale(1 / deltaTime, movement.velocity);
+            
+            platform.body.velocity.copy(movement.velocity);
+            platform.body.angularVelocity.set(0, 0, movement.rotationSpeed);
+        });
+    }
+    
+    /**
+     * Put a moving platform where it is at a point in tick time
+     * @param {Object} platform - The moving platform
+     * @param {number} time - Tick time in seconds
+     */
+    placeMovingPlatform(platform, time) {
+        const movement = platform.movement;
+        this.getPathPosition(movement, time, platform.body.position);
+        platform.body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 0, 1), movement.rotationSpeed * time);
+    }
+    
+    /**
+     * Spawn, despawn and move the enemies, once per fixed game tick after update
+     * An enemy with a spawn distance appears when the ball comes that near to where its path
+     * starts, and sets off from the start then. Past its despawn distance it disappears again,
+     * until the ball comes back.
+     * @param {Object} ballPosition - Center of the ball {x, y, z}
+     */
+    updateEnemies(ballPosition) {
+        this.enemies.forEach(enemy => {
+            const distance = Math.abs(ballPosition.x - enemy.movement.points[0].x);
+            const spawned = !enemy.active && enemy.spawnDistance !== null && distance <= enemy.spawnDistance;
+            
+            if (spawned) {
+                enemy.active = true;
+                enemy.spawnTime = this.tickTime;
+            } else if (enemy.active && enemy.despawnDistance !== null && distance > enemy.despawnDistance) {
+                enemy.active = false;
+            }
+            enemy.mesh.visible = enemy.active;
+            if (!enemy.active) return;
+            
+            this.getPathPosition(enemy.movement, this.tickTime - enemy.spawnTime, enemy.body.position);
+            if (spawned) {
+                // Appear at the start rather than sliding over from where it disappeared
+                this.physicsWorld.snapObject(enemy);
+            }
+        });
+    }
+    
+    /**
+     * Work out the path a moving platform or enemy travels
+     * @param {Object} position - Start of the path {x, y, z}
+     * @param {Object[]} path - Points {x, y, z} travelled through after the start
+     * @param {Object} timing - {speed, mode, easing, pause} as in the level file
+     * @returns {Object} - Movement for getPathPosition
+     */
+    createPathMovement(position, path, timing) {
+        // The points of one trip, and how far along it each one is
+        const points = [position, ...path];
+        if (timing.mode === 'loop' && path.length > 0) {
+            points.push(position);
+        }
+        const distances = [0];
+        for (let i = 1; i < points.length; i++) {
+            const from = points[i - 1];
+            const to = points[i];
+            distances.push(distances[i - 1] + Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z));
+        }
+        
+        return {
+            points,
+            distances,
+            length: distances[distances.length - 1],
+            speed: timing.speed,
+            mode: timing.mode,
+            easing: timing.easing,
+            pause: timing.pause
+        };
+    }
+    
+    /**
+     * Get where a path has a moving platform or enemy at a point in tick time
+     * Worked out from the time alone, so it's in the same place on the same tick
+     * at any frame rate and in replays.
+     * @param {Object} movement - The platform's or enemy's movement
+     * @param {number} time - Tick time in seconds
+     * @param {CANNON.Vec3} result - Vector to store the position in
+     * @returns {CANNON.Vec3} - The position
+     */
+    getPathPosition(movement, time, result) {
+        const { points, distances, length } = movement;
+        if (length === 0) {
+            return result.set(points[0].x, points[0].y, points[0].z);
+        }
+        
+        // A trip goes from one end of the path to the other, then the platform or enemy waits there.
+        // Ping-pong trips take turns going each way, loops always go round the same way.
+        const tripTime = length / movement.speed;
+        const trips = Math.floor(time / (tripTime + movement.pause));
+        const tripFraction = Math.min((time - trips * (tripTime + movement.pause)) / tripTime, 1);
+        let fraction = PATH_EASING_CURVES[movement.easing](tripFraction);
+        
+        if (movement.mode === 'pingpong' && trips % 2 === 1) {
+            fraction = 1 - fraction;
+        }
+        
+        // Find the stretch of the path that far along, and the point on it
+        const distance = fraction * length;
+        let index = 1;
+        while (index < points.length - 1 && distances[index] < distance) {
+            index++;
+        }
+        
+        const from = points[index - 1];
+        const to = points[index];
+        const stretch = distances[index] - distances[index - 1];
+        const along = stretch > 0 ? (distance - distances[index - 1]) / stretch : 0;
+        
+        return result.set(
+            from.x + (to.x - from.x) * along,
+            from.y + (to.y - from.y) * along,
+            from.z + (to.z - from.z) * along
+        );
+    }
+    
+    /**
+     * Run the purely visual animations, once per rendered frame
+     * @param {number} deltaTime - Time since the last frame in seconds
+     */
+    animate(deltaTime) {
+        this.animationTime += deltaTime;
+        const time = this.animationTime * 1000; // The animation speeds are per millisecond
         
         // Animate power-ups
         this.powerUps.forEach(powerUp => {
             if (!powerUp.collected) {
                 powerUp.mesh.rotation.y += deltaTime * 2;
-                powerUp.mesh.position.y = powerUp.position.y + Math.sin(Date.now() * 0.003) * 0.1;
+                powerUp.mesh.position.y = this.getPowerUpPosition(powerUp).y;
             }
         });
         
-        // Animate hoops
+        // Animate hoops with a pulsing glow (spinning would turn the opening away)
+        const glow = 0.6 + Math.sin(time * 0.004) * 0.4;
         this.hoops.forEach(hoop => {
             if (!hoop.collected) {
-                hoop.mesh.rotation.y += deltaTime;
+                hoop.mesh.material.emissiveIntensity = glow;
+            }
+        });
+        
+        // Animate the enemies that are out (their paths are followed in updateEnemies)
+        this.enemies.forEach(enemy => {
+            if (enemy.active) {
+                ENEMY_TYPES[enemy.type].animate(enemy.mesh, this.animationTime);
             }
         });
         
@@ -723,21 +1320,108 @@ class Level {
             checkpoint.mesh.rotation.y += deltaTime * 0.5;
         });
         
+        // Slide the exit door up into the lintel once the exit is open, and light the doorway
+        const exit = this.exit;
+        if (exit && exit.open && exit.openAmount < 1) {
+            exit.openAmount = Math.min(exit.openAmount + deltaTime / 0.8, 1);
+            exit.door.scale.y = 1 - exit.openAmount * 0.95;
+            exit.door.position.y = exit.openAmount * 0.95;
+            exit.mesh.material.emissive.setRGB(0, exit.openAmount * 0.6, exit.openAmount * 0.2);
+        }
+        
+        // Animate water surfaces with two overlapping waves
+        this.waterAreas.forEach(waterArea => {
+            const animation = waterArea.animation;
+            animation.time += deltaTime;
+            
+            const positions = waterArea.surface.geometry.attributes.position;
+            for (let i = 0; i < positions.count; i++) {
+                const x = animation.baseHeights[i * 3];
+                const wave = Math.sin(x * 2 + animation.time * 2) + 
+                    Math.sin(x * 3.7 - animation.time * 1.3) * 0.5;
+                positions.setY(i, animation.baseHeights[i * 3 + 1] + wave * animation.amplitude);
+            }
+            positions.needsUpdate = true;
+            waterArea.surface.geometry.computeVertexNormals();
+        });
+        
         // Animate bouncy platforms
         this.platforms.forEach(platform => {
             if (platform.type === 'bouncy') {
                 platform.mesh.position.y = platform.animation.originalY + 
-                    Math.sin(Date.now() * platform.animation.speed + platform.animation.time) * 
+                    Math.sin(time * platform.animation.speed + platform.animation.time) * 
                     platform.animation.amplitude;
             }
         });
     }
     
     /**
-     * Check if level is complete (all hoops collected)
+     * Find the water area containing a point
+     * @param {Object} position - Position {x, y, z}
+     * @param {number} margin - Extra height above the surface still counted as inside
+     * @returns {Object|null} - The water area, or null if the point is not in water
+     */
+    getWaterAreaAt(position, margin = 0) {
+        return this.waterAreas.find(waterArea => {
+            const bounds = waterArea.bounds;
+            return position.x >= bounds.minX && position.x <= bounds.maxX &&
+                position.z >= bounds.minZ && position.z <= bounds.maxZ &&
+                position.y >= bounds.bottom && position.y <= bounds.surface + margin;
+        }) || null;
+    }
+    
+    /**
+     * Find the moving platform a ball is standing on
+     * @param {Object} position - Center of the ball {x, y, z}
+     * @param {number} radius - Radius of the ball
+     * @returns {Object|null} - The platform, or null if the ball isn't on one
+     */
+    getMovingPlatformUnder(position, radius) {
+        const center = new CANNON.Vec3(position.x, position.y, position.z);
+        const local = new CANNON.Vec3();
+        const offset = new CANNON.Vec3();
+        
+        return this.platforms.find(platform => {
+            if (platform.type !== 'moving') return false;
+            
+            // Closest point of the (maybe turned) box to the ball, in the platform's frame
+            const half = platform.body.shapes[0].halfExtents;
+            platform.body.pointToLocalFrame(center, local);
+            offset.set(
+                local.x - Math.min(Math.max(local.x, -half.x), half.x),
+                local.y - Math.min(Math.max(local.y, -half.y), half.y),
+                local.z - Math.min(Math.max(local.z, -half.z), half.z)
+            );
+            
+            // Touching (or all but), on a side that faces up rather than a wall or the underside
+            const distance = offset.length();
+            if (distance < radius - 0.1 || distance > radius + 0.15) return false;
+            return platform.body.quaternion.vmult(offset).y > distance * 0.5;
+        }) || null;
+    }
+    
+    /**
+     * Check if a body belongs to a ramp or a curve
+     * @param {CANNON.Body|null} body - Body to check, e.g. the one the ball stands on
+     * @returns {boolean} - True for the body of a slope
+     */
+    isSlope(body) {
+        return body !== null && this.slopes.some(slope => slope.body === body);
+    }
+    
+    /**
+     * Get the number of hoops still to collect
+     * @returns {number} - Hoops left
+     */
+    getHoopsRemaining() {
+        return this.totalHoops - this.hoopsCollected;
+    }
+    
+    /**
+     * Check if level is complete (all hoops collected, and the exit reached if the level has one)
      * @returns {boolean} - True if level is complete
      */
     isComplete() {
-        return this.hoopsCollected >= this.totalHoops;
+        return this.hoopsCollected >= this.totalHoops && (!this.exit || this.exit.reached);
     }
 }
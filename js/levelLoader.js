@@ -0,0 +1,521 @@
+/**
+ * Current version of the level file format
+ * Level files must have exactly this version; bump it when the format changes incompatibly
+ */
+const LEVEL_SCHEMA_VERSION = 1;
+
+/**
+ * Power-up types understood by Level.addPowerUp and Game.applyPowerUp
+ */
+const LEVEL_POWER_UP_TYPES = ['enlarge', 'shrink', 'speed', 'antigravity'];
+
+/**
+ * Ways a hoop can face: horizontal hoops are passed up or down, vertical ones sideways
+ */
+const LEVEL_HOOP_ORIENTATIONS = ['horizontal', 'vertical'];
+
+/**
+ * Ways a moving platform or enemy travels its path: back and forth, or on round to where it started
+ */
+const LEVEL_PATH_MODES = ['pingpong', 'loop'];
+
+/**
+ * How a moving platform or enemy speeds up and slows down between the ends of its path
+ * (see PATH_EASING_CURVES in level.js)
+ */
+const LEVEL_PATH_EASINGS = ['linear', 'easeIn', 'easeOut', 'easeInOut'];
+
+/**
+ * Enemy types understood by Level.addEnemy (see ENEMY_TYPES in enemies.js)
+ */
+const LEVEL_ENEMY_TYPES = ['spider', 'spikeBall', 'block'];
+
+/**
+ * Faces of a curve the ball can roll on: the inside of the arc (quarter-pipes, bowls) or the outside (hills)
+ */
+const LEVEL_CURVE_SIDES = ['inside', 'outside'];
+
+/**
+ * Ambient particle effects a level can place with emitters (see PARTICLE_EFFECTS in particles.js)
+ */
+const LEVEL_EMITTER_EFFECTS = ['fireflies', 'bubbles', 'embers', 'snow'];
+
+/**
+ * Time-trial medals from best to worst, each a time in seconds in a level's optional "medals"
+ */
+const LEVEL_MEDALS = ['gold', 'silver', 'bronze'];
+
+/**
+ * Error thrown when a level file is missing, unreadable or does not match the schema
+ */
+class LevelFormatError extends Error {
+    /**
+     * @param {string} source - Where the data came from (file path or description)
+     * @param {string[]} problems - Human readable list of everything wrong with the data
+     */
+    constructor(source, problems) {
+        super(`Invalid level data in ${source}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'LevelFormatError';
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Loads level definitions from JSON files and validates them against the level schema
+ *
+ * Level files live in the levels/ folder and are listed in levels/index.json, so
+ * new levels can be shipped without touching any JavaScript. The list is also the
+ * order levels are played and unlocked in, and the game ends after its last level.
+ */
+class LevelLoader {
+    /**
+     * @param {string} basePath - Folder containing index.json and the level files
+     */
+    constructor(basePath = 'levels/') {
+        this.basePath = basePath;
+        this.manifest = null;
+        this.cache = new Map();
+    }
+    
+    /**
+     * Fetch and parse a JSON file
+     * @param {string} url - File to fetch
+     * @returns {Promise<Object>} - Parsed JSON data
+     */
+    async fetchJson(url) {
+        let response;
+        
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new LevelFormatError(url, [`could not be fetched (${error.message})`]);
+        }
+        
+        if (!response.ok) {
+            throw new LevelFormatError(url, [`could not be fetched (HTTP ${response.status})`]);
+        }
+        
+        const text = await response.text();
+        
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new LevelFormatError(url, [`is not valid JSON (${error.message})`]);
+        }
+    }
+    
+    /**
+     * Load the level manifest listing every available level
+     * @returns {Promise<Object>} - The manifest {version, levels: [{id, file, name}]}
+     */
+    async loadManifest() {
+        if (this.manifest) {
+            return this.manifest;
+        }
+        
+        const url = `${this.basePath}index.json`;
+        const manifest = await this.fetchJson(url);
+        const problems = [];
+        
+        if (!Array.isArray(manifest.levels) || manifest.levels.length === 0) {
+            problems.push('levels must be a non-empty array');
+        } else {
+            manifest.levels.forEach((entry, index) => {
+                if (!Number.isInteger(entry.id) || entry.id < 1) {
+                    problems.push(`levels[${index}].id must be a positive integer`);
+                } else if (index > 0 && entry.id <= manifest.levels[index - 1].id) {
+                    // Levels unlock in order, so the saved unlocked level is simply the highest id
+                    problems.push(`levels[${index}].id must be greater than the level before it`);
+                }
+                if (typeof entry.file !== 'string' || entry.file === '') {
+                    problems.push(`levels[${index}].file must be a file name`);
+                }
+                if (entry.name !== undefined && typeof entry.name !== 'string') {
+                    problems.push(`levels[${index}].name must be a string`);
+                }
+            });
+        }
+        
+        if (problems.length > 0) {
+            throw new LevelFormatError(url, problems);
+        }
+        
+        this.manifest = manifest;
+        return manifest;
+    }
+    
+    /**
+     * Get the manifest entry for a level number
+     * @param {number} levelNumber - Level to look up
+     * @returns {Promise<Object>} - The manifest entry {id, file, name}
+     * @throws {LevelFormatError} - If the level isn't in the level list
+     */
+    async getLevelEntry(levelNumber) {
+        const manifest = await this.loadManifest();
+        const entry = manifest.levels.find(level => level.id === levelNumber);
+        
+        if (!entry) {
+            throw new LevelFormatError(`${this.basePath}index.json`, [`has no level ${levelNumber}`]);
+        }
+        return entry;
+    }
+    
+    /**
+     * Get every level in the order they are played
+     * @returns {Promise<Object[]>} - Manifest entries {id, file, name}
+     */
+    async getLevelList() {
+        const manifest = await this.loadManifest();
+        return manifest.levels.slice();
+    }
+    
+    /**
+     * Get the level played after another one
+     * The level list must have been loaded, which it has once any level has been.
+     * @param {number} levelNumber - Level just played
+     * @returns {number|null} - Number of the next level, or null after the last level
+     */
+    getNextLevel(levelNumber) {
+        const levels = this.manifest ? this.manifest.levels : [];
+        const index = levels.findIndex(level => level.id === levelNumber);
+        return index !== -1 && index + 1 < levels.length ? levels[index + 1].id : null;
+    }
+    
+    /**
+     * Load and validate a level by number
+     * @param {number} levelNumber - Level to load
+     * @returns {Promise<Object>} - Validated level data
+     */
+    async load(levelNumber) {
+        const entry = await this.getLevelEntry(levelNumber);
+        const url = `${this.basePath}${entry.file}`;
+        
+        if (!this.cache.has(url)) {
+            const data = await this.fetchJson(url);
+            this.cache.set(url, this.validate(data, url));
+        }
+        
+        // Hand out a copy so callers can't modify the cached level
+        return JSON.parse(JSON.stringify(this.cache.get(url)));
+    }
+    
+    /**
+     * Validate level data and fill in defaults for optional fields
+     * @param {Object} data - Raw level data
+     * @param {string} source - Where the data came from, used in error messages
+     * @returns {Object} - Normalized level data
+     */
+    validate(data, source = 'level data') {
+        const problems = [];
+        
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new LevelFormatError(source, ['level must be a JSON object']);
+        }
+        
+        if (data.version !== LEVEL_SCHEMA_VERSION) {
+            throw new LevelFormatError(source, [
+                `unsupported version ${JSON.stringify(data.version)} (expected ${LEVEL_SCHEMA_VERSION})`
+            ]);
+        }
+        
+        // Helpers that record a problem and keep going, so every mistake is reported at once
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+        
+        const checkVector = (value, path, positive = false) => {
+            if (!value || typeof value !== 'object') {
+                problems.push(`${path} must be an object with x, y and z`);
+                return;
+            }
+            ['x', 'y', 'z'].forEach(axis => {
+                if (!isNumber(value[axis])) {
+                    problems.push(`${path}.${axis} must be a number`);
+                } else if (positive && value[axis] <= 0) {
+                    problems.push(`${path}.${axis} must be greater than 0`);
+                }
+            });
+        };
+        
+        const checkList = (key, checkEntry) => {
+            if (data[key] === undefined) {
+                data[key] = [];
+                return;
+            }
+            if (!Array.isArray(data[key])) {
+                problems.push(`${key} must be an array`);
+                return;
+            }
+            data[key].forEach((entry, index) => {
+                const path = `${key}[${index}]`;
+                if (!entry || typeof entry !== 'object') {
+                    problems.push(`${path} must be an object`);
+                    return;
+                }
+                checkEntry(entry, path);
+            });
+        };
+        
+        if (data.name !== undefined && typeof data.name !== 'string') {
+            problems.push('name must be a string');
+        }
+        
+        // Spawn point
+        if (data.spawn === undefined) {
+            data.spawn = { x: 0, y: 2, z: 0 };
+        } else {
+            checkVector(data.spawn, 'spawn');
+        }
+        
+        // Time-trial medal thresholds (optional)
+        if (data.medals !== undefined) {
+            const medals = data.medals;
+            if (!medals || typeof medals !== 'object') {
+                problems.push('medals must be an object with gold, silver and bronze times');
+            } else {
+                LEVEL_MEDALS.forEach(medal => {
+                    if (!isNumber(medals[medal]) || medals[medal] <= 0) {
+                        problems.push(`medals.${medal} must be a number of seconds greater than 0`);
+                    }
+                });
+                if (LEVEL_MEDALS.every(medal => isNumber(medals[medal])) &&
+                    !(medals.gold <= medals.silver && medals.silver <= medals.bronze)) {
+                    problems.push('medals must not get faster from gold to silver to bronze');
+                }
+            }
+        }
+        
+        // Music track (optional, checked against the track list when it plays)
+        if (data.music === undefined) {
+            data.music = null;
+        } else if (data.music !== null && (typeof data.music !== 'string' || data.music === '')) {
+            problems.push('music must be the id of a track in music/index.json, or null');
+        }
+        
+        // Camera bounds
+        if (data.camera === undefined) {
+            data.camera = { bounds: null };
+        } else if (!data.camera || typeof data.camera !== 'object') {
+            problems.push('camera must be an object');
+        } else if (data.camera.bounds === undefined) {
+            data.camera.bounds = null;
+        } else {
+            const bounds = data.camera.bounds;
+            const keys = ['minX', 'maxX', 'minY', 'maxY'];
+            if (!bounds || typeof bounds !== 'object') {
+                problems.push('camera.bounds must be an object with minX, maxX, minY and maxY');
+            } else {
+                keys.forEach(key => {
+                    if (!isNumber(bounds[key])) {
+                        problems.push(`camera.bounds.${key} must be a number`);
+                    }
+                });
+                if (isNumber(bounds.minX) && isNumber(bounds.maxX) && bounds.minX > bounds.maxX) {
+                    problems.push('camera.bounds.minX must not be greater than maxX');
+                }
+                if (isNumber(bounds.minY) && isNumber(bounds.maxY) && bounds.minY > bounds.maxY) {
+                    problems.push('camera.bounds.minY must not be greater than maxY');
+                }
+            }
+        }
+        
+        // Boxes: platforms, bouncy platforms, obstacles and water all share position + size
+        const checkBox = (entry, path) => {
+            checkVector(entry.position, `${path}.position`);
+            checkVector(entry.size, `${path}.size`, true);
+        };
+        
+        checkList('platforms', checkBox);
+        checkList('bouncyPlatforms', checkBox);
+        checkList('obstacles', checkBox);
+        checkList('waterAreas', checkBox);
+        
+        // Moving obstacles are from before there were enemies, they become block enemies below
+        checkList('movingObstacles', (entry, path) => {
+            checkVector(entry.start, `${path}.start`);
+            checkVector(entry.end, `${path}.end`);
+            if (!isNumber(entry.speed) || entry.speed <= 0) {
+                problems.push(`${path}.speed must be a number greater than 0`);
+            }
+            if (entry.position !== undefined) {
+                checkVector(entry.position, `${path}.position`);
+            }
+        });
+        
+        // Moving platforms and enemies travel from their position through the points of their path
+        const checkPathTiming = (entry, path, defaults) => {
+            if (entry.path === undefined) {
+                entry.path = [];
+            } else if (!Array.isArray(entry.path)) {
+                problems.push(`${path}.path must be an array of points`);
+            } else {
+                entry.path.forEach((point, index) => checkVector(point, `${path}.path[${index}]`));
+            }
+            
+            // Something without a path stays put (a platform may still turn), and needs no speed
+            if (entry.speed === undefined && Array.isArray(entry.path) && entry.path.length === 0) {
+                entry.speed = 1;
+            }
+            if (!isNumber(entry.speed) || entry.speed <= 0) {
+                problems.push(`${path}.speed must be a number greater than 0`);
+            }
+            
+            // How it travels is optional
+            Object.entries(defaults).forEach(([key, value]) => {
+                if (entry[key] === undefined) {
+                    entry[key] = value;
+                }
+            });
+            if (!LEVEL_PATH_MODES.includes(entry.mode)) {
+                problems.push(`${path}.mode must be one of ${LEVEL_PATH_MODES.join(', ')}`);
+            }
+            if (!LEVEL_PATH_EASINGS.includes(entry.easing)) {
+                problems.push(`${path}.easing must be one of ${LEVEL_PATH_EASINGS.join(', ')}`);
+            }
+            if (!isNumber(entry.pause) || entry.pause < 0) {
+                problems.push(`${path}.pause must be a number of seconds, 0 or more`);
+            }
+        };
+        
+        checkList('movingPlatforms', (entry, path) => {
+            checkBox(entry, path);
+            checkPathTiming(entry, path, { mode: 'pingpong', easing: 'linear', pause: 0, rotationSpeed: 0 });
+            if (!isNumber(entry.rotationSpeed)) {
+                problems.push(`${path}.rotationSpeed must be a number of degrees per second`);
+            }
+        });
+        
+        // Enemies can wait out of sight until the ball comes near, and leave again once it's gone
+        checkList('enemies', (entry, path) => {
+            if (!LEVEL_ENEMY_TYPES.includes(entry.type)) {
+                problems.push(`${path}.type must be one of ${LEVEL_ENEMY_TYPES.join(', ')}`);
+            }
+            checkVector(entry.position, `${path}.position`);
+            checkPathTiming(entry, path, {
+                mode: 'pingpong', easing: 'linear', pause: 0, spawnDistance: null, despawnDistance: null
+            });
+            
+            const spawn = entry.spawnDistance;
+            const despawn = entry.despawnDistance;
+            if (spawn !== null && (!isNumber(spawn) || spawn <= 0)) {
+                problems.push(`${path}.spawnDistance must be null or a distance greater than 0`);
+            }
+            if (despawn !== null && (!isNumber(despawn) || spawn === null || despawn <= spawn)) {
+                problems.push(`${path}.despawnDistance must be null or a distance greater than spawnDistance`);
+            }
+        });
+        
+        // Ramps are boxes turned around z, positive angles rise to the right
+        checkList('ramps', (entry, path) => {
+            checkBox(entry, path);
+            if (!isNumber(entry.angle) || Math.abs(entry.angle) >= 90) {
+                problems.push(`${path}.angle must be a number of degrees between -90 and 90`);
+            }
+        });
+        
+        // Curves are arcs around their position, from and to in degrees counterclockwise from the +x axis
+        checkList('curves', (entry, path) => {
+            checkVector(entry.position, `${path}.position`);
+            if (!isNumber(entry.radius) || entry.radius <= 0) {
+                problems.push(`${path}.radius must be a number greater than 0`);
+            }
+            if (!isNumber(entry.from) || !isNumber(entry.to) || entry.to <= entry.from || entry.to - entry.from > 360) {
+                problems.push(`${path}.from and to must be angles in degrees with to greater than from, at most 360 apart`);
+            }
+            
+            const defaults = { thickness: 0.5, depth: 3, side: 'inside' };
+            Object.entries(defaults).forEach(([key, value]) => {
+                if (entry[key] === undefined) {
+                    entry[key] = value;
+                }
+            });
+            if (!isNumber(entry.thickness) || entry.thickness <= 0) {
+                problems.push(`${path}.thickness must be a number greater than 0`);
+            } else if (entry.side === 'outside' && isNumber(entry.radius) && entry.thickness >= entry.radius) {
+                problems.push(`${path}.thickness must be less than the radius of an outside curve`);
+            }
+            if (!isNumber(entry.depth) || entry.depth <= 0) {
+                problems.push(`${path}.depth must be a number greater than 0`);
+            }
+            if (!LEVEL_CURVE_SIDES.includes(entry.side)) {
+                problems.push(`${path}.side must be one of ${LEVEL_CURVE_SIDES.join(', ')}`);
+            }
+        });
+        
+        checkList('hoops', (entry, path) => {
+            checkVector(entry.position, `${path}.position`);
+            if (entry.orientation === undefined) {
+                entry.orientation = 'horizontal';
+            } else if (!LEVEL_HOOP_ORIENTATIONS.includes(entry.orientation)) {
+                problems.push(`${path}.orientation must be one of ${LEVEL_HOOP_ORIENTATIONS.join(', ')}`);
+            }
+        });
+        
+        checkList('checkpoints', (entry, path) => {
+            checkVector(entry.position, `${path}.position`);
+        });
+        
+        checkList('powerUps', (entry, path) => {
+            checkVector(entry.position, `${path}.position`);
+            if (!LEVEL_POWER_UP_TYPES.includes(entry.type)) {
+                problems.push(`${path}.type must be one of ${LEVEL_POWER_UP_TYPES.join(', ')}`);
+            }
+        });
+        
+        // Particle emitters fill a box with an ambient effect, at the effect's own rate unless they set one
+        checkList('emitters', (entry, path) => {
+            if (!LEVEL_EMITTER_EFFECTS.includes(entry.effect)) {
+                problems.push(`${path}.effect must be one of ${LEVEL_EMITTER_EFFECTS.join(', ')}`);
+            }
+            checkVector(entry.position, `${path}.position`);
+            if (entry.size === undefined) {
+                entry.size = { x: 1, y: 1, z: 1 };
+            } else {
+                checkVector(entry.size, `${path}.size`, true);
+            }
+            if (entry.rate === undefined) {
+                entry.rate = null;
+            } else if (entry.rate !== null && (!isNumber(entry.rate) || entry.rate <= 0)) {
+                problems.push(`${path}.rate must be null or a number of particles per second greater than 0`);
+            }
+        });
+        
+        // Exit (optional): once every hoop is collected the level ends by rolling into it,
+        // without one it ends as soon as the last hoop is collected
+        if (data.exit === undefined || data.exit === null) {
+            data.exit = null;
+        } else if (typeof data.exit !== 'object') {
+            problems.push('exit must be an object with a position');
+        } else {
+            checkVector(data.exit.position, 'exit.position');
+        }
+        
+        if (Array.isArray(data.hoops) && data.hoops.length === 0) {
+            problems.push('hoops must contain at least one hoop, otherwise the level completes immediately');
+        }
+        
+        if (problems.length > 0) {
+            throw new LevelFormatError(source, problems);
+        }
+        
+        // Each moving obstacle becomes a block going back and forth between its start and end,
+        // its speed (the part of the way covered per second) turned into units per second
+        data.movingObstacles.forEach(entry => {
+            const { start, end } = entry;
+            const length = Math.hypot(end.x - start.x, end.y - start.y, end.z - start.z);
+            data.enemies.push({
+                type: 'block',
+                position: { ...start },
+                path: [{ ...end }],
+                speed: length > 0 ? entry.speed * length : 1,
+                mode: 'pingpong',
+                easing: 'linear',
+                pause: 0,
+                spawnDistance: null,
+                despawnDistance: null
+            });
+        });
+        delete data.movingObstacles;
+        
+        return data;
+    }
+}
@@ -0,0 +1,449 @@
+/**
+ * Current version of the music track format
+ */
+const MUSIC_FORMAT_VERSION = 1;
+
+/**
+ * Channels a track can play on, like the sound chips of old handhelds and consoles:
+ * two square waves for the tune and harmony, a triangle for the bass and noise for the drums
+ */
+const MUSIC_CHANNELS = {
+    square1: { wave: 'square', volume: 0.12 },
+    square2: { wave: 'square', volume: 0.07 },
+    triangle: { wave: 'triangle', volume: 0.3 },
+    noise: { wave: 'noise', volume: 0.15 }
+};
+
+/**
+ * Drums of the noise channel: kick, snare and hi-hat
+ * The noise is played slower (a lower rate) for deeper drums.
+ */
+const MUSIC_DRUMS = {
+    k: { rate: 0.1, length: 0.12, volume: 1 },
+    s: { rate: 0.5, length: 0.1, volume: 0.7 },
+    h: { rate: 1, length: 0.03, volume: 0.4 }
+};
+
+/**
+ * How much faster the music plays while the ball has the speed power-up
+ */
+const MUSIC_SPEED_TEMPO = 1.25;
+
+/**
+ * How far ahead of the audio clock notes are scheduled, in seconds
+ * More than a frame, so a slow frame doesn't leave a gap in the music.
+ */
+const MUSIC_LOOKAHEAD = 0.15;
+
+/**
+ * Error thrown when a music file is missing, unreadable or does not match the track format
+ */
+class MusicFormatError extends Error {
+    /**
+     * @param {string} source - Where the data came from (file path or description)
+     * @param {string[]} problems - Human readable list of everything wrong with the data
+     */
+    constructor(source, problems) {
+        super(`Invalid music in ${source}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'MusicFormatError';
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Plays the level music: chiptune tracks made of patterns, one part per channel
+ *
+ * Tracks are JSON files in the music/ folder, listed in music/index.json. A pattern
+ * part is a line of steps such as "C5 - E5 . | k . h .": a note starts on a step,
+ * "-" holds it and "." is silence. The order plays its patterns one after another
+ * and goes back to the loop pattern at the end. Notes are scheduled on the audio
+ * clock a little ahead of time from the game loop, so the music keeps exact time
+ * and loops without a gap, and it stops along with the rest of the sound when the
+ * game is paused or hidden.
+ */
+class MusicPlayer {
+    /**
+     * @param {AudioEngine} audio - Sound engine the music plays through
+     * @param {string} basePath - Folder containing index.json and the track files
+     */
+    constructor(audio, basePath = 'music/') {
+        this.audio = audio;
+        this.basePath = basePath;
+        this.manifest = null;
+        this.cache = new Map(); // Track id -> parsed track
+        
+        this.trackId = null; // Track that should be playing, or null for none
+        this.track = null; // Parsed track playing, null until it has loaded
+        this.order = 0; // Place in the track's order of the next step to schedule
+        this.step = 0; // Step of that pattern
+        this.nextStepTime = 0; // Audio clock time of the next step
+        this.tempoScale = 1;
+        
+        // Notes scheduled and not yet over, so they can be cut off when the music stops
+        this.voices = new Set();
+    }
+    
+    /**
+     * Fetch and parse a JSON file
+     * @param {string} url - File to fetch
+     * @returns {Promise<Object>} - Parsed JSON data
+     */
+    async fetchJson(url) {
+        let response;
+        
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            throw new MusicFormatError(url, [`could not be fetched (${error.message})`]);
+        }
+        
+        if (!response.ok) {
+            throw new MusicFormatError(url, [`could not be fetched (HTTP ${response.status})`]);
+        }
+        
+        const text = await response.text();
+        
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new MusicFormatError(url, [`is not valid JSON (${error.message})`]);
+        }
+    }
+    
+    /**
+     * Load the list of tracks
+     * @returns {Promise<Object>} - The manifest {version, tracks: [{id, file, name}]}
+     */
+    async loadManifest() {
+        if (this.manifest) {
+            return this.manifest;
+        }
+        
+        const url = `${this.basePath}index.json`;
+        const manifest = await this.fetchJson(url);
+        const problems = [];
+        
+        if (!Array.isArray(manifest.tracks) || manifest.tracks.length === 0) {
+            problems.push('tracks must be a non-empty array');
+        } else {
+            manifest.tracks.forEach((entry, index) => {
+                if (typeof entry.id !== 'string' || entry.id === '') {
+                    problems.push(`tracks[${index}].id must be a name`);
+                } else if (manifest.tracks.findIndex(track => track.id === entry.id) !== index) {
+                    problems.push(`tracks[${index}].id "${entry.id}" is used by an earlier track`);
+                }
+                if (typeof entry.file !== 'string' || entry.file === '') {
+                    problems.push(`tracks[${index}].file must be a file name`);
+                }
+                if (entry.name !== undefined && typeof entry.name !== 'string') {
+                    problems.push(`tracks[${index}].name must be a string`);
+                }
+            });
+        }
+        
+        if (problems.length > 0) {
+            throw new MusicFormatError(url, problems);
+        }
+        
+        this.manifest = manifest;
+        return manifest;
+    }
+    
+    /**
+     * Get every track a level can use
+     * @returns {Promise<Object[]>} - Manifest entries {id, file, name}
+     */
+    async getTrackList() {
+        const manifest = await this.loadManifest();
+        return manifest.tracks.slice();
+    }
+    
+    /**
+     * Load and parse a track
+     * @param {string} id - Track id from the track list
+     * @returns {Promise<Object>} - Parsed track (see parseTrack)
+     */
+    async loadTrack(id) {
+        if (!this.cache.has(id)) {
+            const manifest = await this.loadManifest();
+            const entry = manifest.tracks.find(track => track.id === id);
+            if (!entry) {
+                throw new MusicFormatError(`${this.basePath}index.json`, [`has no track "${id}"`]);
+            }
+            
+            const url = `${this.basePath}${entry.file}`;
+            this.cache.set(id, MusicPlayer.parseTrack(await this.fetchJson(url), url));
+        }
+        return this.cache.get(id);
+    }
+    
+    /**
+     * Play a track from its start, or carry on if it's already playing
+     * Music is only a nice extra, so a track that can't be loaded is skipped with a warning.
+     * @param {string|null} id - Track id, or null for no music
+     */
+    play(id) {
+        if (id === this.trackId) return;
+        
+        this.stop();
+        this.trackId = id;
+        if (id === null) return;
+        
+        this.loadTrack(id).then(track => {
+            // Something else may have been played while it was loading
+            if (this.trackId !== id) return;
+            
+            this.track = track;
+            this.order = 0;
+            this.step = 0;
+            this.nextStepTime = 0;
+        }).catch(error => {
+            console.warn(`Could not play music "${id}":`, error);
+        });
+    }
+    
+    /**
+     * Stop the music, cutting off the notes already scheduled
+     */
+    stop() {
+        this.trackId = null;
+        this.track = null;
+        
+        const now = this.audio.context ? this.audio.context.currentTime : 0;
+        this.voices.forEach(voice => voice.stop(now));
+        this.voices.clear();
+    }
+    
+    /**
+     * Change how fast the music plays, from the next step on
+     * @param {number} scale - Tempo multiplier, 1 for the track's own tempo
+     */
+    setTempoScale(scale) {
+        this.tempoScale = scale;
+    }
+    
+    /**
+     * Get the length of a step at the current tempo
+     * @returns {number} - Step length in seconds
+     */
+    getStepLength() {
+        return 60 / (this.track.tempo * this.track.stepsPerBeat * this.tempoScale);
+    }
+    
+    /**
+     * Schedule the steps coming up on the audio clock (called every frame)
+     */
+    update() {
+        const context = this.audio.context;
+        if (!this.track || !context || context.state !== 'running') return;
+        
+        // Start just after the clock, either for the first note or after falling behind
+        // (e.g. a long frame), rather than rushing out every note that was missed
+        if (this.nextStepTime < context.currentTime) {
+            this.nextStepTime = context.currentTime + 0.05;
+        }
+        
+        while (this.nextStepTime < context.currentTime + MUSIC_LOOKAHEAD) {
+            const stepLength = this.getStepLength();
+            this.scheduleStep(this.nextStepTime, stepLength);
+            this.nextStepTime += stepLength;
+            
+            // On to the next step, the next pattern and back round to the loop pattern
+            const pattern = this.track.patterns[this.track.order[this.order]];
+            this.step++;
+            if (this.step >= pattern.length) {
+                this.step = 0;
+                this.order = this.order + 1 < this.track.order.length ? this.order + 1 : this.track.loop;
+            }
+        }
+    }
+    
+    /**
+     * Schedule the notes that start on the current step
+     * @param {number} time - Audio clock time of the step
+     * @param {number} stepLength - Step length in seconds
+     */
+    scheduleStep(time, stepLength) {
+        const pattern = this.track.patterns[this.track.order[this.order]];
+        
+        Object.entries(pattern.channels).forEach(([channel, events]) => {
+            const note = events[this.step];
+            if (!note) return;
+            
+            const { wave, volume } = MUSIC_CHANNELS[channel];
+            const tone = note.drum ?
+                { wave, rate: MUSIC_DRUMS[note.drum].rate, length: MUSIC_DRUMS[note.drum].length, volume: volume * MUSIC_DRUMS[note.drum].volume } :
+                { wave, frequency: note.frequency, length: note.steps * stepLength, volume };
+            
+            const voice = this.audio.playTone(tone, time, 1, this.audio.duckGain);
+            this.voices.add(voice);
+            voice.addEventListener('ended', () => this.voices.delete(voice));
+        });
+    }
+    
+    /**
+     * Check track data and turn its patterns into notes
+     * @param {Object} data - Track file contents
+     * @param {string} source - Where the data came from, for error messages
+     * @returns {Object} - {name, tempo, stepsPerBeat, patterns, order, loop}, each pattern being
+     *     {length, channels} with a list per channel of the note starting on each step {frequency|drum, steps} or null
+     * @throws {MusicFormatError} - If the data isn't a valid track
+     */
+    static parseTrack(data, source = 'track') {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new MusicFormatError(source, ['track must be a JSON object']);
+        }
+        
+        const problems = [];
+        if (data.version !== MUSIC_FORMAT_VERSION) {
+            problems.push(`has unsupported version ${JSON.stringify(data.version)} (expected ${MUSIC_FORMAT_VERSION})`);
+        }
+        if (data.name !== undefined && typeof data.name !== 'string') {
+            problems.push('name must be a string');
+        }
+        if (typeof data.tempo !== 'number' || !(data.tempo >= 40 && data.tempo <= 300)) {
+            problems.push('tempo must be from 40 to 300 beats per minute');
+        }
+        const stepsPerBeat = data.stepsPerBeat === undefined ? 4 : data.stepsPerBeat;
+        if (!Number.isInteger(stepsPerBeat) || stepsPerBeat < 1 || stepsPerBeat > 8) {
+            problems.push('stepsPerBeat must be a whole number from 1 to 8');
+        }
+        
+        const patterns = {};
+        if (!data.patterns || typeof data.patterns !== 'object' || Object.keys(data.patterns).length === 0) {
+            problems.push('patterns must be an object with at least one pattern');
+        } else {
+            Object.entries(data.patterns).forEach(([id, pattern]) => {
+                patterns[id] = MusicPlayer.parsePattern(pattern, `patterns.${id}`, problems);
+            });
+        }
+        
+        if (!Array.isArray(data.order) || data.order.length === 0) {
+            problems.push('order must be a non-empty array of pattern names');
+        } else {
+            data.order.forEach((id, index) => {
+                if (!Object.prototype.hasOwnProperty.call(patterns, id)) {
+                    problems.push(`order[${index}] "${id}" is not one of the patterns`);
+                }
+            });
+        }
+        
+        const loop = data.loop === undefined ? 0 : data.loop;
+        if (!Number.isInteger(loop) || loop < 0 || (Array.isArray(data.order) && loop >= data.order.length)) {
+            problems.push('loop must be the index in order to go back to at the end');
+        }
+        
+        if (problems.length > 0) {
+            throw new MusicFormatError(source, problems);
+        }
+        
+        return {
+            name: data.name || '',
+            tempo: data.tempo,
+            stepsPerBeat,
+            patterns,
+            order: data.order.slice(),
+            loop
+        };
+    }
+    
+    /**
+     * Check a pattern and turn its parts into notes
+     * @param {Object} pattern - Channel name -> part text
+     * @param {string} path - Where the pattern is in the track, for error messages
+     * @param {string[]} problems - List to add problems to
+     * @returns {Object|null} - {length, channels}, or null if the pattern isn't usable
+     */
+    static parsePattern(pattern, path, problems) {
+        if (!pattern || typeof pattern !== 'object' || Array.isArray(pattern)) {
+            problems.push(`${path} must be an object with a part per channel`);
+            return null;
+        }
+        
+        const channels = {};
+        let length = null;
+        Object.entries(pattern).forEach(([channel, text]) => {
+            const partPath = `${path}.${channel}`;
+            if (!MUSIC_CHANNELS[channel]) {
+                problems.push(`${partPath} must be one of the channels ${Object.keys(MUSIC_CHANNELS).join(', ')}`);
+                return;
+            }
+            if (typeof text !== 'string') {
+                problems.push(`${partPath} must be a string of steps`);
+                return;
+            }
+            
+            // "|" only splits the part up for reading, like bar lines
+            const tokens = text.split(/\s+/).filter(token => token !== '' && token !== '|');
+            if (length === null) {
+                length = tokens.length;
+            } else if (tokens.length !== length) {
+                problems.push(`${partPath} has ${tokens.length} steps, the other parts have ${length}`);
+            }
+            channels[channel] = MusicPlayer.parsePart(tokens, channel, partPath, problems);
+        });
+        
+        if (!length) {
+            problems.push(`${path} must have at least one step`);
+            return null;
+        }
+        return { length, channels };
+    }
+    
+    /**
+     * Turn the steps of one part into notes
+     * @param {string[]} tokens - One token per step: a note (C5, F#4, Bb3) or drum (k, s, h), "-" or "."
+     * @param {string} channel - Channel the part plays on
+     * @param {string} path - Where the part is in the track, for error messages
+     * @param {string[]} problems - List to add problems to
+     * @returns {Array<Object|null>} - For each step, the note starting on it {frequency|drum, steps} or null
+     */
+    static parsePart(tokens, channel, path, problems) {
+        const notes = tokens.map(() => null);
+        let current = null;
+        
+        tokens.forEach((token, index) => {
+            const step = `${path} step ${index + 1}`;
+            if (token === '.') {
+                current = null;
+            } else if (token === '-') {
+                if (current) {
+                    current.steps++;
+                } else {
+                    problems.push(`${step} holds "-" with no note before it`);
+                }
+            } else if (channel === 'noise') {
+                if (MUSIC_DRUMS[token]) {
+                    current = notes[index] = { drum: token, steps: 1 };
+                } else {
+                    problems.push(`${step} "${token}" must be a drum (${Object.keys(MUSIC_DRUMS).join(', ')})`);
+                }
+            } else {
+                const frequency = MusicPlayer.getFrequency(token);
+                if (frequency !== null) {
+                    current = notes[index] = { frequency, steps: 1 };
+                } else {
+                    problems.push(`${step} "${token}" must be a note such as C4, F#5 or Bb3`);
+                }
+            }
+        });
+        
+        return notes;
+    }
+    
+    /**
+     * Get the frequency of a note
+     * @param {string} name - Note letter, optional # or b, and octave, e.g. "A4" or "C#5"
+     * @returns {number|null} - Frequency in Hz (A4 is 440), or null if it isn't a note
+     */
+    static getFrequency(name) {
+        const match = /^([A-G])([#b]?)([0-8])$/.exec(name);
+        if (!match) return null;
+        
+        const semitone = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }[match[1]] +
+            (match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0);
+        const midiNote = (Number(match[3]) + 1) * 12 + semitone;
+        return 440 * Math.pow(2, (midiNote - 69) / 12);
+    }
+}
@@ -0,0 +1,359 @@
+/**
+ * Most particles alive at once, the pool the system never grows past
+ */
+const PARTICLE_CAPACITY = 2000;
+
+/**
+ * What every effect does unless it says otherwise (see PARTICLE_EFFECTS)
+ */
+const PARTICLE_EFFECT_DEFAULTS = {
+    count: 0,                       // Particles in one burst
+    rate: 0,                        // Particles per second from an emitter
+    life: [1, 1],                   // Seconds a particle lives, from the first to the second
+    speed: [0, 0],                  // Starting speed in units per second
+    direction: { x: 0, y: 1, z: 0 },
+    spread: 1,                      // 0 fires along the direction, 1 in any direction
+    gravity: 0,                     // Upward acceleration, negative to fall
+    drag: 0,                        // How quickly particles slow down, per second
+    swirl: 0,                       // Turns per second around where the particle started, in radians
+    radius: 0,                      // Distance particles swirl at, emitters can set their own
+    inherit: 0,                     // Share of the emitter's velocity particles start with
+    size: [0.1, 0.1],               // Size in units at the start and the end of its life
+    opacity: 1,
+    colors: [0xFFFFFF, 0xFFFFFF]    // Color at the start and the end of its life
+};
+
+/**
+ * The particle effects: bursts fired by gameplay events, the power-up auras,
+ * and the ambient effects level files can place with emitters (LEVEL_EMITTER_EFFECTS)
+ */
+const PARTICLE_EFFECTS = {
+    dust: {
+        count: 10, life: [0.3, 0.6], speed: [0.6, 1.6], spread: 0.8, gravity: -1.5, drag: 3,
+        size: [0.18, 0.4], opacity: 0.5, colors: [0xC2B280, 0x9E9070]
+    },
+    sparkle: {
+        count: 24, life: [0.4, 0.9], speed: [1.5, 3], gravity: -1, drag: 2.5,
+        size: [0.16, 0.04], colors: [0xFFFFAA, 0xFFCC00]
+    },
+    burst: {
+        count: 40, life: [0.5, 1], speed: [3, 6], gravity: -9.8, drag: 1,
+        size: [0.22, 0.06], colors: [0xFFDD44, 0xCC0000]
+    },
+    splash: {
+        count: 16, life: [0.4, 0.8], speed: [2, 4], spread: 0.35, gravity: -9.8, drag: 0.5,
+        size: [0.14, 0.06], opacity: 0.8, colors: [0xFFFFFF, 0x87CEFA]
+    },
+    speedAura: {
+        rate: 40, life: [0.3, 0.5], speed: [0, 0.3], drag: 2, swirl: 10, inherit: 0.3,
+        size: [0.12, 0.02], opacity: 0.8, colors: [0xAAFFAA, 0x00CC00]
+    },
+    antigravityAura: {
+        rate: 30, life: [0.5, 0.9], speed: [0.3, 0.8], spread: 0.3, gravity: 1, drag: 1, swirl: 5, inherit: 0.5,
+        size: [0.12, 0.03], opacity: 0.8, colors: [0xE0B0FF, 0x8800FF]
+    },
+    fireflies: {
+        rate: 2, life: [2, 4], speed: [0.1, 0.4], drag: 0.2, swirl: 1.5, radius: 0.3,
+        size: [0.12, 0.12], colors: [0xEEFF66, 0xAACC22]
+    },
+    bubbles: {
+        rate: 3, life: [1, 2], speed: [0.2, 0.5], spread: 0.2, gravity: 0.5, drag: 1, swirl: 3, radius: 0.05,
+        size: [0.06, 0.14], opacity: 0.6, colors: [0xE0F4FF, 0xFFFFFF]
+    },
+    embers: {
+        rate: 6, life: [1, 2], speed: [0.5, 1.2], spread: 0.4, gravity: 0.5, drag: 0.5,
+        size: [0.1, 0.03], colors: [0xFFCC33, 0xFF3300]
+    },
+    snow: {
+        rate: 8, life: [3, 5], speed: [0.2, 0.5], direction: { x: 0, y: -1, z: 0 }, spread: 0.3, swirl: 1, radius: 0.2,
+        size: [0.1, 0.1], opacity: 0.9
+    }
+};
+
+/**
+ * Draws every particle as a round dot of its own size, color and opacity
+ * Sizes are in world units: perspective cameras shrink them with distance, orthographic ones don't.
+ */
+const PARTICLE_VERTEX_SHADER = `
+    attribute float size;
+    attribute float alpha;
+    attribute vec3 particleColor;
+    uniform float viewHeight;
+    varying vec3 vColor;
+    varying float vAlpha;
+    
+    void main() {
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        
+        float depth = projectionMatrix[3][3] == 1.0 ? 1.0 : -mvPosition.z;
+        gl_PointSize = size * projectionMatrix[1][1] * viewHeight * 0.5 / depth;
+        vColor = particleColor;
+        vAlpha = alpha;
+    }
+`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+    varying vec3 vColor;
+    varying float vAlpha;
+    
+    void main() {
+        float fromCenter = length(gl_PointCoord - 0.5);
+        if (fromCenter > 0.5) discard;
+        gl_FragColor = vec4(vColor, vAlpha * (1.0 - smoothstep(0.25, 0.5, fromCenter)));
+    }
+`;
+
+/**
+ * Pooled particle system for the game's visual effects
+ *
+ * All particles are one THREE.Points drawn in a single call. Their state lives in
+ * typed arrays sized for PARTICLE_CAPACITY up front, and the live particles are kept
+ * at the front of the arrays (a particle that dies is replaced by the last one), so
+ * only they are updated and uploaded each frame. When the pool is full new particles
+ * are dropped. Particles are purely visual: they use Math.random and never touch the
+ * simulation, so replays stay exact.
+ *
+ * Effects fire once with emit(), or keep coming from an emitter (see createEmitter)
+ * run every frame with runEmitter().
+ */
+class ParticleSystem {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the particles to
+     * @param {number} capacity - Most particles alive at once
+     */
+    constructor(scene, capacity = PARTICLE_CAPACITY) {
+        this.scene = scene;
+        this.capacity = capacity;
+        this.count = 0; // Live particles, at the front of the arrays
+        this.silent = false; // Set while a replay seeks, so skipped ticks don't fire effects
+        
+        // The effects with their defaults filled in and their colors ready to mix
+        this.effects = {};
+        Object.entries(PARTICLE_EFFECTS).forEach(([name, effect]) => {
+            const settings = Object.assign({}, PARTICLE_EFFECT_DEFAULTS, effect);
+            settings.colors = settings.colors.map(color => new THREE.Color(color));
+            this.effects[name] = settings;
+        });
+        
+        // State of each particle
+        this.particleEffects = new Array(capacity); // Effect settings
+        this.centers = new Float32Array(capacity * 3); // Where it is, before swirling
+        this.velocities = new Float32Array(capacity * 3);
+        this.angles = new Float32Array(capacity);
+        this.radii = new Float32Array(capacity);
+        this.ages = new Float32Array(capacity);
+        this.lifetimes = new Float32Array(capacity);
+        
+        // What is drawn
+        const geometry = new THREE.BufferGeometry();
+        this.positions = this.addAttribute(geometry, 'position', 3);
+        this.colors = this.addAttribute(geometry, 'particleColor', 3);
+        this.sizes = this.addAttribute(geometry, 'size', 1);
+        this.alphas = this.addAttribute(geometry, 'alpha', 1);
+        geometry.setDrawRange(0, 0);
+        
+        const material = new THREE.ShaderMaterial({
+            uniforms: { viewHeight: { value: 1 } },
+            vertexShader: PARTICLE_VERTEX_SHADER,
+            fragmentShader: PARTICLE_FRAGMENT_SHADER,
+            transparent: true,
+            depthWrite: false
+        });
+        
+        this.points = new THREE.Points(geometry, material);
+        this.points.frustumCulled = false; // Particles are all over the level, the bounds would never be right
+        
+        // Sizes are in pixels of whatever is being drawn to: the window, or the LCD and post-processing targets
+        const bufferSize = new THREE.Vector2();
+        this.points.onBeforeRender = renderer => {
+            const target = renderer.getRenderTarget();
+            material.uniforms.viewHeight.value = target ? target.height : renderer.getDrawingBufferSize(bufferSize).y;
+        };
+        
+        this.scene.add(this.points);
+    }
+    
+    /**
+     * Add a per-particle attribute to the geometry, updated every frame
+     * @param {THREE.BufferGeometry} geometry - Particle geometry
+     * @param {string} name - Attribute name in the shader
+     * @param {number} itemSize - Numbers per particle
+     * @returns {Float32Array} - The attribute's array
+     */
+    addAttribute(geometry, name, itemSize) {
+        const array = new Float32Array(this.capacity * itemSize);
+        const attribute = new THREE.BufferAttribute(array, itemSize);
+        attribute.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute(name, attribute);
+        return array;
+    }
+    
+    /**
+     * Create an emitter, to be run every frame with runEmitter
+     * @param {string} effect - Effect name in PARTICLE_EFFECTS
+     * @param {Object} position - Center of the area particles appear in {x, y, z}
+     * @param {Object} options - Optional {size: {x, y, z} area, rate: particles per second
+     *     (null for the effect's own), radius: swirl distance (null for the effect's own)}
+     * @returns {Object} - The emitter; its position, velocity and radius can be changed as it moves
+     */
+    static createEmitter(effect, position, options = {}) {
+        return {
+            effect,
+            position: new THREE.Vector3(position.x, position.y, position.z),
+            velocity: new THREE.Vector3(),
+            size: options.size ? { ...options.size } : { x: 0, y: 0, z: 0 },
+            rate: options.rate !== undefined ? options.rate : null,
+            radius: options.radius !== undefined ? options.radius : null,
+            accumulator: 0 // Part of a particle owed since the last frame
+        };
+    }
+    
+    /**
+     * Fire a burst of particles
+     * @param {string} effect - Effect name in PARTICLE_EFFECTS
+     * @param {Object} position - Where the burst starts {x, y, z}
+     * @param {number} scale - Share of the effect's particle count to fire (0-1)
+     */
+    emit(effect, position, scale = 1) {
+        if (this.silent) return;
+        
+        const settings = this.effects[effect];
+        const emitter = ParticleSystem.createEmitter(effect, position);
+        const count = Math.round(settings.count * scale);
+        for (let i = 0; i < count; i++) {
+            this.spawn(settings, emitter);
+        }
+    }
+    
+    /**
+     * Let an emitter add its particles for a frame
+     * @param {Object} emitter - Emitter from createEmitter
+     * @param {number} deltaTime - Time since the last frame in seconds
+     */
+    runEmitter(emitter, deltaTime) {
+        const settings = this.effects[emitter.effect];
+        emitter.accumulator += (emitter.rate !== null ? emitter.rate : settings.rate) * deltaTime;
+        while (emitter.accumulator >= 1) {
+            emitter.accumulator--;
+            this.spawn(settings, emitter);
+        }
+    }
+    
+    /**
+     * Start a particle, unless the pool is full
+     * @param {Object} settings - Effect settings
+     * @param {Object} emitter - Emitter it comes from
+     */
+    spawn(settings, emitter) {
+        if (this.count >= this.capacity) return;
+        const index = this.count++;
+        const v = index * 3;
+        
+        const random = range => range[0] + Math.random() * (range[1] - range[0]);
+        
+        // Somewhere in the emitter's area
+        const { position, size } = emitter;
+        this.centers[v] = position.x + (Math.random() - 0.5) * size.x;
+        this.centers[v + 1] = position.y + (Math.random() - 0.5) * size.y;
+        this.centers[v + 2] = position.z + (Math.random() - 0.5) * size.z;
+        
+        // Off along the effect's direction, spread towards a random one
+        const angle = Math.random() * Math.PI * 2;
+        const height = Math.random() * 2 - 1;
+        const across = Math.sqrt(1 - height * height);
+        const direction = new THREE.Vector3(
+            settings.direction.x + (across * Math.cos(angle) - settings.direction.x) * settings.spread,
+            settings.direction.y + (height - settings.direction.y) * settings.spread,
+            settings.direction.z + (across * Math.sin(angle) - settings.direction.z) * settings.spread
+        ).normalize().multiplyScalar(random(settings.speed));
+        this.velocities[v] = direction.x + emitter.velocity.x * settings.inherit;
+        this.velocities[v + 1] = direction.y + emitter.velocity.y * settings.inherit;
+        this.velocities[v + 2] = direction.z + emitter.velocity.z * settings.inherit;
+        
+        this.particleEffects[index] = settings;
+        this.angles[index] = Math.random() * Math.PI * 2;
+        this.radii[index] = emitter.radius !== null ? emitter.radius : settings.radius;
+        this.ages[index] = 0;
+        this.lifetimes[index] = random(settings.life);
+    }
+    
+    /**
+     * Move a particle's state to another slot
+     * @param {number} from - Slot to copy
+     * @param {number} to - Slot to overwrite
+     */
+    moveParticle(from, to) {
+        this.particleEffects[to] = this.particleEffects[from];
+        this.centers.copyWithin(to * 3, from * 3, from * 3 + 3);
+        this.velocities.copyWithin(to * 3, from * 3, from * 3 + 3);
+        this.angles[to] = this.angles[from];
+        this.radii[to] = this.radii[from];
+        this.ages[to] = this.ages[from];
+        this.lifetimes[to] = this.lifetimes[from];
+    }
+    
+    /**
+     * Move every particle, drop the ones that have lived their life and update what is drawn
+     * @param {number} deltaTime - Time since the last frame in seconds
+     */
+    update(deltaTime) {
+        let index = 0;
+        while (index < this.count) {
+            this.ages[index] += deltaTime;
+            if (this.ages[index] >= this.lifetimes[index]) {
+                // The last particle takes its place and is updated next
+                this.count--;
+                this.moveParticle(this.count, index);
+                this.particleEffects[this.count] = null;
+                continue;
+            }
+            
+            const settings = this.particleEffects[index];
+            const v = index * 3;
+            
+            // Gravity, drag and movement
+            const damping = 1 / (1 + settings.drag * deltaTime);
+            this.velocities[v + 1] += settings.gravity * deltaTime;
+            for (let axis = 0; axis < 3; axis++) {
+                this.velocities[v + axis] *= damping;
+                this.centers[v + axis] += this.velocities[v + axis] * deltaTime;
+            }
+            
+            // Swirling round the center, in the horizontal plane
+            this.angles[index] += settings.swirl * deltaTime;
+            const radius = this.radii[index];
+            this.positions[v] = this.centers[v] + Math.cos(this.angles[index]) * radius;
+            this.positions[v + 1] = this.centers[v + 1];
+            this.positions[v + 2] = this.centers[v + 2] + Math.sin(this.angles[index]) * radius;
+            
+            // Size and color change over the particle's life, and it fades in quickly and out slowly
+            const life = this.ages[index] / this.lifetimes[index];
+            const [startColor, endColor] = settings.colors;
+            this.sizes[index] = settings.size[0] + (settings.size[1] - settings.size[0]) * life;
+            this.alphas[index] = settings.opacity * Math.min(1, life * 10) * (1 - life);
+            this.colors[v] = startColor.r + (endColor.r - startColor.r) * life;
+            this.colors[v + 1] = startColor.g + (endColor.g - startColor.g) * life;
+            this.colors[v + 2] = startColor.b + (endColor.b - startColor.b) * life;
+            
+            index++;
+        }
+        
+        // Only upload the live particles
+        const geometry = this.points.geometry;
+        geometry.setDrawRange(0, this.count);
+        Object.values(geometry.attributes).forEach(attribute => {
+            attribute.updateRange.count = this.count * attribute.itemSize;
+            attribute.needsUpdate = true;
+        });
+    }
+    
+    /**
+     * Remove every particle, when a level starts or the editor takes over
+     */
+    clear() {
+        this.particleEffects.fill(null, 0, this.count);
+        this.count = 0;
+        this.points.geometry.setDrawRange(0, 0);
+    }
+}
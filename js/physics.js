@@ -5,8 +5,14 @@ class Physics {
     constructor() {
         this.world = null;
         this.bodies = [];
-        this.timeStep = 1/60; // Fixed time step for physics (60 fps)
+        this.timeStep = 1/60; // Fixed time step for physics (60 fps), the game ticks at this rate
+        
+        // Objects whose meshes follow their bodies, each with the body's state before the last step
+        // so meshes can be drawn between the last two steps
         this.objectsToUpdate = [];
+        
+        // How quickly water slows down bodies moving through it (per second when fully submerged)
+        this.waterDrag = 3;
     }
     
     /**
@@ -67,22 +73,11 @@ class Physics {
         // Create a sphere shape
         const sphereShape = new CANNON.Sphere(radius);
         
-        // Create physics material
-        const physicsMaterial = new CANNON.Material();
-        
-        // Set material properties
-        if (material.restitution !== undefined) {
-            physicsMaterial.restitution = material.restitution; // Bounciness
-        }
-        if (material.friction !== undefined) {
-            physicsMaterial.friction = material.friction;
-        }
-        
         // Create the body
         const body = new CANNON.Body({
             mass: mass,
             shape: sphereShape,
-            material: physicsMaterial,
+            material: this.createMaterial(material),
             position: new CANNON.Vec3(position.x, position.y, position.z)
         });
         
@@ -113,25 +108,57 @@ class Physics {
             dimensions.z / 2
         ));
         
-        // Create physics material
-        const physicsMaterial = new CANNON.Material();
-        
-        // Set material properties
-        if (material.restitution !== undefined) {
-            physicsMaterial.restitution = material.restitution;
-        }
-        if (material.friction !== undefined) {
-            physicsMaterial.friction = material.friction;
-        }
-        
         // Create the body
         const body = new CANNON.Body({
             mass: mass,
             shape: boxShape,
-            material: physicsMaterial,
+            material: this.createMaterial(material),
+            position: new CANNON.Vec3(position.x, position.y, position.z)
+        });
+        
+        // Add the body to the world
+        this.world.addBody(body);
+        this.bodies.push(body);
+        
+        return body;
+    }
+    
+    /**
+     * Create a static body out of prisms: convex outlines in the xy plane stretched along z,
+     * such as the segments of a curved surface
+     * @param {Object[][]} outlines - Convex outlines, each a counterclockwise list of points {x, y} relative to the position
+     * @param {number} depth - Length of the prisms along z, centered on the position
+     * @param {Object} position - Position {x, y, z}
+     * @param {Object} material - Physics material properties
+     * @returns {CANNON.Body} - The created physics body
+     */
+    createPrisms(outlines, depth, position, material = {}) {
+        const body = new CANNON.Body({
+            mass: 0, // Mass of 0 makes it static
+            material: this.createMaterial(material),
             position: new CANNON.Vec3(position.x, position.y, position.z)
         });
         
+        outlines.forEach(outline => {
+            // Build each prism around its own center, Cannon expects the shape's origin inside it
+            const count = outline.length;
+            const center = outline.reduce((sum, point) => ({ x: sum.x + point.x / count, y: sum.y + point.y / count }), { x: 0, y: 0 });
+            const vertices = [];
+            [depth / 2, -depth / 2].forEach(z => {
+                outline.forEach(point => vertices.push(new CANNON.Vec3(point.x - center.x, point.y - center.y, z)));
+            });
+            
+            // Front and back faces, then one side per edge, all counterclockwise seen from outside
+            const front = outline.map((point, i) => i);
+            const faces = [front, front.map(i => i + count).reverse()];
+            for (let i = 0; i < count; i++) {
+                const next = (i + 1) % count;
+                faces.push([i, i + count, next + count, next]);
+            }
+            
+            body.addShape(new CANNON.ConvexPolyhedron(vertices, faces), new CANNON.Vec3(center.x, center.y, 0));
+        });
+        
         // Add the body to the world
         this.world.addBody(body);
         this.bodies.push(body);
@@ -139,12 +166,59 @@ class Physics {
         return body;
     }
     
+    /**
+     * Create a physics material
+     * @param {Object} material - Material properties {restitution, friction}, either may be left out
+     * @returns {CANNON.Material} - The material
+     */
+    createMaterial(material) {
+        const physicsMaterial = new CANNON.Material();
+        
+        if (material.restitution !== undefined) {
+            physicsMaterial.restitution = material.restitution; // Bounciness
+        }
+        if (material.friction !== undefined) {
+            physicsMaterial.friction = material.friction;
+        }
+        
+        return physicsMaterial;
+    }
+    
     /**
      * Register an object to be updated by the physics system
      * @param {Object} object - Object with mesh and body properties
      */
     addObjectToUpdate(object) {
+        object.previousPosition = new CANNON.Vec3();
+        object.previousQuaternion = new CANNON.Quaternion();
         this.objectsToUpdate.push(object);
+        this.snapObject(object);
+    }
+    
+    /**
+     * Move an object's mesh straight to its body, with nothing to interpolate from
+     * (for new objects and teleports such as respawning)
+     * @param {Object} object - Object with mesh and body properties
+     */
+    snapObject(object) {
+        object.previousPosition.copy(object.body.position);
+        object.previousQuaternion.copy(object.body.quaternion);
+        
+        if (object.mesh) {
+            object.mesh.position.copy(object.body.position);
+            object.mesh.quaternion.copy(object.body.quaternion);
+        }
+    }
+    
+    /**
+     * Snap the mesh of whichever object a body belongs to
+     * @param {CANNON.Body} body - Physics body
+     */
+    snapBody(body) {
+        const object = this.objectsToUpdate.find(entry => entry.body === body);
+        if (object) {
+            this.snapObject(object);
+        }
     }
     
     /**
@@ -152,8 +226,8 @@ class Physics {
      * @param {Object} object - Object to remove
      */
     removeObject(object) {
-        // Remove from update list
-        const index = this.objectsToUpdate.indexOf(object);
+        // Remove from update list (callers may pass a new object wrapping the same body)
+        const index = this.objectsToUpdate.findIndex(entry => entry === object || entry.body === object.body);
         if (index !== -1) {
             this.objectsToUpdate.splice(index, 1);
         }
@@ -171,29 +245,106 @@ class Physics {
     }
     
     /**
-     * Update the physics world
+     * Apply buoyancy and drag to a sphere in a water area
+     * @param {CANNON.Body} body - Sphere body
+     * @param {number} radius - Sphere radius
+     * @param {number} buoyancy - Upward force relative to gravity when fully submerged (below 1 sinks, above 1 floats)
+     * @param {Object} waterArea - Water area from Level.addWaterArea
      * @param {number} deltaTime - Time since last update in seconds
+     * @returns {number} - Submerged fraction of the sphere's volume (0-1)
+     */
+    applyWaterForces(body, radius, buoyancy, waterArea, deltaTime) {
+        // How deep the bottom of the sphere is below the surface, from 0 to the full diameter
+        const depth = Math.min(Math.max(waterArea.bounds.surface - (body.position.y - radius), 0), radius * 2);
+        
+        // Volume of the submerged cap as a fraction of the whole sphere
+        const submerged = depth * depth * (3 * radius - depth) / (4 * radius * radius * radius);
+        if (submerged <= 0) {
+            return 0;
+        }
+        
+        // A body resting in water keeps moving, don't let it fall asleep
+        body.wakeUp();
+        
+        // Buoyancy pushes up in proportion to the displaced water
+        const gravity = -this.world.gravity.y;
+        body.velocity.y += gravity * buoyancy * submerged * deltaTime;
+        
+        // Drag slows everything down the deeper the body is
+        const drag = Math.exp(-this.waterDrag * submerged * deltaTime);
+        body.velocity.x *= drag;
+        body.velocity.y *= drag;
+        body.velocity.z *= drag;
+        body.angularVelocity.scale(drag, body.angularVelocity);
+        
+        return submerged;
+    }
+    
+    /**
+     * Remember where every object is before the next step, so its mesh can be drawn between steps
+     */
+    storePreviousStates() {
+        this.objectsToUpdate.forEach(object => {
+            object.previousPosition.copy(object.body.position);
+            object.previousQuaternion.copy(object.body.quaternion);
+        });
+    }
+    
+    /**
+     * Advance the physics world by exactly one fixed step
+     * Call storePreviousStates first, before anything in the tick moves bodies.
+     * @param {number} timeStep - Step length in seconds, normally this.timeStep
      */
-    update(deltaTime) {
-        // Step the physics world with correct parameters
-        // Parameters: timeStep, deltaTime, maxSubSteps
-        this.world.step(1/60, deltaTime, 3);
+    step(timeStep = this.timeStep) {
+        this.world.step(timeStep);
         
-        // Update all registered objects
         this.objectsToUpdate.forEach(object => {
-            if (object.body && object.mesh) {
-                // Copy the body position to the mesh
-                object.mesh.position.copy(object.body.position);
-                
-                // Copy the body quaternion to the mesh
-                object.mesh.quaternion.copy(object.body.quaternion);
-                
-                // Additional velocity check to prevent objects from going too high
-                if (object.body.position.y > 10 && object.body.velocity.y > 0) {
-                    // Apply dampening force to objects that are too high
-                    object.body.velocity.y *= 0.8;
+            // Additional velocity check to prevent objects from going too high
+            if (object.body.position.y > 10 && object.body.velocity.y > 0) {
+                // Apply dampening force to objects that are too high
+                object.body.velocity.y *= 0.8;
+            }
+        });
+    }
+    
+    /**
+     * Place meshes between the previous and current physics step
+     * @param {number} alpha - How far rendering is between the two steps (0-1)
+     */
+    interpolate(alpha) {
+        this.objectsToUpdate.forEach(object => {
+            if (!object.mesh) return;
+            
+            const previous = object.previousPosition;
+            const current = object.body.position;
+            const previousQuaternion = object.previousQuaternion;
+            const quaternion = object.body.quaternion;
+            
+            // Leave meshes of bodies that didn't move alone, some are animated by the level
+            // (once a body stops, its mesh is put exactly where it came to rest)
+            if (previous.x === current.x && previous.y === current.y && previous.z === current.z &&
+                previousQuaternion.x === quaternion.x && previousQuaternion.y === quaternion.y &&
+                previousQuaternion.z === quaternion.z && previousQuaternion.w === quaternion.w) {
+                if (object.isInterpolated) {
+                    object.mesh.position.copy(current);
+                    object.mesh.quaternion.copy(quaternion);
+                    object.isInterpolated = false;
                 }
+                return;
             }
+            object.isInterpolated = true;
+            
+            object.mesh.position.set(
+                previous.x + (current.x - previous.x) * alpha,
+                previous.y + (current.y - previous.y) * alpha,
+                previous.z + (current.z - previous.z) * alpha
+            );
+            
+            object.mesh.quaternion.set(previousQuaternion.x, previousQuaternion.y, previousQuaternion.z, previousQuaternion.w);
+            object.mesh.quaternion.slerp(
+                new THREE.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w),
+                alpha
+            );
         });
     }
 }
@@ -0,0 +1,455 @@
+/**
+ * Scene layer of the objects that glow when bloom is on (hoops and power-ups)
+ */
+const BLOOM_LAYER = 1;
+
+/**
+ * The post-processing effects in the display settings, with their labels
+ */
+const POST_EFFECTS = [
+    { name: 'bloom', label: 'Bloom' },
+    { name: 'crt', label: 'CRT scanlines' },
+    { name: 'vignette', label: 'Vignette' },
+    { name: 'damageFlash', label: 'Damage flash' }
+];
+
+/**
+ * Frame rate below which the device is judged too weak for the effects,
+ * once most of the frames in a sample are slower than it
+ */
+const POST_MIN_FRAME_RATE = 45;
+const POST_SAMPLE_FRAMES = 180;
+
+/**
+ * Vertex shader of the full-screen passes
+ */
+const POST_VERTEX_SHADER = `
+    varying vec2 vUv;
+    
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+/**
+ * Blurs a texture along one direction with a 9-tap Gaussian kernel
+ */
+const POST_BLUR_SHADER = `
+    uniform sampler2D inputTexture;
+    uniform vec2 direction;
+    varying vec2 vUv;
+    
+    void main() {
+        vec3 color = texture2D(inputTexture, vUv).rgb * 0.227027;
+        color += texture2D(inputTexture, vUv + direction * 1.384615).rgb * 0.316216;
+        color += texture2D(inputTexture, vUv - direction * 1.384615).rgb * 0.316216;
+        color += texture2D(inputTexture, vUv + direction * 3.230769).rgb * 0.070270;
+        color += texture2D(inputTexture, vUv - direction * 3.230769).rgb * 0.070270;
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+/**
+ * Adds the blurred glow on top of the picture
+ */
+const POST_BLOOM_SHADER = `
+    uniform sampler2D inputTexture;
+    uniform sampler2D glowTexture;
+    uniform float strength;
+    varying vec2 vUv;
+    
+    void main() {
+        vec3 color = texture2D(inputTexture, vUv).rgb + texture2D(glowTexture, vUv).rgb * strength;
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+/**
+ * The cheap screen effects in one pass: CRT curvature, scanlines and shadow mask,
+ * the vignette, and a flash of colour over everything
+ */
+const POST_SCREEN_SHADER = `
+    uniform sampler2D inputTexture;
+    uniform vec2 resolution;
+    uniform float crt;
+    uniform float vignette;
+    uniform vec3 flashColor;
+    uniform float flash;
+    varying vec2 vUv;
+    
+    void main() {
+        vec2 uv = vUv;
+        
+        if (crt > 0.0) {
+            // Bulge the picture like the glass of a tube, black outside it
+            vec2 centered = uv * 2.0 - 1.0;
+            centered *= 1.0 + 0.04 * dot(centered.yx, centered.yx);
+            uv = centered * 0.5 + 0.5;
+            if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) {
+                gl_FragColor = vec4(0.0, 0.0, 0.0, 1.0);
+                return;
+            }
+        }
+        
+        vec3 color = texture2D(inputTexture, uv).rgb;
+        
+        if (crt > 0.0) {
+            // A dark line every third window pixel, and the red, green and blue stripes of the mask
+            float line = mod(floor(uv.y * resolution.y), 3.0) == 0.0 ? 0.7 : 1.0;
+            float stripe = mod(floor(gl_FragCoord.x), 3.0);
+            vec3 mask = vec3(stripe == 0.0 ? 1.0 : 0.8, stripe == 1.0 ? 1.0 : 0.8, stripe == 2.0 ? 1.0 : 0.8);
+            color *= line * mask * 1.15;
+        }
+        
+        if (vignette > 0.0) {
+            float distanceFromCenter = length(vUv - 0.5) * 1.414;
+            color *= 1.0 - vignette * smoothstep(0.4, 1.0, distanceFromCenter);
+        }
+        
+        gl_FragColor = vec4(mix(color, flashColor, flash), 1.0);
+    }
+`;
+
+/**
+ * A step of the post-processing chain that draws a full-screen quad with a shader,
+ * reading the picture so far from the inputTexture uniform
+ *
+ * Passes are plugged into a PostProcessor. Subclasses add their own uniforms and
+ * override isActive, setSize and render for the work they do besides the quad.
+ */
+class ShaderPass {
+    /**
+     * @param {string} fragmentShader - Fragment shader, with an inputTexture uniform
+     * @param {Object} uniforms - Its other uniforms, as {name: {value}}
+     */
+    constructor(fragmentShader, uniforms = {}) {
+        this.material = ShaderPass.createMaterial(fragmentShader, Object.assign({
+            inputTexture: { value: null }
+        }, uniforms));
+        
+        // One quad covering the target, drawn with the pass's materials
+        this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+        this.quad.frustumCulled = false;
+        this.quadScene = new THREE.Scene();
+        this.quadScene.add(this.quad);
+        this.quadCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    }
+    
+    /**
+     * Create the material of a full-screen quad
+     * @param {string} fragmentShader - Fragment shader
+     * @param {Object} uniforms - Its uniforms
+     * @returns {THREE.ShaderMaterial} - The material
+     */
+    static createMaterial(fragmentShader, uniforms) {
+        return new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: POST_VERTEX_SHADER,
+            fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+    }
+    
+    /**
+     * Draw the quad with a material
+     * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+     * @param {THREE.ShaderMaterial} material - Material of the quad
+     * @param {THREE.WebGLRenderTarget|null} output - Target to draw to, null for the window
+     */
+    drawQuad(renderer, material, output) {
+        this.quad.material = material;
+        renderer.setRenderTarget(output);
+        renderer.render(this.quadScene, this.quadCamera);
+    }
+    
+    /**
+     * Check whether the pass has anything to do this frame (skipped passes cost nothing)
+     * @param {Object} frame - {scene, camera, style, deltaTime} of the frame being drawn
+     * @returns {boolean} - True to run the pass
+     */
+    isActive(frame) {
+        return true;
+    }
+    
+    /**
+     * Resize the pass's own targets to the window
+     * @param {number} width - Drawing buffer width in pixels
+     * @param {number} height - Drawing buffer height in pixels
+     */
+    setSize(width, height) {
+    }
+    
+    /**
+     * Run the pass
+     * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+     * @param {THREE.WebGLRenderTarget} input - The picture so far
+     * @param {THREE.WebGLRenderTarget|null} output - Target to draw to, null for the window
+     * @param {Object} frame - {scene, camera, style, deltaTime} of the frame being drawn
+     */
+    render(renderer, input, output, frame) {
+        this.material.uniforms.inputTexture.value = input.texture;
+        this.drawQuad(renderer, this.material, output);
+    }
+}
+
+/**
+ * Makes the objects on BLOOM_LAYER glow
+ *
+ * Only those objects are drawn again, at a quarter of the window's size, then
+ * blurred and added on top of the picture. They are drawn without the rest of the
+ * scene in front of them, which is fine while nothing stands between them and the camera.
+ */
+class BloomPass extends ShaderPass {
+    constructor() {
+        super(POST_BLOOM_SHADER, {
+            glowTexture: { value: null },
+            strength: { value: 1.2 }
+        });
+        this.enabled = true;
+        
+        this.glowTarget = new THREE.WebGLRenderTarget(1, 1);
+        this.blurTarget = new THREE.WebGLRenderTarget(1, 1, { depthBuffer: false });
+        this.blurMaterial = ShaderPass.createMaterial(POST_BLUR_SHADER, {
+            inputTexture: { value: null },
+            direction: { value: new THREE.Vector2() }
+        });
+    }
+    
+    /**
+     * Bloom only lights up the modern view, the LCD has no colours to glow with
+     * @param {Object} frame - {scene, camera, style, deltaTime} of the frame being drawn
+     * @returns {boolean} - True to run the pass
+     */
+    isActive(frame) {
+        return this.enabled && frame.style === 'modern';
+    }
+    
+    /**
+     * Resize the glow targets to a quarter of the window
+     * @param {number} width - Drawing buffer width in pixels
+     * @param {number} height - Drawing buffer height in pixels
+     */
+    setSize(width, height) {
+        const glowWidth = Math.max(1, Math.round(width / 4));
+        const glowHeight = Math.max(1, Math.round(height / 4));
+        this.glowTarget.setSize(glowWidth, glowHeight);
+        this.blurTarget.setSize(glowWidth, glowHeight);
+    }
+    
+    /**
+     * Draw the glowing objects, blur them and add them to the picture
+     * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+     * @param {THREE.WebGLRenderTarget} input - The picture so far
+     * @param {THREE.WebGLRenderTarget|null} output - Target to draw to, null for the window
+     * @param {Object} frame - {scene, camera, style, deltaTime} of the frame being drawn
+     */
+    render(renderer, input, output, frame) {
+        const { scene, camera } = frame;
+        
+        // Only the glowing objects (and the lights, which are on the layer too) on black,
+        // with the shadow map the picture was drawn with
+        const layers = camera.layers.mask;
+        const background = scene.background;
+        const autoUpdate = renderer.shadowMap.autoUpdate;
+        camera.layers.set(BLOOM_LAYER);
+        scene.background = null;
+        renderer.shadowMap.autoUpdate = false;
+        renderer.setRenderTarget(this.glowTarget);
+        renderer.render(scene, camera);
+        camera.layers.mask = layers;
+        scene.background = background;
+        renderer.shadowMap.autoUpdate = autoUpdate;
+        
+        // Blur across, then down
+        const blur = this.blurMaterial.uniforms;
+        blur.inputTexture.value = this.glowTarget.texture;
+        blur.direction.value.set(1 / this.glowTarget.width, 0);
+        this.drawQuad(renderer, this.blurMaterial, this.blurTarget);
+        blur.inputTexture.value = this.blurTarget.texture;
+        blur.direction.value.set(0, 1 / this.glowTarget.height);
+        this.drawQuad(renderer, this.blurMaterial, this.glowTarget);
+        
+        this.material.uniforms.glowTexture.value = this.glowTarget.texture;
+        super.render(renderer, input, output, frame);
+    }
+}
+
+/**
+ * CRT scanlines, the vignette and the damage flash, drawn together in one pass
+ */
+class ScreenEffectPass extends ShaderPass {
+    constructor() {
+        super(POST_SCREEN_SHADER, {
+            resolution: { value: new THREE.Vector2(1, 1) },
+            crt: { value: 0 },
+            vignette: { value: 0 },
+            flashColor: { value: new THREE.Color(0xFF2020) },
+            flash: { value: 0 }
+        });
+        
+        // Flash being shown
+        this.flashStrength = 0;
+        this.flashDuration = 0;
+        this.flashElapsed = 0;
+    }
+    
+    /**
+     * Turn the effects of the pass on or off
+     * @param {boolean} crt - Whether to show the CRT curvature and scanlines
+     * @param {boolean} vignette - Whether to darken the corners
+     */
+    setEffects(crt, vignette) {
+        this.material.uniforms.crt.value = crt ? 1 : 0;
+        this.material.uniforms.vignette.value = vignette ? 0.6 : 0;
+    }
+    
+    /**
+     * Flash the screen, fading out over the duration
+     * @param {number} strength - How much the flash covers the picture at first (0-1)
+     * @param {number} duration - Duration of the flash in seconds
+     */
+    flash(strength, duration) {
+        this.flashStrength = strength;
+        this.flashDuration = duration;
+        this.flashElapsed = 0;
+    }
+    
+    /**
+     * Fade the flash out
+     * @param {number} deltaTime - Time since the last frame in seconds
+     */
+    update(deltaTime) {
+        let flash = 0;
+        if (this.flashElapsed < this.flashDuration) {
+            this.flashElapsed += deltaTime;
+            const remaining = Math.max(0, 1 - this.flashElapsed / this.flashDuration);
+            flash = this.flashStrength * remaining * remaining;
+        }
+        this.material.uniforms.flash.value = flash;
+    }
+    
+    /**
+     * The pass is skipped while none of its effects are showing
+     * @param {Object} frame - {scene, camera, style, deltaTime} of the frame being drawn
+     * @returns {boolean} - True to run the pass
+     */
+    isActive(frame) {
+        const uniforms = this.material.uniforms;
+        return uniforms.crt.value > 0 || uniforms.vignette.value > 0 || uniforms.flash.value > 0;
+    }
+    
+    /**
+     * Keep the scanlines in step with the window's pixels
+     * @param {number} width - Drawing buffer width in pixels
+     * @param {number} height - Drawing buffer height in pixels
+     */
+    setSize(width, height) {
+        this.material.uniforms.resolution.value.set(width, height);
+    }
+}
+
+/**
+ * Runs the picture through a chain of passes on its way to the window
+ *
+ * The view is drawn into a target instead of the window, then every active pass reads
+ * the picture from one target and draws it into the other, the last one to the window.
+ * When no pass is active the view goes straight to the window, so effects that are
+ * off cost nothing. On weak devices the whole chain is skipped: up front when the
+ * hardware looks too small for it, or later when the game runs slowly with the effects on.
+ */
+class PostProcessor {
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Renderer drawing to the window
+     */
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.passes = [];
+        
+        // The scene gets multisampling where WebGL 2 has it, the window's own antialiasing doesn't reach targets
+        const TargetType = renderer.capabilities.isWebGL2 ? THREE.WebGLMultisampleRenderTarget : THREE.WebGLRenderTarget;
+        this.sceneTarget = new TargetType(1, 1);
+        this.spareTarget = new THREE.WebGLRenderTarget(1, 1);
+        this.setSize();
+        
+        // Frame rate check while the effects are on
+        this.weakDevice = PostProcessor.isWeakDevice(renderer);
+        this.sampledFrames = 0;
+        this.slowFrames = 0;
+    }
+    
+    /**
+     * Guess from the hardware whether the device is too weak for post-processing
+     * @param {THREE.WebGLRenderer} renderer - Renderer drawing to the window
+     * @returns {boolean} - True to skip the effects
+     */
+    static isWeakDevice(renderer) {
+        return !renderer.capabilities.isWebGL2 ||
+            (navigator.hardwareConcurrency || 4) <= 2 ||
+            (navigator.deviceMemory || 4) <= 2;
+    }
+    
+    /**
+     * Add a pass to the end of the chain
+     * @param {ShaderPass} pass - Pass to add
+     * @returns {ShaderPass} - The pass
+     */
+    addPass(pass) {
+        this.passes.push(pass);
+        pass.setSize(this.sceneTarget.width, this.sceneTarget.height);
+        return pass;
+    }
+    
+    /**
+     * Resize the targets and passes to the window's drawing buffer
+     */
+    setSize() {
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.sceneTarget.setSize(size.x, size.y);
+        this.spareTarget.setSize(size.x, size.y);
+        this.passes.forEach(pass => pass.setSize(size.x, size.y));
+    }
+    
+    /**
+     * Draw a frame through the active passes
+     * @param {Function} drawView - Draws the view into the target it's given (null for the window)
+     * @param {Object} frame - {scene, camera, style, deltaTime} of the frame being drawn
+     */
+    render(drawView, frame) {
+        const passes = this.weakDevice ? [] : this.passes.filter(pass => pass.isActive(frame));
+        if (passes.length === 0) {
+            drawView(null);
+            return;
+        }
+        
+        this.checkFrameRate(frame.deltaTime);
+        
+        // Each pass draws into the target the previous pass read from
+        let input = this.sceneTarget;
+        let spare = this.spareTarget;
+        drawView(input);
+        passes.forEach((pass, index) => {
+            const output = index === passes.length - 1 ? null : spare;
+            pass.render(this.renderer, input, output, frame);
+            [input, spare] = [spare, input];
+        });
+    }
+    
+    /**
+     * Count slow frames, and give up on the effects if most of a sample was slow
+     * @param {number} deltaTime - Time since the last frame in seconds
+     */
+    checkFrameRate(deltaTime) {
+        this.sampledFrames++;
+        if (deltaTime > 1 / POST_MIN_FRAME_RATE) this.slowFrames++;
+        if (this.sampledFrames < POST_SAMPLE_FRAMES) return;
+        
+        if (this.slowFrames > POST_SAMPLE_FRAMES * 0.75) {
+            this.weakDevice = true;
+            console.log('The game is running slowly, turning the post-processing effects off');
+        }
+        this.sampledFrames = 0;
+        this.slowFrames = 0;
+    }
+}
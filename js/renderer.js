@@ -1,28 +1,68 @@
+/**
+ * Default display settings
+ */
+const DEFAULT_DISPLAY_SETTINGS = {
+    style: 'modern',    // 'modern' for the 3D view, 'lcd' for the Nokia 3310 screen
+    ghosting: 0.5,      // How slowly LCD pixels fade (0-0.9), 0 for none
+    bloom: true,        // Post-processing effects, see POST_EFFECTS
+    crt: false,
+    vignette: true,
+    damageFlash: true
+};
+
 /**
  * Handles all Three.js rendering operations
+ *
+ * The game can be shown in two styles: the modern 3D view through a perspective camera,
+ * with shadows, fog and scenery, or the Nokia 3310 look, where an orthographic camera
+ * looks straight at the side of the level and LcdScreen turns the picture into the
+ * phone's 84x48 green pixels. The orthographic camera follows the perspective camera's
+ * target, so camera movement, shake and the replay free camera work the same in both.
+ *
+ * Either style can then go through the post-processing chain (bloom on the hoops and
+ * power-ups, CRT scanlines, vignette and the damage flash), each effect switched on
+ * and off in the display settings.
  */
 class Renderer {
-    constructor() {
+    /**
+     * @param {SaveSystem} saveSystem - Save the display settings are kept in
+     */
+    constructor(saveSystem) {
+        this.saveSystem = saveSystem;
+        this.settings = this.loadSettings();
+        
         this.scene = null;
         this.camera = null;
         this.renderer = null;
         this.lights = [];
+        this.sunLight = null; // The light that casts shadows
+        this.skyColor = null;
+        this.fog = null;
+        
+        // Nokia 3310 style: the side-on camera, the screen it is drawn on, and the style the scene is set up for
+        this.lcdCamera = null;
+        this.lcdScreen = null;
+        this.sceneStyle = null;
+        this.environment = null; // Scenery only shown in the modern style
         
         // Camera settings
         this.cameraOffset = new THREE.Vector3(0, 5, 15);
         this.cameraLookAt = new THREE.Vector3(0, 0, 0);
-        this.cameraLerpFactor = 0.1; // How quickly the camera follows the target (0-1)
+        this.cameraLerpFactor = 0.1; // How quickly the camera follows the target (0-1, per 1/60 s)
         this.cameraLookAheadFactor = 0.5; // How much the camera looks ahead in the direction of movement
+        this.cameraBounds = null; // Optional {minX, maxX, minY, maxY} limits from the level file
         
         // Camera shake effect properties
         this.shakeIntensity = 0;
         this.shakeDuration = 0;
         this.shakeElapsed = 0;
         this.shakeOffset = new THREE.Vector3();
+        this.silent = false; // Set while a replay seeks, so skipped ticks don't shake or flash the screen
         
         // Post-processing effects
         this.composer = null;
-        this.effectPass = null;
+        this.bloomPass = null;
+        this.effectPass = null; // CRT, vignette and damage flash
     }
     
     /**
@@ -30,12 +70,10 @@ class Renderer {
      */
     async init() {
         try {
-            // Create scene
+            // Create scene (sky blue with subtle fog for depth, set by applySceneStyle)
             this.scene = new THREE.Scene();
-            this.scene.background = new THREE.Color(0x87CEEB); // Sky blue background
-            
-            // Add subtle fog for depth
-            this.scene.fog = new THREE.FogExp2(0x87CEEB, 0.01);
+            this.skyColor = new THREE.Color(0x87CEEB);
+            this.fog = new THREE.FogExp2(0x87CEEB, 0.01);
             
             // Create camera
             const aspectRatio = window.innerWidth / window.innerHeight;
@@ -43,6 +81,13 @@ class Renderer {
             this.camera.position.copy(this.cameraOffset);
             this.camera.lookAt(this.cameraLookAt);
             
+            // Side-on camera with the shape of the Nokia screen
+            const halfHeight = LCD_VIEW_HEIGHT / 2;
+            const halfWidth = halfHeight * LCD_WIDTH / LCD_HEIGHT;
+            this.lcdCamera = new THREE.OrthographicCamera(-halfWidth, halfWidth, halfHeight, -halfHeight, 0.1, 1000);
+            this.lcdScreen = new LcdScreen();
+            this.lcdScreen.ghosting = this.settings.ghosting;
+            
             // Create renderer
             this.renderer = new THREE.WebGLRenderer({ 
                 canvas: document.getElementById('game-canvas'),
@@ -53,12 +98,22 @@ class Renderer {
             this.renderer.shadowMap.enabled = true;
             this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
             
+            // Post-processing chain: the glow first, then the effects on the whole screen
+            this.composer = new PostProcessor(this.renderer);
+            this.bloomPass = this.composer.addPass(new BloomPass());
+            this.effectPass = this.composer.addPass(new ScreenEffectPass());
+            this.applyEffectSettings();
+            
             // Add lights
             this.setupLights();
             
             // Add some basic environment elements (to be replaced with actual level geometry)
+            this.environment = new THREE.Group();
+            this.scene.add(this.environment);
             this.addEnvironment();
             
+            this.applySceneStyle('modern');
+            
             return true;
         } catch (error) {
             console.error('Error initializing renderer:', error);
@@ -92,12 +147,16 @@ class Renderer {
         
         this.scene.add(directionalLight);
         this.lights.push(directionalLight);
+        this.sunLight = directionalLight;
         
         // Add a secondary light for better illumination
         const secondaryLight = new THREE.DirectionalLight(0xffffcc, 0.3);
         secondaryLight.position.set(-5, 10, -10);
         this.scene.add(secondaryLight);
         this.lights.push(secondaryLight);
+        
+        // Light the glowing objects when bloom draws them on their own
+        this.lights.forEach(light => light.layers.enable(BLOOM_LAYER));
     }
     
     /**
@@ -115,12 +174,12 @@ class Renderer {
         ground.rotation.x = -Math.PI / 2; // Rotate to be horizontal
         ground.position.y = -2;
         ground.receiveShadow = true;
-        this.scene.add(ground);
+        this.environment.add(ground);
         
         // Grid helper for development
         const gridHelper = new THREE.GridHelper(50, 50);
         gridHelper.position.y = -1.99;
-        this.scene.add(gridHelper);
+        this.environment.add(gridHelper);
         
         // Add distant skybox elements for depth and visual interest
         this.addSkyElements();
@@ -152,7 +211,7 @@ class Renderer {
             const cloud = new THREE.Mesh(cloudGeometry, cloudMaterial);
             cloud.position.set(pos.x, pos.y, pos.z);
             cloud.scale.set(pos.scale, pos.scale * 0.6, pos.scale);
-            this.scene.add(cloud);
+            this.environment.add(cloud);
         });
         
         // Add a distant mountain range
@@ -180,38 +239,112 @@ class Renderer {
             mountain.rotation.y = Math.random() * Math.PI;
             const scale = 1 + Math.random() * 0.5;
             mountain.scale.set(scale, scale + Math.random() * 0.5, scale);
-            this.scene.add(mountain);
+            this.environment.add(mountain);
         });
     }
     
+    /**
+     * Set the scene up for a display style: sky, fog, shadows and scenery for the modern
+     * view, a plain white background (the LCD's unlit pixels) and nothing else for the LCD
+     * @param {string} style - 'modern' or 'lcd'
+     */
+    applySceneStyle(style) {
+        if (style === this.sceneStyle) return;
+        this.sceneStyle = style;
+        
+        const lcd = style === 'lcd';
+        this.scene.background = lcd ? new THREE.Color(0xFFFFFF) : this.skyColor;
+        this.scene.fog = lcd ? null : this.fog;
+        this.sunLight.castShadow = !lcd;
+        this.environment.visible = !lcd;
+        
+        // Start the LCD from a clean screen rather than fading in from whatever it showed last
+        this.lcdScreen.reset();
+    }
+    
     /**
      * Render the scene
+     * @param {number} deltaTime - Time since the last frame in seconds
+     * @param {string} style - Display style to draw in, the one chosen in the settings by default
+     *     (the editor always draws the modern view, it picks objects with the perspective camera)
+     * @param {boolean} effects - Whether to run the post-processing effects (the editor
+     *     leaves them off, the CRT curve would move the picture away from the mouse)
      */
-    render() {
+    render(deltaTime = 1/60, style = this.settings.style, effects = true) {
         // Update camera shake if active
-        this.updateCameraShake();
+        this.updateCameraShake(deltaTime);
+        this.effectPass.update(deltaTime);
         
-        this.renderer.render(this.scene, this.camera);
+        this.applySceneStyle(style);
+        const lcd = style === 'lcd';
+        if (lcd) {
+            this.updateLcdCamera();
+        }
+        
+        const drawView = target => {
+            if (lcd) {
+                this.lcdScreen.render(this.renderer, this.scene, this.lcdCamera, deltaTime, target);
+            } else {
+                this.renderer.setRenderTarget(target);
+                this.renderer.render(this.scene, this.camera);
+            }
+        };
+        
+        if (effects) {
+            const camera = lcd ? this.lcdCamera : this.camera;
+            this.composer.render(drawView, { scene: this.scene, camera, style, deltaTime });
+        } else {
+            drawView(null);
+        }
+    }
+    
+    /**
+     * Move the LCD camera to look straight at what the perspective camera is looking at
+     * It zooms in and out with the perspective camera's distance, and moves in whole
+     * LCD pixels so the picture doesn't shimmer as the camera follows the ball.
+     */
+    updateLcdCamera() {
+        const distance = this.camera.position.z - this.cameraLookAt.z;
+        this.lcdCamera.zoom = this.cameraOffset.z / distance;
+        this.lcdCamera.updateProjectionMatrix();
+        
+        const position = this.cameraLookAt.clone();
+        if (this.shakeElapsed < this.shakeDuration) {
+            position.add(this.shakeOffset);
+        }
+        
+        const unitsPerPixel = LCD_VIEW_HEIGHT / this.lcdCamera.zoom / LCD_HEIGHT;
+        this.lcdCamera.position.set(
+            Math.round(position.x / unitsPerPixel) * unitsPerPixel,
+            Math.round(position.y / unitsPerPixel) * unitsPerPixel,
+            position.z + distance
+        );
     }
     
     /**
-     * Trigger a camera shake effect
+     * Trigger a camera shake effect, with a red flash of the same strength if the damage flash is on
      * @param {number} intensity - Intensity of the shake (0-1)
      * @param {number} duration - Duration of the shake in seconds
      */
     cameraShake(intensity = 0.3, duration = 0.5) {
+        if (this.silent) return;
+        
         this.shakeIntensity = intensity;
         this.shakeDuration = duration;
         this.shakeElapsed = 0;
+        
+        if (this.settings.damageFlash) {
+            this.effectPass.flash(intensity, duration);
+        }
     }
     
     /**
      * Update camera shake effect
+     * @param {number} deltaTime - Time since the last frame in seconds
      */
-    updateCameraShake() {
+    updateCameraShake(deltaTime) {
         if (this.shakeElapsed < this.shakeDuration) {
             // Update shake timer
-            const deltaTime = 1/60; // Approx. one frame at 60fps
             this.shakeElapsed += deltaTime;
             
             // Calculate intensity based on remaining time (ease out)
@@ -233,8 +366,9 @@ class Renderer {
      * Update camera to follow a target
      * @param {THREE.Vector3} targetPosition - Position to follow
      * @param {THREE.Vector3} targetVelocity - Target's velocity for look-ahead
+     * @param {number} deltaTime - Time since the last frame in seconds
      */
-    updateCamera(targetPosition, targetVelocity = null) {
+    updateCamera(targetPosition, targetVelocity = null, deltaTime = 1/60) {
         if (!targetPosition) return;
         
         // Calculate the camera's target position (basic follow)
@@ -256,9 +390,6 @@ class Renderer {
             targetCameraPosition.z += lookAheadVelocity.z;
         }
         
-        // Smoothly interpolate the camera position (lerp)
-        this.camera.position.lerp(targetCameraPosition, this.cameraLerpFactor);
-        
         // Calculate look-at position (slightly ahead of the target)
         const lookAtPosition = new THREE.Vector3(
             targetPosition.x,
@@ -266,11 +397,97 @@ class Renderer {
             targetPosition.z
         );
         
+        // Keep the camera inside the level's bounds
+        if (this.cameraBounds) {
+            const bounds = this.cameraBounds;
+            targetCameraPosition.x = THREE.MathUtils.clamp(targetCameraPosition.x, bounds.minX, bounds.maxX);
+            targetCameraPosition.y = THREE.MathUtils.clamp(
+                targetCameraPosition.y,
+                bounds.minY + this.cameraOffset.y,
+                bounds.maxY + this.cameraOffset.y
+            );
+            lookAtPosition.x = THREE.MathUtils.clamp(lookAtPosition.x, bounds.minX, bounds.maxX);
+            lookAtPosition.y = THREE.MathUtils.clamp(lookAtPosition.y, bounds.minY, bounds.maxY);
+        }
+        
+        // Smoothly interpolate the camera position (lerp), scaled so it follows
+        // at the same speed whatever the frame rate
+        const frames = deltaTime * 60;
+        this.camera.position.lerp(targetCameraPosition, 1 - Math.pow(1 - this.cameraLerpFactor, frames));
+        
         // Smoothly update the camera's look-at point
-        this.cameraLookAt.lerp(lookAtPosition, this.cameraLerpFactor * 1.5);
+        this.cameraLookAt.lerp(lookAtPosition, 1 - Math.pow(1 - this.cameraLerpFactor * 1.5, frames));
         this.camera.lookAt(this.cameraLookAt);
     }
     
+    /**
+     * Limit where the camera can move, or remove the limits
+     * @param {Object|null} bounds - {minX, maxX, minY, maxY} in world units, or null
+     */
+    setCameraBounds(bounds) {
+        this.cameraBounds = bounds ? { ...bounds } : null;
+    }
+    
+    /**
+     * Load the saved display settings, falling back to the defaults for anything missing
+     * @returns {Object} - Display settings
+     */
+    loadSettings() {
+        const settings = Object.assign({}, DEFAULT_DISPLAY_SETTINGS);
+        
+        const saved = this.saveSystem.getSetting('display');
+        if (saved && typeof saved === 'object') {
+            if (saved.style === 'modern' || saved.style === 'lcd') settings.style = saved.style;
+            if (typeof saved.ghosting === 'number') settings.ghosting = Math.max(0, Math.min(saved.ghosting, 0.9));
+            POST_EFFECTS.forEach(effect => {
+                if (typeof saved[effect.name] === 'boolean') settings[effect.name] = saved[effect.name];
+            });
+        }
+        
+        return settings;
+    }
+    
+    /**
+     * Change a display setting, save it and apply it
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     */
+    setSetting(key, value) {
+        this.settings[key] = value;
+        this.saveSystem.setSetting('display', this.settings);
+        this.lcdScreen.ghosting = this.settings.ghosting;
+        this.applyEffectSettings();
+    }
+    
+    /**
+     * Switch the post-processing effects on and off as the settings say
+     */
+    applyEffectSettings() {
+        this.bloomPass.enabled = this.settings.bloom;
+        this.effectPass.setEffects(this.settings.crt, this.settings.vignette);
+    }
+    
+    /**
+     * Add the display options to the settings screen
+     * @param {SettingsScreen} settingsScreen - Settings screen to add a section to
+     */
+    addSettings(settingsScreen) {
+        const section = settingsScreen.addSection('Display');
+        
+        settingsScreen.addSelect(section, 'Style', [
+            { value: 'modern', label: 'Modern 3D' },
+            { value: 'lcd', label: 'Nokia 3310 LCD' }
+        ], this.settings.style, value => this.setSetting('style', value));
+        
+        settingsScreen.addSlider(section, 'LCD ghosting', 0, 0.9, 0.05, this.settings.ghosting,
+            value => this.setSetting('ghosting', value));
+        
+        POST_EFFECTS.forEach(effect => {
+            settingsScreen.addToggle(section, effect.label, this.settings[effect.name],
+                value => this.setSetting(effect.name, value));
+        });
+    }
+    
     /**
      * Handle window resize
      */
@@ -283,5 +500,6 @@ class Renderer {
         
         this.renderer.setSize(width, height);
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.composer.setSize();
     }
 }
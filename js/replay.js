@@ -0,0 +1,265 @@
+/**
+ * Current version of the replay file format
+ */
+const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * Playback speeds offered by the replay controls
+ */
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Error thrown when a replay file is unreadable or does not match the format
+ */
+class ReplayFormatError extends Error {
+    /**
+     * @param {string} source - Where the data came from (file name or description)
+     * @param {string[]} problems - Human readable list of everything wrong with the data
+     */
+    constructor(source, problems) {
+        super(`Invalid replay in ${source}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ReplayFormatError';
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Records the input of every game tick during a run
+ *
+ * The game is deterministic: the same level, seed, starting state and per-tick
+ * input always give the same run. So a replay only stores those, and plays back
+ * by feeding the recorded input to the game instead of the player's.
+ */
+class ReplayRecorder {
+    constructor() {
+        this.replay = null; // Replay being recorded, or null
+    }
+    
+    /**
+     * Check if a run is being recorded
+     * @returns {boolean} - True while recording
+     */
+    isRecording() {
+        return this.replay !== null;
+    }
+    
+    /**
+     * Start recording a run (replaces any recording in progress)
+     * @param {Object} info - {level, levelName, levelHash, seed, start}, start being the state before the first tick
+     */
+    start(info) {
+        this.replay = {
+            version: REPLAY_FORMAT_VERSION,
+            level: info.level,
+            levelName: info.levelName,
+            levelHash: info.levelHash,
+            seed: info.seed,
+            start: info.start,
+            recordedAt: new Date().toISOString(),
+            result: null,
+            inputs: []
+        };
+    }
+    
+    /**
+     * Record one tick's input
+     * @param {Object} input - {move, jump} as used by the tick
+     */
+    record(input) {
+        if (this.replay) {
+            this.replay.inputs.push(input);
+        }
+    }
+    
+    /**
+     * Throw away the recording in progress
+     */
+    cancel() {
+        this.replay = null;
+    }
+    
+    /**
+     * Get a copy of the recording so far, without stopping it (e.g. to report a bug mid-run)
+     * @returns {Object|null} - The replay, or null if nothing is being recorded
+     */
+    snapshot() {
+        if (!this.replay) return null;
+        return Object.assign({}, this.replay, { inputs: this.replay.inputs.slice() });
+    }
+    
+    /**
+     * Stop recording
+     * @param {Object} result - How the run ended {outcome: 'complete'|'gameover', score, lives}
+     * @returns {Object|null} - The finished replay, or null if nothing was being recorded
+     */
+    finish(result) {
+        const replay = this.replay;
+        this.replay = null;
+        
+        if (replay) {
+            replay.result = result;
+        }
+        return replay;
+    }
+    
+    /**
+     * Turn a replay into compact file text
+     * Inputs are run-length encoded as "count:move:jump" with move in hundredths.
+     * @param {Object} replay - Replay to save
+     * @returns {string} - Replay file contents
+     */
+    static encode(replay) {
+        const runs = [];
+        let last = null;
+        replay.inputs.forEach(input => {
+            const key = `${Math.round(input.move * 100)}:${input.jump ? 1 : 0}`;
+            if (last && last.key === key) {
+                last.count++;
+            } else {
+                last = { key, count: 1 };
+                runs.push(last);
+            }
+        });
+        
+        const data = Object.assign({}, replay, {
+            ticks: replay.inputs.length,
+            inputs: runs.map(run => `${run.count}:${run.key}`).join(',')
+        });
+        return JSON.stringify(data);
+    }
+    
+    /**
+     * Read replay file text, checking it against the format
+     * @param {string} text - Replay file contents
+     * @param {string} source - Where the text came from, for error messages
+     * @returns {Object} - The replay
+     * @throws {ReplayFormatError} - If the text isn't a valid replay
+     */
+    static decode(text, source = 'replay') {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ReplayFormatError(source, [`is not valid JSON (${error.message})`]);
+        }
+        
+        const problems = [];
+        if (!data || typeof data !== 'object') {
+            throw new ReplayFormatError(source, ['is not a replay']);
+        }
+        if (data.version !== REPLAY_FORMAT_VERSION) {
+            problems.push(`has unsupported version ${data.version}`);
+        }
+        if (!Number.isInteger(data.level) || data.level < 1) {
+            problems.push('level must be a level number');
+        }
+        if (!Number.isInteger(data.seed)) {
+            problems.push('seed must be an integer');
+        }
+        if (!data.start || typeof data.start.lives !== 'number' || typeof data.start.score !== 'number') {
+            problems.push('start must have lives and score');
+        }
+        if (typeof data.inputs !== 'string') {
+            problems.push('inputs must be a string');
+        }
+        if (problems.length > 0) {
+            throw new ReplayFormatError(source, problems);
+        }
+        
+        // Expand the runs back into one input per tick
+        const inputs = [];
+        if (data.inputs.length > 0) {
+            data.inputs.split(',').forEach(run => {
+                const [count, move, jump] = run.split(':').map(Number);
+                if (!Number.isInteger(count) || count < 1 || !Number.isFinite(move) || Math.abs(move) > 100) {
+                    problems.push(`input run "${run}" is invalid`);
+                    return;
+                }
+                for (let i = 0; i < count; i++) {
+                    inputs.push({ move: move / 100, jump: jump === 1 });
+                }
+            });
+        }
+        if (Number.isInteger(data.ticks) && data.ticks !== inputs.length) {
+            problems.push(`has ${inputs.length} ticks of input, expected ${data.ticks}`);
+        }
+        if (problems.length > 0) {
+            throw new ReplayFormatError(source, problems);
+        }
+        
+        const replay = Object.assign({}, data, { inputs });
+        delete replay.ticks;
+        return replay;
+    }
+    
+    /**
+     * Fingerprint level data, so a replay can tell if its level has changed since recording
+     * @param {Object} data - Level data
+     * @returns {string} - Hash of the data (FNV-1a, hex)
+     */
+    static hashLevel(data) {
+        const text = JSON.stringify(data);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+}
+
+/**
+ * Plays a replay back: hands out the recorded input tick by tick and keeps the
+ * playback settings (pause, speed, free camera)
+ */
+class ReplayPlayer {
+    /**
+     * @param {Object} replay - Replay to play
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.paused = false;
+        this.speed = 1;
+        this.freeCamera = false;
+    }
+    
+    /**
+     * Get the number of ticks in the replay
+     * @returns {number} - Length in ticks
+     */
+    getLength() {
+        return this.replay.inputs.length;
+    }
+    
+    /**
+     * Get the recorded input for a tick
+     * @param {number} tick - Tick index (0 is the first tick)
+     * @returns {Object} - {move, jump}
+     */
+    getInput(tick) {
+        return this.replay.inputs[tick] || { move: 0, jump: false };
+    }
+    
+    /**
+     * Check if playback has reached the end of the recording
+     * @param {number} tick - Ticks played so far
+     * @returns {boolean} - True at the end
+     */
+    isFinished(tick) {
+        return tick >= this.getLength();
+    }
+    
+    /**
+     * Scale a frame's time by the playback speed
+     * @param {number} deltaTime - Real time since the last frame in seconds
+     * @param {number} tick - Ticks played so far
+     * @returns {number} - Game time to simulate, 0 while paused or finished
+     */
+    scaleFrameTime(deltaTime, tick) {
+        if (this.paused || this.isFinished(tick)) {
+            return 0;
+        }
+        return deltaTime * this.speed;
+    }
+}
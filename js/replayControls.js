@@ -0,0 +1,219 @@
+/**
+ * Playback bar shown while a replay is playing
+ *
+ * Play/pause, a timeline to scrub through the run, playback speed, a free camera
+ * that can be dragged around (and zoomed with the wheel) instead of following the
+ * ball, saving the replay and leaving playback.
+ */
+class ReplayControls {
+    /**
+     * @param {Game} game - Game playing the replay
+     */
+    constructor(game) {
+        this.game = game;
+        this.player = null;
+        
+        // DOM elements
+        this.container = null;
+        this.playButton = null;
+        this.timeline = null;
+        this.timeLabel = null;
+        this.speedSelect = null;
+        this.cameraButton = null;
+        
+        // Timeline is being dragged, don't move it under the pointer
+        this.isScrubbing = false;
+        
+        // Free camera drag {x, y} of the last pointer position, or null
+        this.drag = null;
+    }
+    
+    /**
+     * Build the playback bar and the free camera controls
+     */
+    init() {
+        this.container = document.getElementById('replay-controls');
+        if (!this.container) {
+            console.log('Replay controls container not found');
+            return;
+        }
+        
+        this.playButton = this.createButton('❚❚', () => this.game.toggleReplayPause());
+        this.playButton.title = 'Play / pause';
+        this.container.appendChild(this.playButton);
+        
+        const restartButton = this.createButton('⏮', () => this.game.seekReplay(0));
+        restartButton.title = 'Back to the start';
+        this.container.appendChild(restartButton);
+        
+        this.timeline = document.createElement('input');
+        this.timeline.type = 'range';
+        this.timeline.className = 'replay-timeline';
+        this.timeline.min = 0;
+        this.timeline.step = 1;
+        this.timeline.addEventListener('input', () => {
+            this.isScrubbing = true;
+            this.game.seekReplay(parseInt(this.timeline.value, 10));
+        });
+        this.timeline.addEventListener('change', () => {
+            this.isScrubbing = false;
+        });
+        this.container.appendChild(this.timeline);
+        
+        this.timeLabel = document.createElement('span');
+        this.timeLabel.className = 'replay-time';
+        this.container.appendChild(this.timeLabel);
+        
+        this.speedSelect = document.createElement('select');
+        REPLAY_SPEEDS.forEach(speed => {
+            const option = document.createElement('option');
+            option.value = speed;
+            option.textContent = `${speed}×`;
+            this.speedSelect.appendChild(option);
+        });
+        this.speedSelect.addEventListener('change', () => {
+            this.player.speed = parseFloat(this.speedSelect.value);
+        });
+        this.container.appendChild(this.speedSelect);
+        
+        this.cameraButton = this.createButton('Free camera', () => this.toggleFreeCamera());
+        this.container.appendChild(this.cameraButton);
+        
+        this.container.appendChild(this.createButton('Save', () => this.game.saveReplay(this.player.replay)));
+        this.container.appendChild(this.createButton('Exit', () => this.game.stopReplay()));
+        
+        // Free camera: drag to pan, wheel to zoom
+        const canvas = document.getElementById('game-canvas');
+        if (canvas) {
+            canvas.addEventListener('pointerdown', event => this.onPointerDown(event));
+            canvas.addEventListener('pointermove', event => this.onPointerMove(event));
+            canvas.addEventListener('pointerup', () => {
+                this.drag = null;
+            });
+            canvas.addEventListener('wheel', event => this.onWheel(event), { passive: false });
+        }
+    }
+    
+    /**
+     * Create a playback bar button
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} - The button
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Show the playback bar for a replay
+     * @param {ReplayPlayer} player - Replay being played
+     */
+    show(player) {
+        this.player = player;
+        document.body.classList.add('replay-mode');
+        if (!this.container) return;
+        
+        this.timeline.max = player.getLength();
+        this.speedSelect.value = player.speed;
+        this.container.classList.remove('hidden');
+        this.update(0);
+    }
+    
+    /**
+     * Hide the playback bar
+     */
+    hide() {
+        this.player = null;
+        this.drag = null;
+        document.body.classList.remove('replay-mode');
+        if (this.container) {
+            this.container.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Show where playback is
+     * @param {number} tick - Ticks played so far
+     */
+    update(tick) {
+        if (!this.player || !this.container) return;
+        
+        if (!this.isScrubbing) {
+            this.timeline.value = tick;
+        }
+        
+        const finished = this.player.isFinished(tick);
+        this.playButton.textContent = this.player.paused || finished ? '▶' : '❚❚';
+        this.timeLabel.textContent = `${ReplayControls.formatTicks(tick)} / ${ReplayControls.formatTicks(this.player.getLength())}`;
+        this.cameraButton.classList.toggle('active', this.player.freeCamera);
+    }
+    
+    /**
+     * Switch between following the ball and the free camera
+     */
+    toggleFreeCamera() {
+        this.player.freeCamera = !this.player.freeCamera;
+        this.drag = null;
+    }
+    
+    /**
+     * Start dragging the free camera
+     * @param {PointerEvent} event - The pointer event
+     */
+    onPointerDown(event) {
+        if (!this.player || !this.player.freeCamera) return;
+        this.drag = { x: event.clientX, y: event.clientY };
+    }
+    
+    /**
+     * Pan the free camera with the pointer
+     * @param {PointerEvent} event - The pointer event
+     */
+    onPointerMove(event) {
+        if (!this.drag) return;
+        
+        const renderer = this.game.renderer;
+        const distance = renderer.camera.position.z - renderer.cameraLookAt.z;
+        const unitsPerPixel = distance * 0.0015;
+        const dx = -(event.clientX - this.drag.x) * unitsPerPixel;
+        const dy = (event.clientY - this.drag.y) * unitsPerPixel;
+        
+        renderer.camera.position.x += dx;
+        renderer.camera.position.y += dy;
+        renderer.cameraLookAt.x += dx;
+        renderer.cameraLookAt.y += dy;
+        renderer.camera.lookAt(renderer.cameraLookAt);
+        
+        this.drag = { x: event.clientX, y: event.clientY };
+    }
+    
+    /**
+     * Zoom the free camera with the mouse wheel
+     * @param {WheelEvent} event - The wheel event
+     */
+    onWheel(event) {
+        if (!this.player || !this.player.freeCamera) return;
+        event.preventDefault();
+        
+        const renderer = this.game.renderer;
+        const distance = renderer.camera.position.z - renderer.cameraLookAt.z;
+        const newDistance = Math.min(Math.max(distance * (1 + event.deltaY * 0.001), 4), 60);
+        renderer.camera.position.z = renderer.cameraLookAt.z + newDistance;
+        renderer.camera.lookAt(renderer.cameraLookAt);
+    }
+    
+    /**
+     * Format a number of ticks as playing time
+     * @param {number} ticks - Number of ticks
+     * @returns {string} - Time as m:ss.s
+     */
+    static formatTicks(ticks) {
+        const seconds = ticks / 60;
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+    }
+}
@@ -0,0 +1,282 @@
+/**
+ * Current version of the save format
+ * Bump this and add a migration to SAVE_MIGRATIONS whenever the format changes
+ */
+const SAVE_FORMAT_VERSION = 1;
+
+/**
+ * Upgrades between save versions: SAVE_MIGRATIONS[n] turns a version n save into version n + 1
+ * Version 1 is the first save format, so there is nothing to upgrade yet.
+ */
+const SAVE_MIGRATIONS = [];
+
+/**
+ * Error thrown when save data is unreadable or does not match the save format
+ */
+class SaveFormatError extends Error {
+    /**
+     * @param {string} source - Where the data came from (file name or description)
+     * @param {string[]} problems - Human readable list of everything wrong with the data
+     */
+    constructor(source, problems) {
+        super(`Invalid save in ${source}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'SaveFormatError';
+        this.source = source;
+        this.problems = problems;
+    }
+}
+
+/**
+ * Keeps the player's progress, level records and settings in one versioned save in localStorage
+ *
+ * The save holds the level to continue from, the highest unlocked level, a record
+ * per level (best score, best time, hoops collected) and the settings of the
+ * components that have any. Older saves are upgraded through SAVE_MIGRATIONS when
+ * loaded or imported, so a save never has to be thrown away because the game changed.
+ */
+class SaveSystem {
+    /**
+     * @param {string} storageKey - localStorage key for the save
+     */
+    constructor(storageKey = 'bounceSave') {
+        this.storageKey = storageKey;
+        this.data = SaveSystem.createEmpty();
+    }
+    
+    /**
+     * Create the save of a player who has never played
+     * @returns {Object} - Empty save data
+     */
+    static createEmpty() {
+        return {
+            version: SAVE_FORMAT_VERSION,
+            progress: null,
+            unlockedLevel: 1,
+            levels: {},
+            settings: {}
+        };
+    }
+    
+    /**
+     * Load the save, upgrading it to the current version
+     */
+    load() {
+        let text = null;
+        try {
+            text = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            console.warn('Could not read the save:', error);
+            return;
+        }
+        
+        // Nothing saved yet: keep the empty save
+        if (text === null) return;
+        
+        try {
+            const data = SaveSystem.parse(text, 'saved game');
+            this.data = data;
+            
+            // Write it back if it was upgraded
+            if (JSON.stringify(data) !== text) {
+                this.save();
+            }
+        } catch (error) {
+            // Keep the broken save aside rather than losing it, and start fresh
+            console.warn('Could not load the save, starting a new one:', error);
+            try {
+                localStorage.setItem(`${this.storageKey}Backup`, text);
+            } catch (backupError) {
+                console.warn('Could not back up the broken save:', backupError);
+            }
+            this.data = SaveSystem.createEmpty();
+        }
+    }
+    
+    /**
+     * Write the save to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('Could not save:', error);
+        }
+    }
+    
+    /**
+     * Read save text, upgrading it to the current version
+     * @param {string} text - Save contents
+     * @param {string} source - Where the text came from, for error messages
+     * @returns {Object} - Save data in the current version
+     * @throws {SaveFormatError} - If the text isn't a valid save
+     */
+    static parse(text, source) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new SaveFormatError(source, [`is not valid JSON (${error.message})`]);
+        }
+        return SaveSystem.upgrade(data, source);
+    }
+    
+    /**
+     * Run the migrations from a save's version up to the current one, then check the result
+     * @param {Object} data - Save data in any version
+     * @param {string} source - Where the data came from, for error messages
+     * @returns {Object} - Save data in the current version
+     * @throws {SaveFormatError} - If the data isn't a save this game can read
+     */
+    static upgrade(data, source) {
+        if (!data || typeof data !== 'object' || !Number.isInteger(data.version) || data.version < 1) {
+            throw new SaveFormatError(source, ['is not a save']);
+        }
+        if (data.version > SAVE_FORMAT_VERSION) {
+            throw new SaveFormatError(source, [`was saved by a newer version of the game (save version ${data.version})`]);
+        }
+        
+        let upgraded = data;
+        while (upgraded.version < SAVE_FORMAT_VERSION) {
+            console.log(`Upgrading save from version ${upgraded.version}`);
+            upgraded = SAVE_MIGRATIONS[upgraded.version](upgraded);
+        }
+        
+        SaveSystem.validate(upgraded, source);
+        return upgraded;
+    }
+    
+    /**
+     * Check save data in the current version
+     * The settings themselves are checked by the components that own them when they load.
+     * @param {Object} data - Save data
+     * @param {string} source - Where the data came from, for error messages
+     * @throws {SaveFormatError} - If anything is wrong
+     */
+    static validate(data, source) {
+        const problems = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        
+        const progress = data.progress;
+        if (progress !== null && (!isObject(progress) ||
+            !Number.isInteger(progress.level) || progress.level < 1 ||
+            !Number.isInteger(progress.lives) || progress.lives < 1 ||
+            typeof progress.score !== 'number')) {
+            problems.push('progress must be null or {level, lives, score}');
+        }
+        if (!Number.isInteger(data.unlockedLevel) || data.unlockedLevel < 1) {
+            problems.push('unlockedLevel must be a level number');
+        }
+        if (!isObject(data.levels)) {
+            problems.push('levels must be an object');
+        } else {
+            Object.entries(data.levels).forEach(([level, record]) => {
+                if (!/^[1-9]\d*$/.test(level) || !isObject(record)) {
+                    problems.push(`levels.${level} must be the record of a level number`);
+                }
+            });
+        }
+        if (!isObject(data.settings)) {
+            problems.push('settings must be an object');
+        }
+        
+        if (problems.length > 0) {
+            throw new SaveFormatError(source, problems);
+        }
+    }
+    
+    /**
+     * Get a component's saved settings
+     * @param {string} name - Settings name, e.g. 'bindings'
+     * @returns {*} - The settings, or null if none were saved
+     */
+    getSetting(name) {
+        const value = this.data.settings[name];
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+    
+    /**
+     * Save a component's settings
+     * @param {string} name - Settings name, e.g. 'bindings'
+     * @param {*} value - Settings to save (must survive JSON)
+     */
+    setSetting(name, value) {
+        this.data.settings[name] = JSON.parse(JSON.stringify(value));
+        this.save();
+    }
+    
+    /**
+     * Get the record of a level
+     * @param {number} level - Level number
+     * @returns {Object} - {completed, bestScore, bestTime, hoopsCollected, totalHoops}, any of them missing if not set yet
+     */
+    getLevelRecord(level) {
+        return { ...this.data.levels[level] };
+    }
+    
+    /**
+     * Change parts of a level's record
+     * @param {number} level - Level number
+     * @param {Object} changes - Fields to set
+     */
+    updateLevelRecord(level, changes) {
+        this.data.levels[level] = Object.assign({}, this.data.levels[level], JSON.parse(JSON.stringify(changes)));
+        this.save();
+    }
+    
+    /**
+     * Get the game to continue
+     * @returns {Object|null} - {level, lives, score, mode}, or null if there is nothing to continue
+     */
+    getProgress() {
+        return this.data.progress ? { ...this.data.progress } : null;
+    }
+    
+    /**
+     * Save the game to continue from
+     * @param {Object|null} progress - {level, lives, score, mode}, or null when the game is over
+     */
+    setProgress(progress) {
+        this.data.progress = progress ? { ...progress } : null;
+        this.save();
+    }
+    
+    /**
+     * Get the highest level the player may play
+     * @returns {number} - Level number
+     */
+    getUnlockedLevel() {
+        return this.data.unlockedLevel;
+    }
+    
+    /**
+     * Unlock a level (and every level before it)
+     * @param {number} level - Level number
+     */
+    unlockLevel(level) {
+        if (level > this.data.unlockedLevel) {
+            this.data.unlockedLevel = level;
+            this.save();
+        }
+    }
+    
+    /**
+     * Turn the save into file text, to move it to another browser
+     * @returns {string} - Save file contents
+     */
+    exportSave() {
+        return JSON.stringify(Object.assign({ exportedAt: new Date().toISOString() }, this.data), null, 2);
+    }
+    
+    /**
+     * Replace the save with an exported one
+     * @param {string} text - Save file contents
+     * @param {string} source - File name, for error messages
+     * @throws {SaveFormatError} - If the file isn't a valid save (the current save is kept)
+     */
+    importSave(text, source) {
+        const data = SaveSystem.parse(text, source);
+        delete data.exportedAt;
+        this.data = data;
+        this.save();
+    }
+}
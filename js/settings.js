@@ -0,0 +1,338 @@
+/**
+ * Settings screen, opened from the main menu and the pause screen
+ *
+ * The screen is made of sections; the controls section lists every action with
+ * its keys and lets the player rebind them. A key can only belong to one action,
+ * so binding a key that's already in use is refused with a message saying where.
+ */
+class SettingsScreen {
+    /**
+     * @param {InputManager} input - Input manager whose bindings are edited
+     */
+    constructor(input) {
+        this.input = input;
+        this.isOpen = false;
+        
+        // DOM elements
+        this.screen = null;
+        this.sectionsElement = null;
+        this.messageElement = null;
+        this.controlsSection = null;
+        
+        // Key being rebound {action, slot}, or null
+        this.rebinding = null;
+        
+        // Called every time the screen opens, to refresh sections that show changing data
+        this.openListeners = [];
+        
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+    
+    /**
+     * Find the settings elements and build the sections
+     */
+    init() {
+        this.screen = document.getElementById('settings-screen');
+        this.sectionsElement = document.getElementById('settings-sections');
+        this.messageElement = document.getElementById('settings-message');
+        
+        const closeButton = document.getElementById('settings-close-button');
+        if (closeButton) {
+            closeButton.addEventListener('click', () => this.close());
+        }
+        
+        this.controlsSection = this.addSection('Controls');
+        this.renderControls();
+        
+        window.addEventListener('keydown', this.onKeyDown);
+    }
+    
+    /**
+     * Add a section to the settings screen
+     * @param {string} title - Section heading
+     * @returns {HTMLElement} - Element to put the section's settings in
+     */
+    addSection(title) {
+        const section = document.createElement('section');
+        section.className = 'settings-section';
+        
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        section.appendChild(heading);
+        
+        const body = document.createElement('div');
+        section.appendChild(body);
+        
+        this.sectionsElement.appendChild(section);
+        return body;
+    }
+    
+    /**
+     * Add a labelled row to a section
+     * @param {HTMLElement} section - Section body from addSection
+     * @param {string} text - Label text
+     * @param {HTMLElement} control - Control to put next to the label
+     * @returns {HTMLElement} - The row
+     */
+    addRow(section, text, control) {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+        
+        const label = document.createElement('span');
+        label.className = 'settings-label';
+        label.textContent = text;
+        row.appendChild(label);
+        row.appendChild(control);
+        
+        section.appendChild(row);
+        return row;
+    }
+    
+    /**
+     * Add a drop-down setting to a section
+     * @param {HTMLElement} section - Section body from addSection
+     * @param {string} text - Label text
+     * @param {Array} options - Choices as {value, label}
+     * @param {string} value - Currently selected value
+     * @param {Function} onChange - Called with the new value
+     * @returns {HTMLSelectElement} - The drop-down
+     */
+    addSelect(section, text, options, value, onChange) {
+        const select = document.createElement('select');
+        select.className = 'settings-select';
+        
+        options.forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        
+        this.addRow(section, text, select);
+        return select;
+    }
+    
+    /**
+     * Add a slider setting to a section
+     * @param {HTMLElement} section - Section body from addSection
+     * @param {string} text - Label text
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value
+     * @param {number} step - Step between values
+     * @param {number} value - Current value
+     * @param {Function} onChange - Called with the new value while the slider moves
+     * @returns {HTMLInputElement} - The slider
+     */
+    addSlider(section, text, min, max, step, value, onChange) {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'settings-slider';
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+        slider.value = value;
+        slider.addEventListener('input', () => onChange(parseFloat(slider.value)));
+        
+        this.addRow(section, text, slider);
+        return slider;
+    }
+    
+    /**
+     * Add an on/off setting to a section
+     * @param {HTMLElement} section - Section body from addSection
+     * @param {string} text - Label text
+     * @param {boolean} checked - Whether it is on
+     * @param {Function} onChange - Called with true or false
+     * @returns {HTMLInputElement} - The checkbox
+     */
+    addToggle(section, text, checked, onChange) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'settings-checkbox';
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', () => onChange(checkbox.checked));
+        
+        this.addRow(section, text, checkbox);
+        return checkbox;
+    }
+    
+    /**
+     * Run a function every time the settings screen opens
+     * @param {Function} listener - Called with no arguments
+     */
+    onOpen(listener) {
+        this.openListeners.push(listener);
+    }
+    
+    /**
+     * Show the settings screen
+     */
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+        
+        // Keys go to the settings screen, not the game, while it's open
+        this.input.releaseAll();
+        this.input.suspended = true;
+        
+        this.showMessage('');
+        this.renderControls();
+        this.openListeners.forEach(listener => listener());
+        this.screen.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the settings screen
+     */
+    close() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        
+        this.rebinding = null;
+        this.input.keyCapture = null;
+        this.input.suspended = false;
+        this.screen.classList.add('hidden');
+    }
+    
+    /**
+     * Show a message under the settings
+     * @param {string} text - Message, or '' to clear it
+     * @param {boolean} isError - Show it as a warning
+     */
+    showMessage(text, isError = false) {
+        if (!this.messageElement) return;
+        
+        this.messageElement.textContent = text;
+        this.messageElement.classList.toggle('error', isError);
+    }
+    
+    /**
+     * Build the list of actions and their keys
+     */
+    renderControls() {
+        this.controlsSection.innerHTML = '';
+        
+        INPUT_ACTIONS.forEach(action => {
+            const row = document.createElement('div');
+            row.className = 'settings-row';
+            
+            const label = document.createElement('span');
+            label.className = 'settings-label';
+            label.textContent = action.label;
+            row.appendChild(label);
+            
+            const keys = this.input.bindings[action.id];
+            keys.forEach((code, slot) => {
+                const isRebinding = this.rebinding && this.rebinding.action === action.id && this.rebinding.slot === slot;
+                row.appendChild(this.createKeyButton(
+                    isRebinding ? 'Press a key...' : InputManager.describeKey(code),
+                    () => this.startRebinding(action.id, slot),
+                    keys.length > 1 ? () => this.removeKey(action.id, slot) : null
+                ));
+            });
+            
+            // Room for another key
+            if (keys.length < MAX_KEYS_PER_ACTION) {
+                const isAdding = this.rebinding && this.rebinding.action === action.id && this.rebinding.slot === keys.length;
+                row.appendChild(this.createKeyButton(
+                    isAdding ? 'Press a key...' : '+',
+                    () => this.startRebinding(action.id, keys.length),
+                    null
+                ));
+            }
+            
+            this.controlsSection.appendChild(row);
+        });
+        
+        const resetButton = document.createElement('button');
+        resetButton.className = 'settings-reset';
+        resetButton.textContent = 'Reset to defaults';
+        resetButton.addEventListener('click', () => {
+            this.input.resetBindings();
+            this.showMessage('Controls reset to defaults');
+            this.renderControls();
+        });
+        this.controlsSection.appendChild(resetButton);
+    }
+    
+    /**
+     * Create a key button, with an optional remove button next to it
+     * @param {string} text - Button text
+     * @param {Function} onClick - Called when the key is clicked
+     * @param {Function|null} onRemove - Called when the remove button is clicked, no remove button if null
+     * @returns {HTMLElement} - The key element
+     */
+    createKeyButton(text, onClick, onRemove) {
+        const key = document.createElement('span');
+        key.className = 'settings-key';
+        
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        key.appendChild(button);
+        
+        if (onRemove) {
+            const remove = document.createElement('button');
+            remove.className = 'settings-key-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove this key';
+            remove.addEventListener('click', onRemove);
+            key.appendChild(remove);
+        }
+        
+        return key;
+    }
+    
+    /**
+     * Wait for the next key press and bind it to an action
+     * @param {string} action - Action id
+     * @param {number} slot - Which of the action's keys to replace
+     */
+    startRebinding(action, slot) {
+        this.rebinding = { action, slot };
+        this.showMessage('Press the new key, or Esc to cancel');
+        this.renderControls();
+        
+        this.input.captureNextKey(code => {
+            this.rebinding = null;
+            
+            if (code === null) {
+                this.showMessage('');
+            } else {
+                const result = this.input.bindKey(action, slot, code);
+                if (result.ok) {
+                    this.showMessage('');
+                } else {
+                    const owner = INPUT_ACTIONS.find(({ id }) => id === result.conflict);
+                    this.showMessage(`${InputManager.describeKey(code)} is already used for ${owner.label}`, true);
+                }
+            }
+            
+            this.renderControls();
+        });
+    }
+    
+    /**
+     * Remove one of an action's keys
+     * @param {string} action - Action id
+     * @param {number} slot - Which of the action's keys to remove
+     */
+    removeKey(action, slot) {
+        if (!this.input.unbindKey(action, slot)) {
+            this.showMessage('Every action needs at least one key', true);
+        }
+        this.renderControls();
+    }
+    
+    /**
+     * Close the screen with Escape (unless Escape just cancelled a rebind)
+     * @param {KeyboardEvent} event - The key event
+     */
+    onKeyDown(event) {
+        if (this.isOpen && event.code === 'Escape' && !event.defaultPrevented) {
+            this.close();
+        }
+    }
+}
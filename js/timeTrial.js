@@ -0,0 +1,120 @@
+/**
+ * Extra points for finishing a level fast enough for a medal in time-trial mode
+ */
+const MEDAL_BONUS = { gold: 1500, silver: 1000, bronze: 500 };
+
+/**
+ * Time-trial bookkeeping: checkpoint splits of the current run, medals and
+ * the best time on every level (kept in the level records of the save)
+ *
+ * Times are counted in game ticks, so the timer stops while the game is paused
+ * and is exactly the same at any frame rate.
+ */
+class TimeTrial {
+    /**
+     * @param {number} tickLength - Length of a game tick in seconds
+     * @param {SaveSystem} saveSystem - Save the best times are kept in
+     */
+    constructor(tickLength, saveSystem) {
+        this.tickLength = tickLength;
+        this.saveSystem = saveSystem;
+        this.splits = {}; // Checkpoint index -> ticks, for the current run
+    }
+    
+    /**
+     * Get the best time on a level
+     * @param {number} level - Level number
+     * @returns {Object|null} - {ticks, splits}, or null if the level hasn't been finished
+     */
+    getBest(level) {
+        const best = this.saveSystem.getLevelRecord(level).bestTime;
+        return best && Number.isInteger(best.ticks) ? best : null;
+    }
+    
+    /**
+     * Forget the splits of the previous run, at the start of a level
+     */
+    startRun() {
+        this.splits = {};
+    }
+    
+    /**
+     * Record the time a checkpoint was reached
+     * @param {number} level - Level number
+     * @param {number} checkpoint - Index of the checkpoint in the level
+     * @param {number} ticks - Ticks since the level started
+     * @returns {Object|null} - {ticks, difference} with the difference to the best run's split in ticks
+     *     (negative when faster, null if the best run has none), or null if the checkpoint already has a split
+     */
+    recordSplit(level, checkpoint, ticks) {
+        if (this.splits[checkpoint] !== undefined) return null;
+        this.splits[checkpoint] = ticks;
+        
+        const best = this.getBest(level);
+        const bestSplit = best && best.splits ? best.splits[checkpoint] : undefined;
+        return {
+            ticks,
+            difference: bestSplit !== undefined ? ticks - bestSplit : null
+        };
+    }
+    
+    /**
+     * Finish a level: work out the medal and keep the time if it's a new best
+     * @param {number} level - Level number
+     * @param {number} ticks - Ticks the level took
+     * @param {Object|null} medals - The level's medal thresholds in seconds {gold, silver, bronze}
+     * @returns {Object} - {time, medal, medals, previousBest, isNewBest} with times in seconds and medal null if none
+     */
+    finishRun(level, ticks, medals) {
+        const best = this.getBest(level);
+        const time = ticks * this.tickLength;
+        const isNewBest = !best || ticks < best.ticks;
+        
+        if (isNewBest) {
+            this.saveSystem.updateLevelRecord(level, {
+                bestTime: { ticks, splits: { ...this.splits } }
+            });
+        }
+        
+        return {
+            time,
+            medal: TimeTrial.getMedal(time, medals),
+            medals,
+            previousBest: best ? best.ticks * this.tickLength : null,
+            isNewBest
+        };
+    }
+    
+    /**
+     * Get the medal a time earns
+     * @param {number} time - Time in seconds
+     * @param {Object|null} medals - Medal thresholds in seconds {gold, silver, bronze}
+     * @returns {string|null} - 'gold', 'silver', 'bronze', or null if too slow (or the level has no medals)
+     */
+    static getMedal(time, medals) {
+        if (!medals) return null;
+        return LEVEL_MEDALS.find(medal => time <= medals[medal]) || null;
+    }
+    
+    /**
+     * Format a time for the timer and results
+     * @param {number} seconds - Time in seconds
+     * @returns {string} - Time as m:ss.cc
+     */
+    static formatTime(seconds) {
+        // Round first, so 59.999 shows as 1:00.00 rather than 0:60.00
+        const hundredths = Math.round(seconds * 100);
+        const minutes = Math.floor(hundredths / 6000);
+        return `${minutes}:${((hundredths - minutes * 6000) / 100).toFixed(2).padStart(5, '0')}`;
+    }
+    
+    /**
+     * Format the difference between two times
+     * @param {number} seconds - Difference in seconds, negative when faster
+     * @returns {string} - e.g. "-0.52s", "+1.20s" or "±0.00s"
+     */
+    static formatDifference(seconds) {
+        const rounded = Math.round(seconds * 100) / 100;
+        return `${rounded > 0 ? '+' : rounded < 0 ? '-' : '±'}${Math.abs(rounded).toFixed(2)}s`;
+    }
+}
@@ -0,0 +1,385 @@
+/**
+ * Default touch control settings
+ */
+const DEFAULT_TOUCH_SETTINGS = {
+    show: 'auto',       // 'auto' (touch devices only), 'always' or 'never'
+    layout: 'buttons',  // 'buttons' (left/right pad) or 'stick' (virtual analog stick)
+    size: 1,            // Scale of the controls
+    opacity: 0.5        // Opacity of the controls (0-1)
+};
+
+/**
+ * On-screen touch controls
+ *
+ * A movement area on the left (a left/right pad or a virtual stick) and a jump
+ * button on the right. Every finger is tracked by its pointer id and is its own
+ * input source, so moving and jumping at the same time works and lifting one
+ * finger never releases what another is holding. Everything goes through the
+ * input manager, exactly like the keyboard.
+ */
+class TouchControls {
+    /**
+     * @param {InputManager} input - Input manager to forward actions and axes to
+     * @param {SaveSystem} saveSystem - Save the touch settings are kept in
+     */
+    constructor(input, saveSystem) {
+        this.input = input;
+        this.saveSystem = saveSystem;
+        this.settings = this.loadSettings();
+        this.stickRadius = 50; // How far the stick moves for full speed, in pixels at size 1
+        this.stickDeadzone = 0.15;
+        
+        // DOM elements
+        this.container = null;
+        this.moveArea = null;
+        this.stickKnob = null;
+        this.jumpButton = null;
+        
+        // Pointer id -> {type: 'move'|'stick'|'jump', action, originX, value}
+        this.pointers = new Map();
+        
+        // Set once a finger touches the screen, for 'auto' on devices that hide touch support
+        this.touchSeen = false;
+        
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+    }
+    
+    /**
+     * Build the controls and start listening to touches
+     */
+    init() {
+        this.container = document.getElementById('touch-controls');
+        if (!this.container) {
+            console.log('Touch controls container not found');
+            return;
+        }
+        
+        // Don't let touches on the controls scroll, zoom or open a context menu
+        this.container.addEventListener('contextmenu', event => event.preventDefault());
+        
+        // Show the controls as soon as a finger is used anywhere, even if the device didn't say it had touch
+        window.addEventListener('pointerdown', event => {
+            if (event.pointerType === 'touch' && !this.touchSeen) {
+                this.touchSeen = true;
+                this.updateVisibility();
+            }
+        });
+        
+        this.build();
+    }
+    
+    /**
+     * Load the saved touch settings, falling back to the defaults for anything missing
+     * @returns {Object} - Touch settings
+     */
+    loadSettings() {
+        const settings = Object.assign({}, DEFAULT_TOUCH_SETTINGS);
+        
+        const saved = this.saveSystem.getSetting('touch');
+        if (saved && typeof saved === 'object') {
+            if (['auto', 'always', 'never'].includes(saved.show)) settings.show = saved.show;
+            if (['buttons', 'stick'].includes(saved.layout)) settings.layout = saved.layout;
+            if (typeof saved.size === 'number') settings.size = Math.max(0.5, Math.min(saved.size, 2));
+            if (typeof saved.opacity === 'number') settings.opacity = Math.max(0.1, Math.min(saved.opacity, 1));
+        }
+        
+        return settings;
+    }
+    
+    /**
+     * Save the current touch settings
+     */
+    saveSettings() {
+        this.saveSystem.setSetting('touch', this.settings);
+    }
+    
+    /**
+     * Change a touch setting, save it and rebuild the controls
+     * @param {string} key - Setting name
+     * @param {*} value - New value
+     */
+    setSetting(key, value) {
+        this.settings[key] = value;
+        this.saveSettings();
+        this.build();
+    }
+    
+    /**
+     * Check if this looks like a touch device
+     * @returns {boolean} - True if the device has a touch screen
+     */
+    isTouchDevice() {
+        return this.touchSeen ||
+            (typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0) ||
+            'ontouchstart' in window;
+    }
+    
+    /**
+     * Check if the controls should be on screen
+     * @returns {boolean} - True if the controls are shown
+     */
+    isVisible() {
+        if (this.settings.show === 'always') return true;
+        if (this.settings.show === 'never') return false;
+        return this.isTouchDevice();
+    }
+    
+    /**
+     * Show or hide the controls to match the settings
+     */
+    updateVisibility() {
+        if (!this.container) return;
+        
+        const visible = this.isVisible();
+        this.container.classList.toggle('hidden', !visible);
+        
+        // Hidden controls can't be lifted off, so let go of everything they held
+        if (!visible) {
+            this.releaseAllPointers();
+        }
+    }
+    
+    /**
+     * (Re)build the control elements for the current layout, size and opacity
+     */
+    build() {
+        if (!this.container) return;
+        
+        this.releaseAllPointers();
+        this.container.innerHTML = '';
+        this.container.style.opacity = this.settings.opacity;
+        this.container.style.setProperty('--touch-size', this.settings.size);
+        
+        // Movement on the left
+        this.moveArea = document.createElement('div');
+        this.moveArea.className = `touch-move touch-${this.settings.layout}`;
+        if (this.settings.layout === 'stick') {
+            const base = document.createElement('div');
+            base.className = 'touch-stick-base';
+            this.stickKnob = document.createElement('div');
+            this.stickKnob.className = 'touch-stick-knob';
+            base.appendChild(this.stickKnob);
+            this.moveArea.appendChild(base);
+        } else {
+            this.stickKnob = null;
+            ['left', 'right'].forEach(action => {
+                const half = document.createElement('div');
+                half.className = `touch-button touch-${action}`;
+                half.textContent = action === 'left' ? '◀' : '▶';
+                this.moveArea.appendChild(half);
+            });
+        }
+        this.addPointerListeners(this.moveArea);
+        this.container.appendChild(this.moveArea);
+        
+        // Jump on the right
+        this.jumpButton = document.createElement('div');
+        this.jumpButton.className = 'touch-button touch-jump';
+        this.jumpButton.textContent = '▲';
+        this.addPointerListeners(this.jumpButton);
+        this.container.appendChild(this.jumpButton);
+        
+        this.updateVisibility();
+    }
+    
+    /**
+     * Listen to every pointer event a control needs
+     * @param {HTMLElement} element - Control element
+     */
+    addPointerListeners(element) {
+        element.addEventListener('pointerdown', this.onPointerDown);
+        element.addEventListener('pointermove', this.onPointerMove);
+        element.addEventListener('pointerup', this.onPointerUp);
+        element.addEventListener('pointercancel', this.onPointerUp);
+        element.addEventListener('lostpointercapture', this.onPointerUp);
+    }
+    
+    /**
+     * Get the input source name for a finger
+     * @param {number} pointerId - Pointer id
+     * @returns {string} - Input source name
+     */
+    getSource(pointerId) {
+        return `touch:${pointerId}`;
+    }
+    
+    /**
+     * Work out which way a finger on the left/right pad is pressing
+     * @param {number} clientX - Finger x position
+     * @returns {string} - 'left' or 'right'
+     */
+    getMoveAction(clientX) {
+        const rect = this.moveArea.getBoundingClientRect();
+        return clientX < rect.left + rect.width / 2 ? 'left' : 'right';
+    }
+    
+    /**
+     * Handle a finger touching a control
+     * @param {PointerEvent} event - The pointer event
+     */
+    onPointerDown(event) {
+        event.preventDefault();
+        
+        // Keep getting this finger's events even when it slides off the control
+        if (event.currentTarget && event.currentTarget.setPointerCapture) {
+            event.currentTarget.setPointerCapture(event.pointerId);
+        }
+        
+        const source = this.getSource(event.pointerId);
+        
+        if (event.currentTarget === this.jumpButton) {
+            this.pointers.set(event.pointerId, { type: 'jump', action: 'jump' });
+            this.input.press('jump', source);
+            this.jumpButton.classList.add('active');
+        } else if (this.settings.layout === 'stick') {
+            // The stick is centered wherever the finger lands
+            this.pointers.set(event.pointerId, { type: 'stick', originX: event.clientX, value: 0 });
+            this.moveStick(event.pointerId, event.clientX);
+        } else {
+            const action = this.getMoveAction(event.clientX);
+            this.pointers.set(event.pointerId, { type: 'move', action });
+            this.input.press(action, source);
+            this.highlightMove(action);
+        }
+    }
+    
+    /**
+     * Handle a finger moving, which can slide between left and right or push the stick
+     * @param {PointerEvent} event - The pointer event
+     */
+    onPointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+        
+        event.preventDefault();
+        
+        if (pointer.type === 'stick') {
+            this.moveStick(event.pointerId, event.clientX);
+        } else if (pointer.type === 'move') {
+            const action = this.getMoveAction(event.clientX);
+            if (action !== pointer.action) {
+                const source = this.getSource(event.pointerId);
+                this.input.release(pointer.action, source);
+                pointer.action = action;
+                this.input.press(action, source);
+                this.highlightMove(action);
+            }
+        }
+    }
+    
+    /**
+     * Handle a finger lifting off or being cancelled
+     * @param {PointerEvent} event - The pointer event
+     */
+    onPointerUp(event) {
+        this.releasePointer(event.pointerId);
+    }
+    
+    /**
+     * Set the move axis from how far the finger is from where it landed
+     * @param {number} pointerId - Pointer id
+     * @param {number} clientX - Finger x position
+     */
+    moveStick(pointerId, clientX) {
+        const pointer = this.pointers.get(pointerId);
+        const radius = this.stickRadius * this.settings.size;
+        const offset = Math.max(-radius, Math.min(clientX - pointer.originX, radius));
+        
+        let value = offset / radius;
+        if (Math.abs(value) < this.stickDeadzone) {
+            value = 0;
+        }
+        
+        pointer.value = value;
+        this.input.setAxis('move', value, this.getSource(pointerId));
+        if (this.stickKnob) {
+            this.stickKnob.style.transform = `translateX(${offset}px)`;
+        }
+    }
+    
+    /**
+     * Light up the pressed half of the left/right pad
+     * @param {string|null} action - 'left', 'right' or null for neither
+     */
+    highlightMove(action) {
+        Array.from(this.moveArea.children).forEach(half => {
+            half.classList.toggle('active', action !== null && half.classList.contains(`touch-${action}`));
+        });
+    }
+    
+    /**
+     * Let go of everything a finger was holding
+     * @param {number} pointerId - Pointer id
+     */
+    releasePointer(pointerId) {
+        const pointer = this.pointers.get(pointerId);
+        if (!pointer) return;
+        
+        this.pointers.delete(pointerId);
+        const source = this.getSource(pointerId);
+        
+        if (pointer.type === 'stick') {
+            this.input.setAxis('move', 0, source);
+            if (this.stickKnob) {
+                this.stickKnob.style.transform = '';
+            }
+        } else {
+            this.input.release(pointer.action, source);
+            if (pointer.type === 'jump') {
+                this.jumpButton.classList.remove('active');
+            } else if (![...this.pointers.values()].some(other => other.type === 'move')) {
+                this.highlightMove(null);
+            }
+        }
+    }
+    
+    /**
+     * Hold again what the fingers still on the controls are holding, once a frame
+     * The input manager lets go of everything on pause, blur or while the settings are open,
+     * but a finger that stays down doesn't send another event.
+     */
+    poll() {
+        this.pointers.forEach((pointer, pointerId) => {
+            const source = this.getSource(pointerId);
+            if (pointer.type === 'stick') {
+                this.input.setAxis('move', pointer.value, source);
+            } else {
+                this.input.hold(pointer.action, source);
+            }
+        });
+    }
+    
+    /**
+     * Let go of every finger
+     */
+    releaseAllPointers() {
+        [...this.pointers.keys()].forEach(pointerId => this.releasePointer(pointerId));
+    }
+    
+    /**
+     * Add the touch control options to the settings screen
+     * @param {SettingsScreen} settingsScreen - Settings screen to add a section to
+     */
+    addSettings(settingsScreen) {
+        const section = settingsScreen.addSection('Touch controls');
+        
+        settingsScreen.addSelect(section, 'Show', [
+            { value: 'auto', label: 'On touch screens' },
+            { value: 'always', label: 'Always' },
+            { value: 'never', label: 'Never' }
+        ], this.settings.show, value => this.setSetting('show', value));
+        
+        settingsScreen.addSelect(section, 'Movement', [
+            { value: 'buttons', label: 'Left / right buttons' },
+            { value: 'stick', label: 'Virtual stick' }
+        ], this.settings.layout, value => this.setSetting('layout', value));
+        
+        settingsScreen.addSlider(section, 'Size', 0.5, 2, 0.1, this.settings.size,
+            value => this.setSetting('size', value));
+        
+        settingsScreen.addSlider(section, 'Opacity', 0.1, 1, 0.05, this.settings.opacity,
+            value => this.setSetting('opacity', value));
+    }
+}
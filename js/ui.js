@@ -7,8 +7,20 @@ class UI {
         this.livesElement = null;
         this.scoreElement = null;
         this.levelElement = null;
+        this.hoopsContainer = null;
+        this.hoopsElement = null;
+        this.splitContainer = null;
+        this.splitElement = null;
+        this.timerContainer = null;
+        this.timerElement = null;
         this.finalScoreElement = null;
         this.gameOverScreen = null;
+        this.menuScreen = null;
+        this.levelSelectScreen = null;
+        this.levelSelectList = null;
+        this.gameCompleteScreen = null;
+        this.gameCompleteScore = null;
+        this.pauseOverlay = null;
         this.loadingScreen = null;
         this.progressBar = null;
         this.loadingText = null;
@@ -26,8 +38,20 @@ class UI {
         this.livesElement = document.getElementById('lives-count');
         this.scoreElement = document.getElementById('score-count');
         this.levelElement = document.getElementById('level-count');
+        this.hoopsContainer = document.getElementById('hoops-container');
+        this.hoopsElement = document.getElementById('hoops-count');
+        this.splitContainer = document.getElementById('split-container');
+        this.splitElement = document.getElementById('split-time');
+        this.timerContainer = document.getElementById('timer-container');
+        this.timerElement = document.getElementById('timer-count');
         this.finalScoreElement = document.getElementById('final-score');
         this.gameOverScreen = document.getElementById('game-over-screen');
+        this.menuScreen = document.getElementById('menu-screen');
+        this.levelSelectScreen = document.getElementById('level-select-screen');
+        this.levelSelectList = document.getElementById('level-select-list');
+        this.gameCompleteScreen = document.getElementById('game-complete-screen');
+        this.gameCompleteScore = document.getElementById('game-complete-score');
+        this.pauseOverlay = document.getElementById('pause-overlay');
         this.loadingScreen = document.getElementById('loading-screen');
         this.progressBar = document.getElementById('progress-bar');
         this.loadingText = document.getElementById('loading-text');
@@ -137,6 +161,23 @@ class UI {
                     margin: 15px 0;
                 }
                 
+                .level-complete .medal {
+                    font-size: 26px;
+                    font-weight: bold;
+                }
+                
+                .level-complete .medal-gold {
+                    color: #ffd700;
+                }
+                
+                .level-complete .medal-silver {
+                    color: #c0c0c0;
+                }
+                
+                .level-complete .medal-bronze {
+                    color: #cd7f32;
+                }
+                
                 /* Pause screen */
                 .pause-screen {
                     position: fixed;
@@ -166,6 +207,31 @@ class UI {
                     font-size: 32px;
                     margin-bottom: 20px;
                 }
+                
+                /* Power-up indicators */
+                .power-up-indicator {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    margin-bottom: 10px;
+                    background-color: rgba(111, 66, 193, 0.7);
+                    padding: 5px 10px;
+                    border-radius: 5px;
+                    transition: opacity 0.3s ease;
+                }
+                
+                .power-up-indicator.fade-out {
+                    opacity: 0;
+                }
+                
+                .power-up-icon {
+                    font-weight: bold;
+                }
+                
+                .power-up-timer {
+                    margin-left: auto;
+                    font-variant-numeric: tabular-nums;
+                }
             `;
             document.head.appendChild(style);
         } else {
@@ -209,6 +275,45 @@ class UI {
         }
     }
     
+    /**
+     * Update the hoops-remaining counter
+     * @param {number} remaining - Hoops still to collect
+     */
+    updateHoops(remaining) {
+        if (!this.hoopsContainer || !this.hoopsElement) return;
+        
+        this.hoopsElement.textContent = remaining;
+        this.hoopsContainer.classList.toggle('done', remaining === 0);
+    }
+    
+    /**
+     * Update the time-trial timer
+     * @param {number|null} seconds - Time on the level so far, null to hide the timer
+     */
+    updateTimer(seconds) {
+        if (!this.timerContainer || !this.timerElement) return;
+        
+        this.timerContainer.classList.toggle('hidden', seconds === null);
+        if (seconds !== null) {
+            this.timerElement.textContent = TimeTrial.formatTime(seconds);
+        }
+    }
+    
+    /**
+     * Update the ghost split display
+     * @param {number|null} seconds - Seconds behind the ghost (negative when ahead), null to hide it
+     */
+    updateSplit(seconds) {
+        if (!this.splitContainer || !this.splitElement) return;
+        
+        this.splitContainer.classList.toggle('hidden', seconds === null);
+        if (seconds === null) return;
+        
+        this.splitElement.textContent = TimeTrial.formatDifference(seconds);
+        this.splitElement.classList.toggle('ahead', seconds < 0);
+        this.splitElement.classList.toggle('behind', seconds > 0);
+    }
+    
     /**
      * Show game over screen
      * @param {number} finalScore - Final score to display
@@ -232,12 +337,125 @@ class UI {
         }
     }
     
+    /**
+     * Show the main menu
+     */
+    showMenu() {
+        if (this.menuScreen) {
+            this.menuScreen.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * Hide the main menu
+     */
+    hideMenu() {
+        if (this.menuScreen) {
+            this.menuScreen.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Show the level select screen
+     * @param {Object[]} levels - {id, name, locked, completed, bestScore, bestTime, hoopsCollected, totalHoops}
+     *     for every level in play order, bestTime in seconds and any record missing if not set yet
+     * @param {Function} onSelect - Called with the level number when an unlocked level is picked
+     */
+    showLevelSelect(levels, onSelect) {
+        if (!this.levelSelectScreen) return;
+        
+        this.levelSelectList.innerHTML = '';
+        levels.forEach(level => {
+            const entry = document.createElement('button');
+            entry.className = 'level-select-entry';
+            entry.classList.toggle('completed', Boolean(level.completed));
+            entry.disabled = level.locked;
+            
+            const name = document.createElement('span');
+            name.textContent = `${level.id}. ${level.name}`;
+            entry.appendChild(name);
+            
+            // Best score, best time and hoops, or why the level can't be played yet
+            const stats = document.createElement('span');
+            stats.className = 'level-select-stats';
+            if (level.locked) {
+                stats.textContent = 'Locked';
+            } else {
+                const hoops = level.totalHoops ? `${level.hoopsCollected || 0}/${level.totalHoops} hoops` : 'Not played';
+                const score = level.bestScore !== undefined ? `Best ${level.bestScore}` : '';
+                const time = level.bestTime !== undefined ? TimeTrial.formatTime(level.bestTime) : '';
+                stats.textContent = [hoops, score, time].filter(Boolean).join(' · ');
+            }
+            entry.appendChild(stats);
+            
+            if (!level.locked) {
+                entry.addEventListener('click', () => onSelect(level.id));
+            }
+            this.levelSelectList.appendChild(entry);
+        });
+        
+        this.levelSelectScreen.classList.remove('hidden');
+    }
+    
+    /**
+     * Hide the level select screen
+     */
+    hideLevelSelect() {
+        if (this.levelSelectScreen) {
+            this.levelSelectScreen.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Show the ending screen after the last level
+     * @param {number} finalScore - Final score
+     */
+    showGameComplete(finalScore) {
+        if (this.gameCompleteScore) {
+            this.gameCompleteScore.textContent = finalScore;
+        }
+        
+        if (this.gameCompleteScreen) {
+            this.gameCompleteScreen.classList.remove('hidden');
+        }
+    }
+    
+    /**
+     * Hide the ending screen
+     */
+    hideGameComplete() {
+        if (this.gameCompleteScreen) {
+            this.gameCompleteScreen.classList.add('hidden');
+        }
+    }
+    
+    /**
+     * Show the pause overlay
+     */
+    showPauseScreen() {
+        if (this.pauseOverlay) {
+            this.pauseOverlay.style.display = 'flex';
+        }
+    }
+    
+    /**
+     * Hide the pause overlay
+     */
+    hidePauseScreen() {
+        if (this.pauseOverlay) {
+            this.pauseOverlay.style.display = 'none';
+        }
+    }
+    
     /**
      * Show level completion message
      * @param {number} level - Completed level number
      * @param {number} score - Current score
+     * @param {number} bonus - Bonus points given for completing the level
+     * @param {Object|null} timeResult - Time-trial result from TimeTrial.finishRun, null outside time trials
+     * @param {number|null} nextLevel - Level played next, or null if this was the last one
      */
-    showLevelComplete(level, score) {
+    showLevelComplete(level, score, bonus = 1000, timeResult = null, nextLevel = level + 1) {
         // Check if level complete screen already exists
         let levelComplete = document.getElementById('level-complete');
         
@@ -246,42 +464,53 @@ class UI {
             levelComplete = document.createElement('div');
             levelComplete.id = 'level-complete';
             levelComplete.className = 'level-complete';
-            
-            // Add content
-            levelComplete.innerHTML = `
-                <div class="level-complete-content">
-                    <h2>Level ${level} Complete!</h2>
-                    <p>Score: ${score}</p>
-                    <p>+1000 Bonus Points!</p>
-                    <p>Get Ready for Level ${level + 1}...</p>
-                </div>
-            `;
-            
             document.body.appendChild(levelComplete);
-        } else {
-            // Update existing level complete screen content
-            levelComplete.innerHTML = `
-                <div class="level-complete-content">
-                    <h2>Level ${level} Complete!</h2>
-                    <p>Score: ${score}</p>
-                    <p>+1000 Bonus Points!</p>
-                    <p>Get Ready for Level ${level + 1}...</p>
-                </div>
-            `;
         }
         
-        // Show the level complete screen
+        // Time, best time and medal for time trials
+        let timeLines = '';
+        if (timeResult) {
+            timeLines += `<p>Time: ${TimeTrial.formatTime(timeResult.time)}</p>`;
+            if (timeResult.isNewBest && timeResult.previousBest !== null) {
+                timeLines += `<p>New best! (was ${TimeTrial.formatTime(timeResult.previousBest)})</p>`;
+            } else if (timeResult.previousBest !== null) {
+                timeLines += `<p>Best: ${TimeTrial.formatTime(timeResult.previousBest)}</p>`;
+            }
+            if (timeResult.medal) {
+                const name = timeResult.medal.charAt(0).toUpperCase() + timeResult.medal.slice(1);
+                timeLines += `<p class="medal medal-${timeResult.medal}">${name} medal!</p>`;
+            } else if (timeResult.medals) {
+                timeLines += `<p>No medal, bronze is ${TimeTrial.formatTime(timeResult.medals.bronze)}</p>`;
+            }
+        }
+        
+        levelComplete.innerHTML = `
+            <div class="level-complete-content">
+                <h2>Level ${level} Complete!</h2>
+                ${timeLines}
+                <p>Score: ${score}</p>
+                <p>+${bonus} Bonus Points!</p>
+                <p>${nextLevel !== null ? `Get Ready for Level ${nextLevel}...` : 'That was the last level!'}</p>
+            </div>
+        `;
+        
+        // Show the level complete screen (it stays up until hideLevelComplete)
         setTimeout(() => {
             levelComplete.classList.add('show');
         }, 10);
+    }
+    
+    /**
+     * Hide the level completion message
+     */
+    hideLevelComplete() {
+        const levelComplete = document.getElementById('level-complete');
+        if (!levelComplete) return;
         
-        // Hide after delay
+        levelComplete.classList.remove('show');
         setTimeout(() => {
-            levelComplete.classList.remove('show');
-            setTimeout(() => {
-                levelComplete.remove();
-            }, 300);
-        }, 2000);
+            levelComplete.remove();
+        }, 300);
     }
     
     /**
@@ -411,7 +640,7 @@ class UI {
             indicator.innerHTML = `
                 <span class="power-up-icon">${icon}</span>
                 <span class="power-up-label">${label}</span>
-                ${timeLeft ? `<span class="power-up-timer">${timeLeft}s</span>` : ''}
+                ${timeLeft ? `<span class="power-up-timer">${Math.ceil(timeLeft)}s</span>` : ''}
             `;
             
             // Add to UI
@@ -425,6 +654,7 @@ class UI {
         if (indicator) {
             if (active) {
                 indicator.classList.add('active');
+                indicator.classList.remove('fade-out');
                 
                 // Update timer if provided
                 if (timeLeft !== null) {
@@ -437,7 +667,8 @@ class UI {
                 // Remove indicator if power-up is no longer active
                 indicator.classList.add('fade-out');
                 setTimeout(() => {
-                    if (indicator.parentNode) {
+                    // Keep it if the power-up was collected again while fading
+                    if (indicator.parentNode && indicator.classList.contains('fade-out')) {
                         indicator.parentNode.removeChild(indicator);
                     }
                 }, 300);
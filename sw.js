@@ -1,16 +1,53 @@
 // Service Worker for Nokia Bounce Game PWA
-const CACHE_NAME = 'bounce-game-cache-v1';
+const CACHE_NAME = 'bounce-game-cache-v23';
 const urlsToCache = [
   '/',
   '/index.html',
   '/css/style.css',
   '/js/ui.js',
+  '/js/lcdScreen.js',
+  '/js/postProcessing.js',
   '/js/renderer.js',
   '/js/physics.js',
+  '/js/collision.js',
   '/js/ball.js',
+  '/js/saveSystem.js',
+  '/js/levelLoader.js',
+  '/js/enemies.js',
   '/js/level.js',
+  '/js/input.js',
+  '/js/gamepad.js',
+  '/js/touchControls.js',
+  '/js/replay.js',
+  '/js/replayControls.js',
+  '/js/ghost.js',
+  '/js/particles.js',
+  '/js/timeTrial.js',
+  '/js/settings.js',
+  '/js/audio.js',
+  '/js/music.js',
+  '/js/gameClock.js',
+  '/js/gameState.js',
   '/js/game.js',
+  '/js/editor.js',
   '/js/main.js',
+  '/levels/index.json',
+  '/levels/level-01.json',
+  '/levels/level-02.json',
+  '/levels/level-03.json',
+  '/levels/level-04.json',
+  '/levels/level-05.json',
+  '/levels/level-06.json',
+  '/levels/level-07.json',
+  '/levels/level-08.json',
+  '/levels/level-09.json',
+  '/levels/level-10.json',
+  '/levels/level-11.json',
+  '/music/index.json',
+  '/music/meadow.json',
+  '/music/underwater.json',
+  '/music/danger.json',
+  '/music/finale.json',
   '/favicon.svg',
   '/favicon.ico',
   '/apple-touch-icon.png',